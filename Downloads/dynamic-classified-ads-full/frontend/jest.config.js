@@ -0,0 +1,14 @@
+// Jest compiles the sources with Next's Babel preset. It is set here rather
+// than in a .babelrc, which would switch the app build off SWC.
+module.exports = {
+  testEnvironment: 'jsdom',
+  setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
+  testMatch: ['<rootDir>/src/**/__tests__/**/*.test.{js,jsx}'],
+  transform: {
+    '\\.[jt]sx?$': ['babel-jest', { presets: ['next/babel'], configFile: false, babelrc: false }],
+  },
+  moduleNameMapper: {
+    // Stylesheets such as react-datepicker's don't matter to the tests
+    '\\.css$': '<rootDir>/__mocks__/styleMock.js',
+  },
+};
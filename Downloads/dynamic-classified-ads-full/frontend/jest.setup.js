@@ -0,0 +1,31 @@
+import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+import i18n from 'i18next';
+import { initReactI18next } from 'react-i18next';
+
+expect.extend(toHaveNoViolations);
+
+// Without translations t() returns the key, which is enough to check labels
+i18n.use(initReactI18next).init({ lng: 'en', resources: {}, interpolation: { escapeValue: false } });
+
+// jsdom lacks the browser APIs Chakra's color mode and sliders use
+if (typeof window !== 'undefined') {
+  window.matchMedia =
+    window.matchMedia ||
+    ((query) => ({
+      matches: false,
+      media: query,
+      addListener: () => {},
+      removeListener: () => {},
+      addEventListener: () => {},
+      removeEventListener: () => {},
+    }));
+
+  global.ResizeObserver =
+    global.ResizeObserver ||
+    class ResizeObserver {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+}
@@ -0,0 +1,146 @@
+import React, { useState, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Heading, Text, Flex, Badge, Button, IconButton, Switch, FormControl, FormLabel,
+         Table, Thead, Tbody, Tr, Th, Td, TableContainer } from '@chakra-ui/react';
+import { CloseIcon } from '@chakra-ui/icons';
+import FieldValue from './FieldValue';
+import useCompareBasket from '../hooks/useCompareBasket';
+import usePreferredUnitSystem from '../hooks/usePreferredUnitSystem';
+import { getFieldType } from '../fieldTypes';
+import { COMPARE_MINIMUM, getComparisonRows } from '../lib/adComparison';
+import { getFieldLabel, getOptionLabel } from '../lib/languages';
+
+// Component for comparing the ads in the compare basket side by side: one
+// column per ad and one row per field, formatted as in DynamicAdDetails.
+// Rows whose values differ are highlighted and can be shown on their own.
+const AdComparison = ({ language = 'ar', unitSystem }) => {
+  const { t } = useTranslation();
+  const { basket, remove, clear } = useCompareBasket();
+  const [preferredUnitSystem] = usePreferredUnitSystem();
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+
+  const rows = useMemo(() => getComparisonRows(basket), [basket]);
+  const visibleRows = differencesOnly ? rows.filter((row) => row.isDifferent) : rows;
+
+  if (basket.length < COMPARE_MINIMUM) {
+    return (
+      <Box>
+        <Heading size="md" mb={4}>
+          {t('compare.title')}
+        </Heading>
+        <Text color="gray.500">{t('compare.needMore', { count: COMPARE_MINIMUM })}</Text>
+      </Box>
+    );
+  }
+
+  // Render one ad's value in a row. Option lists mark the options that not
+  // every ad has.
+  const renderCell = (row, cell) => {
+    if (!cell) {
+      return (
+        <Text color="gray.500" fontStyle="italic">
+          {t('compare.notApplicable')}
+        </Text>
+      );
+    }
+    if (row.sharedValues && getFieldType(cell.field.fieldType)?.hasOptions) {
+      return (
+        <Flex flexWrap="wrap" gap={2}>
+          {cell.value.map((value) => {
+            const isShared = row.sharedValues.includes(value);
+            return (
+              <Badge
+                key={value}
+                colorScheme={isShared ? 'blue' : 'orange'}
+                variant={isShared ? 'subtle' : 'solid'}
+              >
+                {getOptionLabel(cell.field, value, language)}
+              </Badge>
+            );
+          })}
+        </Flex>
+      );
+    }
+    return (
+      <FieldValue
+        field={cell.field}
+        value={cell.value}
+        language={language}
+        unitSystem={unitSystem || preferredUnitSystem}
+        showUnset={cell.key !== null}
+      />
+    );
+  };
+
+  return (
+    <Box>
+      <Flex justifyContent="space-between" alignItems="center" wrap="wrap" gap={4} mb={4}>
+        <Heading size="md">{t('compare.title')}</Heading>
+        <Flex alignItems="center" gap={4}>
+          <FormControl display="flex" alignItems="center" width="auto">
+            <Switch
+              id="compare-differences-only"
+              isChecked={differencesOnly}
+              onChange={(e) => setDifferencesOnly(e.target.checked)}
+              me={2}
+            />
+            <FormLabel htmlFor="compare-differences-only" mb={0}>
+              {t('compare.differencesOnly')}
+            </FormLabel>
+          </FormControl>
+          <Button size="sm" variant="outline" onClick={clear}>
+            {t('compare.clear')}
+          </Button>
+        </Flex>
+      </Flex>
+
+      <TableContainer borderWidth="1px" borderRadius="lg">
+        <Table size="sm">
+          <Thead>
+            <Tr>
+              <Th>{t('compare.field')}</Th>
+              {basket.map((ad) => (
+                <Th key={ad.id}>
+                  <Flex alignItems="center" justifyContent="space-between" gap={2}>
+                    <Text noOfLines={2} textTransform="none" fontSize="sm">
+                      {ad.title}
+                    </Text>
+                    <IconButton
+                      icon={<CloseIcon />}
+                      size="xs"
+                      variant="ghost"
+                      aria-label={t('compare.remove', { title: ad.title })}
+                      onClick={() => remove(ad.id)}
+                    />
+                  </Flex>
+                </Th>
+              ))}
+            </Tr>
+          </Thead>
+          <Tbody>
+            {visibleRows.map((row) => (
+              <Tr key={row.name} bg={row.isDifferent ? 'yellow.50' : undefined}>
+                <Th scope="row" textTransform="none">
+                  {getFieldLabel(row.field, language)}
+                </Th>
+                {row.cells.map((cell, index) => (
+                  <Td key={basket[index].id} whiteSpace="normal">
+                    {renderCell(row, cell)}
+                  </Td>
+                ))}
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </TableContainer>
+
+      {visibleRows.length === 0 && (
+        <Text color="gray.500" mt={4}>
+          {differencesOnly ? t('compare.noDifferences') : t('compare.noFields')}
+        </Text>
+      )}
+    </Box>
+  );
+};
+
+export default AdComparison;
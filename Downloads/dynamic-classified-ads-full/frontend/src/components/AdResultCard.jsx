@@ -0,0 +1,59 @@
+import React from 'react';
+import { Box, Heading, Text, Flex, LinkBox, LinkOverlay } from '@chakra-ui/react';
+import FieldValue from './FieldValue';
+import { getFieldLabel } from '../lib/languages';
+import { getSummaryFields } from '../lib/searchResults';
+
+// Component for an ad in the search results. The fields the admin marked
+// showInSummary are shown as chips, labelled and formatted as in
+// DynamicAdDetails; layout is 'grid' (stacked card) or 'list' (one row).
+const AdResultCard = ({ ad, fields, layout = 'grid', href, language = 'ar', unitSystem }) => {
+  const attributes = ad.attributes || {};
+  const summaryFields = getSummaryFields(fields, attributes);
+  const isList = layout === 'list';
+
+  return (
+    <LinkBox
+      as="article"
+      borderWidth="1px"
+      borderRadius="lg"
+      p={4}
+      bg="white"
+      boxShadow="sm"
+      _hover={href ? { boxShadow: 'md' } : undefined}
+    >
+      <Flex direction={isList ? { base: 'column', md: 'row' } : 'column'} gap={3}>
+        <Box flex={isList ? '0 0 30%' : undefined}>
+          <Heading as="h3" size="sm" noOfLines={2}>
+            {href ? <LinkOverlay href={href}>{ad.title}</LinkOverlay> : ad.title}
+          </Heading>
+        </Box>
+
+        {summaryFields.length > 0 && (
+          <Flex as="ul" listStyleType="none" wrap="wrap" gap={2} flex="1">
+            {summaryFields.map((field) => (
+              <Flex
+                as="li"
+                key={field.id}
+                alignItems="center"
+                gap={1}
+                px={2}
+                py={1}
+                borderRadius="full"
+                bg="gray.100"
+                fontSize="sm"
+              >
+                <Text color="gray.600">{getFieldLabel(field, language)}:</Text>
+                <Box fontWeight="medium">
+                  <FieldValue field={field} value={attributes[field.name]} language={language} unitSystem={unitSystem} />
+                </Box>
+              </Flex>
+            ))}
+          </Flex>
+        )}
+      </Flex>
+    </LinkBox>
+  );
+};
+
+export default AdResultCard;
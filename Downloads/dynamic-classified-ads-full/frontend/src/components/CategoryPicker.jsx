@@ -0,0 +1,47 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Text, Wrap, WrapItem, Button } from '@chakra-ui/react';
+import { usePrefetchCategoryFields } from '../hooks/useCategoryFields';
+
+// Component for choosing a category. Hovering or focusing a category loads
+// its fields into the query cache, so the form or filters open without a
+// wait. categories are { id, name, nameI18n } as the categories API returns
+// them; the page fetches them and handles onChange(categoryId).
+const CategoryPicker = ({ categories = [], value, onChange, language = 'ar' }) => {
+  const { t } = useTranslation();
+  const prefetch = usePrefetchCategoryFields();
+
+  if (!categories.length) {
+    return null;
+  }
+
+  return (
+    <Box as="nav" aria-labelledby="category-picker-heading" mb={4}>
+      <Text id="category-picker-heading" fontSize="lg" fontWeight="bold" mb={2}>
+        {t('categories.title')}
+      </Text>
+      <Wrap spacing={2}>
+        {categories.map((category) => {
+          const isSelected = String(category.id) === String(value);
+          return (
+            <WrapItem key={category.id}>
+              <Button
+                size="sm"
+                variant={isSelected ? 'solid' : 'outline'}
+                colorScheme="blue"
+                aria-pressed={isSelected}
+                onMouseEnter={() => prefetch(category.id)}
+                onFocus={() => prefetch(category.id)}
+                onClick={() => onChange(category.id)}
+              >
+                {category.nameI18n?.[language] || category.name}
+              </Button>
+            </WrapItem>
+          );
+        })}
+      </Wrap>
+    </Box>
+  );
+};
+
+export default CategoryPicker;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Flex, Text, Button, Tag, TagLabel, TagCloseButton } from '@chakra-ui/react';
+import useCompareBasket from '../hooks/useCompareBasket';
+import { COMPARE_LIMIT, COMPARE_MINIMUM } from '../lib/adComparison';
+
+// Component for the compare basket, pinned to the bottom of the page while
+// it holds ads. compareHref is the page that renders AdComparison.
+const CompareBasketBar = ({ compareHref }) => {
+  const { t } = useTranslation();
+  const { basket, remove, clear } = useCompareBasket();
+
+  if (!basket.length) return null;
+
+  return (
+    <Box
+      as="aside"
+      aria-label={t('compare.basket')}
+      position="fixed"
+      bottom={0}
+      insetStart={0}
+      insetEnd={0}
+      zIndex="sticky"
+      bg="white"
+      borderTopWidth="1px"
+      boxShadow="lg"
+      px={4}
+      py={3}
+    >
+      <Flex alignItems="center" gap={3} wrap="wrap">
+        <Text fontWeight="bold">
+          {t('compare.selected', { count: basket.length, limit: COMPARE_LIMIT })}
+        </Text>
+        {basket.map((ad) => (
+          <Tag key={ad.id} size="lg" borderRadius="full">
+            <TagLabel>{ad.title}</TagLabel>
+            <TagCloseButton
+              aria-label={t('compare.remove', { title: ad.title })}
+              onClick={() => remove(ad.id)}
+            />
+          </Tag>
+        ))}
+        <Flex ms="auto" gap={2}>
+          <Button size="sm" variant="ghost" onClick={clear}>
+            {t('compare.clear')}
+          </Button>
+          <Button
+            as="a"
+            href={compareHref}
+            size="sm"
+            colorScheme="blue"
+            isDisabled={basket.length < COMPARE_MINIMUM}
+            aria-disabled={basket.length < COMPARE_MINIMUM}
+            onClick={(e) => {
+              if (basket.length < COMPARE_MINIMUM) e.preventDefault();
+            }}
+          >
+            {t('compare.compareNow')}
+          </Button>
+        </Flex>
+      </Flex>
+    </Box>
+  );
+};
+
+export default CompareBasketBar;
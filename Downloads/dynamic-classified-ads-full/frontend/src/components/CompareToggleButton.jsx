@@ -0,0 +1,34 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button, Tooltip } from '@chakra-ui/react';
+import useCompareBasket from '../hooks/useCompareBasket';
+import { COMPARE_LIMIT } from '../lib/adComparison';
+
+// Component for adding an ad to the compare basket or taking it out again.
+// The ad needs its attributes and categoryFields, as DynamicAdDetails does.
+const CompareToggleButton = ({ ad, size = 'sm' }) => {
+  const { t } = useTranslation();
+  const { add, remove, contains, isFull } = useCompareBasket();
+  const isSelected = contains(ad.id);
+  const isDisabled = !isSelected && isFull;
+
+  return (
+    <Tooltip label={t('compare.full', { count: COMPARE_LIMIT })} isDisabled={!isDisabled}>
+      {/* Wrapped so the tooltip still shows on the disabled button */}
+      <span>
+        <Button
+          size={size}
+          variant={isSelected ? 'solid' : 'outline'}
+          colorScheme="blue"
+          aria-pressed={isSelected}
+          isDisabled={isDisabled}
+          onClick={() => (isSelected ? remove(ad.id) : add(ad))}
+        >
+          {isSelected ? t('compare.removeFromCompare') : t('compare.addToCompare')}
+        </Button>
+      </span>
+    </Tooltip>
+  );
+};
+
+export default CompareToggleButton;
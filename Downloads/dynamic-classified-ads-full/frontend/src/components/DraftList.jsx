@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Heading, Text, Flex, Stack, Badge, Button, IconButton, AlertDialog, AlertDialogOverlay,
+         AlertDialogContent, AlertDialogHeader, AlertDialogBody, AlertDialogFooter, useToast } from '@chakra-ui/react';
+import { DeleteIcon } from '@chakra-ui/icons';
+import { listDrafts, deleteDraft } from '../lib/draftStore';
+import { queueDraft } from '../lib/adDrafts';
+import { formatDate } from '../lib/formatting';
+import { useOutboxSyncContext } from './OutboxSyncProvider';
+
+const STATUS_COLORS = {
+  draft: 'gray',
+  outbox: 'blue',
+  conflict: 'orange',
+};
+
+// Component for listing the unfinished ads stored on this device
+const DraftList = ({ onOpenDraft, language = 'ar' }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Draft waiting for the user to confirm its deletion
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const cancelDeleteRef = useRef();
+
+  const loadDrafts = useCallback(async () => {
+    try {
+      setDrafts(await listDrafts());
+      setError(null);
+    } catch (err) {
+      console.error('Error loading drafts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // The outbox is synced by OutboxSyncProvider, which reports the results;
+  // reload after each sync, as it submits drafts or flags them for review
+  const { syncNow, lastResults } = useOutboxSyncContext();
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts, lastResults]);
+
+  // Queue a draft; it is sent right away when online, otherwise once the
+  // connection returns. Results are reported by OutboxSyncProvider.
+  const handleSend = async (id) => {
+    try {
+      await queueDraft(id);
+      await loadDrafts();
+      await syncNow();
+    } catch (err) {
+      console.error('Error queueing draft:', err);
+      toast({
+        title: t('drafts.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setPendingDelete(null);
+    try {
+      await deleteDraft(id);
+      setDrafts((current) => current.filter((draft) => draft.id !== id));
+    } catch (err) {
+      console.error('Error deleting draft:', err);
+      toast({
+        title: t('drafts.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  if (loading) {
+    return <Box>{t('loading')}</Box>;
+  }
+
+  if (error) {
+    return <Box color="red.500">{t('drafts.unavailable')}: {error}</Box>;
+  }
+
+  return (
+    <Box>
+      <Heading size="md" mb={4}>
+        {t('drafts.title')}
+      </Heading>
+
+      {drafts.length === 0 ? (
+        <Text color="gray.500">{t('drafts.empty')}</Text>
+      ) : (
+        <Stack spacing={3}>
+          {drafts.map((draft) => (
+            <Flex key={draft.id} borderWidth="1px" borderRadius="md" p={3} alignItems="center" gap={3} wrap="wrap">
+              <Box flex="1">
+                <Text fontWeight="bold">{draft.values?.title || t('drafts.untitled')}</Text>
+                <Text fontSize="sm" color="gray.500">
+                  {t('drafts.updatedAt', {
+                    date: formatDate(draft.updatedAt, language, { hour: '2-digit', minute: '2-digit' }),
+                  })}
+                </Text>
+                {draft.error && (
+                  <Text fontSize="sm" color="red.500">
+                    {draft.error}
+                  </Text>
+                )}
+              </Box>
+              <Badge colorScheme={STATUS_COLORS[draft.status] || 'gray'}>
+                {t(`drafts.status.${draft.status}`)}
+              </Badge>
+              <Button size="sm" onClick={() => onOpenDraft(draft)}>
+                {draft.status === 'conflict' ? t('drafts.review') : t('drafts.continue')}
+              </Button>
+              <Button size="sm" colorScheme="blue" isDisabled={draft.status !== 'draft'} onClick={() => handleSend(draft.id)}>
+                {t('drafts.send')}
+              </Button>
+              <IconButton
+                size="sm"
+                colorScheme="red"
+                icon={<DeleteIcon />}
+                aria-label={t('drafts.delete')}
+                onClick={() => setPendingDelete(draft)}
+              />
+            </Flex>
+          ))}
+        </Stack>
+      )}
+
+      <AlertDialog isOpen={!!pendingDelete} leastDestructiveRef={cancelDeleteRef} onClose={() => setPendingDelete(null)}>
+        <AlertDialogOverlay>
+          <AlertDialogContent>
+            <AlertDialogHeader>{t('drafts.delete')}</AlertDialogHeader>
+            <AlertDialogBody>{t('drafts.confirmDelete')}</AlertDialogBody>
+            <AlertDialogFooter>
+              <Button ref={cancelDeleteRef} variant="ghost" mr={3} onClick={() => setPendingDelete(null)}>
+                {t('cancel')}
+              </Button>
+              <Button colorScheme="red" onClick={() => handleDelete(pendingDelete.id)}>
+                {t('drafts.delete')}
+              </Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
+    </Box>
+  );
+};
+
+export default DraftList;
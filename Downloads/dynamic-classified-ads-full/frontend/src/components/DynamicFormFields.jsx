@@ -1,282 +1,228 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Box, FormControl, FormLabel, Input, Select, Checkbox, 
-         NumberInput, NumberInputField, NumberInputStepper, 
-         NumberIncrementStepper, NumberDecrementStepper,
-         FormErrorMessage, Stack, Text, Flex, RadioGroup, Radio,
-         RangeSlider, RangeSliderTrack, RangeSliderFilledTrack, 
-         RangeSliderThumb, HStack } from '@chakra-ui/react';
-import DatePicker from 'react-datepicker';
-import 'react-datepicker/dist/react-datepicker.css';
+import { Box, FormControl, FormLabel, FormErrorMessage, FormHelperText, Text, Alert, AlertIcon, AlertDescription,
+         VisuallyHidden, UnorderedList, ListItem } from '@chakra-ui/react';
+import { getFieldType } from '../fieldTypes';
+import { validateAttributes } from '../lib/fieldValidation';
+import { getVisibleFields } from '../lib/fieldVisibility';
+import { getAvailableOptions, getStaleDependentValues } from '../lib/fieldOptions';
+import { getFieldLabel } from '../lib/languages';
+import { registerValidationMessages } from '../locales/validation';
+import usePreferredUnitSystem from '../hooks/usePreferredUnitSystem';
+import useCategoryFields from '../hooks/useCategoryFields';
+import useAdDraft from '../hooks/useAdDraft';
+
+// Helper function to show the value of a field that no longer exists; without
+// its field type there is nothing better than the plain stored value
+const formatRemovedValue = (value) => {
+  if (value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+};
 
 // Component for rendering dynamic form fields based on category fields
 const DynamicFormFields = ({ 
   categoryId, 
   values, 
   onChange, 
-  errors, 
-  touched,
-  language = 'ar' 
+  onValidationChange,
+  errors = {}, 
+  touched = {},
+  language = 'ar',
+  unitSystem,
+  draftId
 }) => {
-  const { t } = useTranslation();
-  const [fields, setFields] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { t, i18n } = useTranslation();
+  const [preferredUnitSystem] = usePreferredUnitSystem();
+  const { fields, loading, error } = useCategoryFields(categoryId);
+  // Fields the user has changed or left, so client errors only show after interaction
+  const [interacted, setInteracted] = useState({});
+  // Latest error announcement for screen readers
+  const [announcement, setAnnouncement] = useState('');
+  const announcedErrors = useRef({});
 
-  // Fetch category fields when categoryId changes
   useEffect(() => {
-    if (!categoryId) return;
+    registerValidationMessages(i18n);
+  }, [i18n]);
 
-    const fetchCategoryFields = async () => {
-      setLoading(true);
-      try {
-        const response = await fetch(`/api/category-fields?categoryId=${categoryId}`);
-        if (!response.ok) {
-          throw new Error('Failed to fetch category fields');
-        }
-        const data = await response.json();
-        // Sort fields by order
-        const sortedFields = data.sort((a, b) => a.order - b.order);
-        setFields(sortedFields);
-        setError(null);
-      } catch (err) {
-        console.error('Error fetching category fields:', err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // With a draftId the values are kept in an offline draft and restored on reload
+  const { status: draftStatus, conflicts: draftConflicts } = useAdDraft({
+    draftId,
+    categoryId,
+    values,
+    fields,
+    onChange,
+    enabled: !!draftId,
+  });
 
-    fetchCategoryFields();
+  // Start a new category without errors from the previous one
+  useEffect(() => {
+    setInteracted({});
   }, [categoryId]);
 
+  // Fields whose visibility rules hold for the current attribute values
+  const visibleFields = useMemo(
+    () => getVisibleFields(fields, values.attributes),
+    [fields, values.attributes]
+  );
+
+  // Clear the values of fields that became hidden so they aren't submitted.
+  // Each is cleared once per hiding, whatever the parent stores for a
+  // cleared value; onChange is kept in a ref so an inline handler doesn't
+  // re-trigger the effect.
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const clearedFields = useRef(new Set());
+  useEffect(() => {
+    const visibleNames = new Set(visibleFields.map((field) => field.name));
+    fields.forEach((field) => {
+      if (visibleNames.has(field.name)) {
+        clearedFields.current.delete(field.name);
+      } else if (values.attributes?.[field.name] != null && !clearedFields.current.has(field.name)) {
+        clearedFields.current.add(field.name);
+        onChangeRef.current({
+          target: {
+            name: `attributes.${field.name}`,
+            value: undefined
+          }
+        });
+      }
+    });
+  }, [fields, visibleFields, values.attributes]);
+
+  // Evaluate the visible fields' validationRules against the current attribute values
+  const validationErrors = useMemo(() => {
+    const descriptors = validateAttributes(visibleFields, values.attributes);
+    const messages = {};
+    Object.entries(descriptors).forEach(([name, { key, params }]) => {
+      messages[name] = t(key, { ...params, lng: language });
+    });
+    return messages;
+  }, [visibleFields, values.attributes, language, t]);
+
+  // Expose the client-side validation result to the ad form
+  const onValidationChangeRef = useRef(onValidationChange);
+  onValidationChangeRef.current = onValidationChange;
+  useEffect(() => {
+    if (onValidationChangeRef.current && !loading) {
+      onValidationChangeRef.current(validationErrors);
+    }
+  }, [validationErrors, loading]);
+
+  // Error messages on screen, by field name. Errors passed in by the parent
+  // (e.g. from the server) take precedence; values a schema change made
+  // invalid are flagged right away.
+  const shownErrors = {};
+  visibleFields.forEach((field) => {
+    const conflict = draftConflicts?.invalidFields?.[field.name];
+    const conflictError = conflict && t(conflict.key, { ...conflict.params, lng: language });
+    const fieldError = errors.attributes?.[field.name] || validationErrors[field.name] || conflictError;
+    const fieldTouched = touched.attributes?.[field.name] || interacted[field.name] || !!conflict;
+    if (fieldTouched && fieldError) shownErrors[field.name] = fieldError;
+  });
+  const shownErrorsKey = JSON.stringify(shownErrors);
+
+  // Announce errors as they appear. Each FormErrorMessage is a live region
+  // too, but one that is mounted together with its text, which screen
+  // readers tend to miss.
+  useEffect(() => {
+    const current = JSON.parse(shownErrorsKey);
+    const fresh = visibleFields.filter(
+      (field) => current[field.name] && current[field.name] !== announcedErrors.current[field.name]
+    );
+    announcedErrors.current = current;
+    if (fresh.length) {
+      setAnnouncement(
+        fresh.map((field) => `${getFieldLabel(field, language)}: ${current[field.name]}`).join('. ')
+      );
+    }
+  }, [shownErrorsKey, visibleFields, language]);
+
   if (loading) {
     return <Box>{t('loading')}</Box>;
   }
 
   if (error) {
-    return <Box color="red.500">{t('error.fetchingFields')}: {error}</Box>;
+    return <Box color="red.500">{t('error.fetchingFields')}: {error.message}</Box>;
   }
 
   if (!fields.length) {
     return null;
   }
 
-  // Helper function to get field label in current language
-  const getFieldLabel = (field) => {
-    return field.labelI18n[language] || field.name;
+  // Mark a field as interacted with so its validation errors become visible
+  const markInteracted = (name) => {
+    setInteracted((prev) => (prev[name] ? prev : { ...prev, [name]: true }));
   };
 
-  // Helper function to get option label in current language
-  const getOptionLabel = (option) => {
-    return option.labelI18n[language] || option.value;
-  };
-
-  // Render field based on its type
+  // Render field using the input registered for its type
   const renderField = (field) => {
     const fieldName = `attributes.${field.name}`;
-    const fieldValue = values.attributes?.[field.name] || '';
-    const fieldError = errors.attributes?.[field.name];
-    const fieldTouched = touched.attributes?.[field.name];
-    const isInvalid = fieldTouched && fieldError;
-
-    switch (field.fieldType) {
-      case 'TEXT':
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Input
-              name={fieldName}
-              value={fieldValue}
-              onChange={(e) => {
-                onChange({
-                  target: {
-                    name: fieldName,
-                    value: e.target.value
-                  }
-                });
-              }}
-            />
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
-
-      case 'NUMBER':
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <NumberInput
-              value={fieldValue}
-              onChange={(valueString) => {
-                onChange({
-                  target: {
-                    name: fieldName,
-                    value: parseFloat(valueString) || 0
-                  }
-                });
-              }}
-            >
-              <NumberInputField />
-              <NumberInputStepper>
-                <NumberIncrementStepper />
-                <NumberDecrementStepper />
-              </NumberInputStepper>
-            </NumberInput>
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
-
-      case 'SELECT':
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Select
-              name={fieldName}
-              value={fieldValue}
-              onChange={(e) => {
-                onChange({
-                  target: {
-                    name: fieldName,
-                    value: e.target.value
-                  }
-                });
-              }}
-              placeholder={t('select')}
-            >
-              {field.options.map((option) => (
-                <option key={option.id} value={option.value}>
-                  {getOptionLabel(option)}
-                </option>
-              ))}
-            </Select>
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
-
-      case 'MULTISELECT':
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Stack spacing={2} direction="column">
-              {field.options.map((option) => (
-                <Checkbox
-                  key={option.id}
-                  isChecked={Array.isArray(fieldValue) && fieldValue.includes(option.value)}
-                  onChange={(e) => {
-                    const currentValues = Array.isArray(fieldValue) ? [...fieldValue] : [];
-                    if (e.target.checked) {
-                      if (!currentValues.includes(option.value)) {
-                        currentValues.push(option.value);
-                      }
-                    } else {
-                      const index = currentValues.indexOf(option.value);
-                      if (index !== -1) {
-                        currentValues.splice(index, 1);
-                      }
-                    }
-                    onChange({
-                      target: {
-                        name: fieldName,
-                        value: currentValues
-                      }
-                    });
-                  }}
-                >
-                  {getOptionLabel(option)}
-                </Checkbox>
-              ))}
-            </Stack>
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
-
-      case 'BOOLEAN':
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <Checkbox
-              name={fieldName}
-              isChecked={!!fieldValue}
-              onChange={(e) => {
-                onChange({
-                  target: {
-                    name: fieldName,
-                    value: e.target.checked
-                  }
-                });
-              }}
-            >
-              {getFieldLabel(field)}
-            </Checkbox>
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
-
-      case 'DATE':
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Box border="1px solid" borderColor="gray.200" borderRadius="md" p={2}>
-              <DatePicker
-                selected={fieldValue ? new Date(fieldValue) : null}
-                onChange={(date) => {
-                  onChange({
-                    target: {
-                      name: fieldName,
-                      value: date
-                    }
-                  });
-                }}
-                dateFormat="yyyy-MM-dd"
-                className="w-full"
-              />
-            </Box>
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
+    const fieldValue = values.attributes?.[field.name] ?? '';
+    const fieldError = shownErrors[field.name];
+    const isInvalid = !!fieldError;
+    const handleChange = (value) => {
+      markInteracted(field.name);
+      onChange({
+        target: {
+          name: fieldName,
+          value
+        }
+      });
 
-      case 'RANGE':
-        const minValue = fieldValue?.min || 0;
-        const maxValue = fieldValue?.max || 100;
-        const validationRules = field.validationRules || {};
-        const absoluteMin = validationRules.min !== undefined ? validationRules.min : 0;
-        const absoluteMax = validationRules.max !== undefined ? validationRules.max : 1000;
+      // Clear dependent values (e.g. Model after Make changed) that no longer fit
+      const staleValues = getStaleDependentValues(fields, { ...values.attributes, [field.name]: value });
+      Object.entries(staleValues).forEach(([name, staleValue]) => {
+        onChange({
+          target: {
+            name: `attributes.${name}`,
+            value: staleValue
+          }
+        });
+      });
+    };
+    const fieldOptions = getAvailableOptions(field, values.attributes);
+    const handleBlur = () => markInteracted(field.name);
 
-        return (
-          <FormControl key={field.id} isInvalid={isInvalid} isRequired={field.isRequired} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Box pt={6} pb={2}>
-              <RangeSlider
-                aria-label={['min', 'max']}
-                defaultValue={[minValue, maxValue]}
-                min={absoluteMin}
-                max={absoluteMax}
-                onChange={(values) => {
-                  onChange({
-                    target: {
-                      name: fieldName,
-                      value: { min: values[0], max: values[1] }
-                    }
-                  });
-                }}
-              >
-                <RangeSliderTrack>
-                  <RangeSliderFilledTrack />
-                </RangeSliderTrack>
-                <RangeSliderThumb index={0} />
-                <RangeSliderThumb index={1} />
-              </RangeSlider>
-              <HStack justifyContent="space-between" mt={2}>
-                <Text fontSize="sm">{minValue}</Text>
-                <Text fontSize="sm">{maxValue}</Text>
-              </HStack>
-            </Box>
-            {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
-          </FormControl>
-        );
+    const definition = getFieldType(field.fieldType);
+    if (!definition) return null;
+    const { FormInput } = definition;
+    // Instructions such as the allowed range, read out with the input
+    const helpText = definition.getHelpText?.(field.validationRules || {}, t);
 
-      default:
-        return null;
-    }
+    // Inputs made of several controls are a fieldset named by its legend.
+    // Chakra inputs take the FormControl's id and state by themselves; other
+    // controls get them through useFormControl.
+    return (
+      <FormControl
+        key={field.id}
+        id={`attribute-${field.name}`}
+        as={definition.isGroup ? 'fieldset' : undefined}
+        isInvalid={isInvalid}
+        isRequired={field.isRequired}
+        mb={4}
+      >
+        {!definition.inlineLabel && (
+          <FormLabel as={definition.isGroup ? 'legend' : undefined} htmlFor={definition.isGroup ? null : undefined}>
+            {getFieldLabel(field, language)}
+          </FormLabel>
+        )}
+        <FormInput
+          field={field}
+          name={fieldName}
+          value={fieldValue}
+          options={fieldOptions}
+          label={getFieldLabel(field, language)}
+          onChange={handleChange}
+          onBlur={handleBlur}
+          language={language}
+          unitSystem={unitSystem || preferredUnitSystem}
+          t={t}
+        />
+        {helpText && <FormHelperText>{helpText}</FormHelperText>}
+        {isInvalid && <FormErrorMessage>{fieldError}</FormErrorMessage>}
+      </FormControl>
+    );
   };
 
   return (
@@ -284,7 +230,35 @@ const DynamicFormFields = ({
       <Text fontSize="lg" fontWeight="bold" mb={4}>
         {t('additionalInformation')}
       </Text>
-      {fields.map(renderField)}
+      {draftConflicts && (
+        <Alert status="warning" mb={4} borderRadius="md">
+          <AlertIcon />
+          <AlertDescription>
+            {t('drafts.schemaChanged')}
+            {draftConflicts.removedFields.length > 0 && (
+              <>
+                {` ${t('drafts.removedFields')}`}
+                <UnorderedList mt={1}>
+                  {draftConflicts.removedFields.map((name) => (
+                    <ListItem key={name}>
+                      {name}: {formatRemovedValue(draftConflicts.removedValues?.[name])}
+                    </ListItem>
+                  ))}
+                </UnorderedList>
+              </>
+            )}
+          </AlertDescription>
+        </Alert>
+      )}
+      {visibleFields.map(renderField)}
+      <VisuallyHidden role="status" aria-live="polite">
+        {announcement}
+      </VisuallyHidden>
+      {draftId && draftStatus === 'saved' && (
+        <Text fontSize="sm" color="gray.500">
+          {t('drafts.savedLocally')}
+        </Text>
+      )}
     </Box>
   );
 };
@@ -1,242 +1,154 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Box, FormControl, FormLabel, Input, Select, Checkbox, 
-         NumberInput, NumberInputField, NumberInputStepper, 
-         NumberIncrementStepper, NumberDecrementStepper,
-         FormErrorMessage, Stack, Text, Flex, 
-         RangeSlider, RangeSliderTrack, RangeSliderFilledTrack, 
-         RangeSliderThumb, HStack, Button, Collapse } from '@chakra-ui/react';
+import { Box, FormControl, FormLabel, Text, Flex, Button, Collapse, Select } from '@chakra-ui/react';
 import { ChevronDownIcon, ChevronUpIcon } from '@chakra-ui/icons';
-import DatePicker from 'react-datepicker';
-import 'react-datepicker/dist/react-datepicker.css';
+import { getFieldType } from '../fieldTypes';
+import { UNIT_SYSTEMS, getFieldUnits } from '../lib/units';
+import usePreferredUnitSystem from '../hooks/usePreferredUnitSystem';
+import useFilterUrlSync from '../hooks/useFilterUrlSync';
+import useSearchFacets from '../hooks/useSearchFacets';
+import useCategoryFields from '../hooks/useCategoryFields';
+import { getVisibleFields } from '../lib/fieldVisibility';
+import { getAvailableOptions, getStaleDependentValues } from '../lib/fieldOptions';
+import { getFieldLabel } from '../lib/languages';
+import { fetchTextSuggestions } from '../lib/searchSuggestions';
 
 // Component for rendering dynamic search filters based on category fields
 const DynamicSearchFilters = ({ 
   categoryId, 
   filters, 
   onFilterChange, 
-  language = 'ar' 
+  language = 'ar',
+  syncWithUrl = true,
+  showFacetCounts = true
 }) => {
   const { t } = useTranslation();
-  const [fields, setFields] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { fields: categoryFields, loading, error } = useCategoryFields(categoryId);
   const [isOpen, setIsOpen] = useState(true);
+  const [unitSystem, setUnitSystem] = usePreferredUnitSystem();
 
-  // Fetch category fields when categoryId changes
-  useEffect(() => {
-    if (!categoryId) return;
+  // Fields that should be shown in filters, already sorted by order
+  const fields = useMemo(
+    () => categoryFields.filter((field) => field.showInFilters),
+    [categoryFields]
+  );
 
-    const fetchCategoryFields = async () => {
-      setLoading(true);
-      try {
-        const response = await fetch(`/api/category-fields?categoryId=${categoryId}`);
-        if (!response.ok) {
-          throw new Error('Failed to fetch category fields');
-        }
-        const data = await response.json();
-        // Filter fields that should be shown in filters
-        const filterFields = data.filter(field => field.showInFilters);
-        // Sort fields by order
-        const sortedFields = filterFields.sort((a, b) => a.order - b.order);
-        setFields(sortedFields);
-        setError(null);
-      } catch (err) {
-        console.error('Error fetching category fields:', err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Restore filters from the URL and record changes in the browser history
+  useFilterUrlSync({ fields, filters, onFilterChange, enabled: syncWithUrl });
+
+  // Result counts shown next to filter options
+  const facets = useSearchFacets(categoryId, filters, { enabled: showFacetCounts });
+
+  // Suggestions for free-text filters, from the values ads of this category have.
+  // Memoized per field so the inputs don't refetch on every render.
+  const suggestionLoaders = useMemo(
+    () =>
+      Object.fromEntries(
+        fields.map((field) => [
+          field.name,
+          (query, options) => fetchTextSuggestions(categoryId, field.name, query, options),
+        ])
+      ),
+    [fields, categoryId]
+  );
 
-    fetchCategoryFields();
-  }, [categoryId]);
+  // Filters whose visibility rules hold for the current filter values.
+  // A controlling filter that isn't set doesn't hide its dependants.
+  const visibleFields = useMemo(
+    () => getVisibleFields(fields, filters, { ignoreUnset: true }),
+    [fields, filters]
+  );
+
+  // Reset filters that became hidden so they no longer narrow the results.
+  // Each is reset once per hiding, as DynamicFormFields does for hidden fields.
+  const onFilterChangeRef = useRef(onFilterChange);
+  onFilterChangeRef.current = onFilterChange;
+  const clearedFilterNames = useRef(new Set());
+  useEffect(() => {
+    const visibleNames = new Set(visibleFields.map((field) => field.name));
+    fields.forEach((field) => {
+      if (visibleNames.has(field.name)) {
+        clearedFilterNames.current.delete(field.name);
+      } else if (filters[field.name] != null && !clearedFilterNames.current.has(field.name)) {
+        clearedFilterNames.current.add(field.name);
+        onFilterChangeRef.current(field.name, null);
+      }
+    });
+  }, [fields, visibleFields, filters]);
 
   if (loading) {
     return <Box>{t('loading')}</Box>;
   }
 
   if (error) {
-    return <Box color="red.500">{t('error.fetchingFilters')}: {error}</Box>;
+    return <Box color="red.500">{t('error.fetchingFilters')}: {error.message}</Box>;
   }
 
   if (!fields.length) {
     return null;
   }
 
-  // Helper function to get field label in current language
-  const getFieldLabel = (field) => {
-    return field.labelI18n[language] || field.name;
-  };
-
-  // Helper function to get option label in current language
-  const getOptionLabel = (option) => {
-    return option.labelI18n[language] || option.value;
-  };
-
-  // Render filter based on field type
+  // Render filter using the widget registered for its type
   const renderFilter = (field) => {
     const fieldName = field.name;
     const fieldValue = filters[fieldName] || '';
+    // With no parent selected, dependent filters keep their full option list
+    const fieldOptions = getAvailableOptions(field, filters, { ignoreUnset: true });
+    const handleFilterValueChange = (value) => {
+      onFilterChange(fieldName, value);
+
+      // Reset dependent filters (e.g. Model after Make changed) that no longer fit
+      const staleValues = getStaleDependentValues(
+        fields,
+        { ...filters, [fieldName]: value },
+        { ignoreUnset: true, emptyValue: null }
+      );
+      Object.entries(staleValues).forEach(([name, staleValue]) => {
+        onFilterChange(name, staleValue);
+      });
+    };
 
-    switch (field.fieldType) {
-      case 'TEXT':
-        return (
-          <FormControl key={field.id} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Input
-              value={fieldValue}
-              onChange={(e) => {
-                onFilterChange(fieldName, e.target.value);
-              }}
-              placeholder={t('search.filterPlaceholder')}
-            />
-          </FormControl>
-        );
-
-      case 'NUMBER':
-        return (
-          <FormControl key={field.id} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <NumberInput
-              value={fieldValue}
-              onChange={(valueString) => {
-                onFilterChange(fieldName, parseFloat(valueString) || 0);
-              }}
-            >
-              <NumberInputField />
-              <NumberInputStepper>
-                <NumberIncrementStepper />
-                <NumberDecrementStepper />
-              </NumberInputStepper>
-            </NumberInput>
-          </FormControl>
-        );
-
-      case 'SELECT':
-        return (
-          <FormControl key={field.id} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Select
-              value={fieldValue}
-              onChange={(e) => {
-                onFilterChange(fieldName, e.target.value);
-              }}
-              placeholder={t('search.all')}
-            >
-              {field.options.map((option) => (
-                <option key={option.id} value={option.value}>
-                  {getOptionLabel(option)}
-                </option>
-              ))}
-            </Select>
-          </FormControl>
-        );
-
-      case 'MULTISELECT':
-        return (
-          <FormControl key={field.id} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Stack spacing={2} direction="column">
-              {field.options.map((option) => (
-                <Checkbox
-                  key={option.id}
-                  isChecked={Array.isArray(fieldValue) && fieldValue.includes(option.value)}
-                  onChange={(e) => {
-                    const currentValues = Array.isArray(fieldValue) ? [...fieldValue] : [];
-                    if (e.target.checked) {
-                      if (!currentValues.includes(option.value)) {
-                        currentValues.push(option.value);
-                      }
-                    } else {
-                      const index = currentValues.indexOf(option.value);
-                      if (index !== -1) {
-                        currentValues.splice(index, 1);
-                      }
-                    }
-                    onFilterChange(fieldName, currentValues);
-                  }}
-                >
-                  {getOptionLabel(option)}
-                </Checkbox>
-              ))}
-            </Stack>
-          </FormControl>
-        );
-
-      case 'BOOLEAN':
-        return (
-          <FormControl key={field.id} mb={4}>
-            <Checkbox
-              isChecked={!!fieldValue}
-              onChange={(e) => {
-                onFilterChange(fieldName, e.target.checked);
-              }}
-            >
-              {getFieldLabel(field)}
-            </Checkbox>
-          </FormControl>
-        );
-
-      case 'DATE':
-        return (
-          <FormControl key={field.id} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Box border="1px solid" borderColor="gray.200" borderRadius="md" p={2}>
-              <DatePicker
-                selected={fieldValue ? new Date(fieldValue) : null}
-                onChange={(date) => {
-                  onFilterChange(fieldName, date);
-                }}
-                dateFormat="yyyy-MM-dd"
-                className="w-full"
-                placeholderText={t('search.selectDate')}
-              />
-            </Box>
-          </FormControl>
-        );
-
-      case 'RANGE':
-        const minValue = fieldValue?.min || 0;
-        const maxValue = fieldValue?.max || 100;
-        const validationRules = field.validationRules || {};
-        const absoluteMin = validationRules.min !== undefined ? validationRules.min : 0;
-        const absoluteMax = validationRules.max !== undefined ? validationRules.max : 1000;
-
-        return (
-          <FormControl key={field.id} mb={4}>
-            <FormLabel>{getFieldLabel(field)}</FormLabel>
-            <Box pt={6} pb={2}>
-              <RangeSlider
-                aria-label={['min', 'max']}
-                defaultValue={[minValue, maxValue]}
-                min={absoluteMin}
-                max={absoluteMax}
-                onChange={(values) => {
-                  onFilterChange(fieldName, { min: values[0], max: values[1] });
-                }}
-              >
-                <RangeSliderTrack>
-                  <RangeSliderFilledTrack />
-                </RangeSliderTrack>
-                <RangeSliderThumb index={0} />
-                <RangeSliderThumb index={1} />
-              </RangeSlider>
-              <HStack justifyContent="space-between" mt={2}>
-                <Text fontSize="sm">{minValue}</Text>
-                <Text fontSize="sm">{maxValue}</Text>
-              </HStack>
-            </Box>
-          </FormControl>
-        );
-
-      default:
-        return null;
-    }
+    const definition = getFieldType(field.fieldType);
+    // Types without a filter widget can't be filtered on
+    if (!definition?.FilterInput) return null;
+    const { FilterInput } = definition;
+
+    // Filters made of several controls are a fieldset named by its legend
+    return (
+      <FormControl
+        key={field.id}
+        id={`filter-${fieldName}`}
+        as={definition.isFilterGroup ? 'fieldset' : undefined}
+        mb={4}
+      >
+        {!definition.inlineFilterLabel && (
+          <FormLabel
+            as={definition.isFilterGroup ? 'legend' : undefined}
+            htmlFor={definition.isFilterGroup ? null : undefined}
+          >
+            {getFieldLabel(field, language)}
+          </FormLabel>
+        )}
+        <FilterInput
+          field={field}
+          value={fieldValue}
+          options={fieldOptions}
+          facets={facets[fieldName]}
+          loadSuggestions={suggestionLoaders[fieldName]}
+          label={getFieldLabel(field, language)}
+          onChange={handleFilterValueChange}
+          language={language}
+          unitSystem={unitSystem}
+          t={t}
+        />
+      </FormControl>
+    );
   };
 
   return (
     <Box 
+      as="section"
+      aria-labelledby="search-filters-heading"
       borderWidth="1px" 
       borderRadius="lg" 
       p={4} 
@@ -251,16 +163,41 @@ const DynamicSearchFilters = ({
         cursor="pointer"
         onClick={() => setIsOpen(!isOpen)}
       >
-        <Text fontSize="lg" fontWeight="bold">
+        <Text id="search-filters-heading" fontSize="lg" fontWeight="bold">
           {t('search.filters')}
         </Text>
-        <Button variant="ghost" size="sm">
-          {isOpen ? <ChevronUpIcon /> : <ChevronDownIcon />}
+        {/* The header toggles on click too; the button is what keyboards and
+            screen readers use */}
+        <Button
+          variant="ghost"
+          size="sm"
+          aria-expanded={isOpen}
+          aria-controls="search-filters-panel"
+          aria-labelledby="search-filters-heading"
+          onClick={(e) => {
+            e.stopPropagation();
+            setIsOpen(!isOpen);
+          }}
+        >
+          {isOpen ? <ChevronUpIcon aria-hidden="true" /> : <ChevronDownIcon aria-hidden="true" />}
         </Button>
       </Flex>
       
-      <Collapse in={isOpen} animateOpacity>
-        {fields.map(renderFilter)}
+      <Collapse id="search-filters-panel" in={isOpen} animateOpacity>
+        {visibleFields.some((field) => getFieldUnits(field).length > 1) && (
+          <FormControl mb={4}>
+            <FormLabel>{t('search.unitSystem')}</FormLabel>
+            <Select value={unitSystem} onChange={(e) => setUnitSystem(e.target.value)}>
+              {UNIT_SYSTEMS.map((system) => (
+                <option key={system} value={system}>
+                  {t(`units.systems.${system}`)}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+
+        {visibleFields.map(renderFilter)}
         
         <Button 
           mt={4} 
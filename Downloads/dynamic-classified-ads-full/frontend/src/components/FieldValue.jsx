@@ -0,0 +1,31 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Text } from '@chakra-ui/react';
+import { getFieldType } from '../fieldTypes';
+import { getOptionLabel } from '../lib/languages';
+
+// Component for an attribute value, rendered with the formatter registered
+// for its field type and option labels in the given language. An unset value
+// shows as '-' unless showUnset hands it to the formatter (e.g. an unset
+// BOOLEAN reads as "no" when ads are compared).
+const FieldValue = ({ field, value, language = 'ar', unitSystem, showUnset = false }) => {
+  const { t } = useTranslation();
+  if (!showUnset && (value === undefined || value === null)) return '-';
+
+  const definition = getFieldType(field.fieldType);
+  if (!definition) return <Text>{String(value)}</Text>;
+  const { DisplayValue } = definition;
+
+  return (
+    <DisplayValue
+      field={field}
+      value={value}
+      getOptionLabel={(optionValue) => getOptionLabel(field, optionValue, language)}
+      language={language}
+      unitSystem={unitSystem}
+      t={t}
+    />
+  );
+};
+
+export default FieldValue;
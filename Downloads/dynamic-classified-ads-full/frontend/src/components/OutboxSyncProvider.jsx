@@ -0,0 +1,57 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useToast } from '@chakra-ui/react';
+import useOutboxSync from '../hooks/useOutboxSync';
+
+const OutboxSyncContext = createContext(null);
+
+// Component for submitting queued ad drafts in the background. Render it once
+// near the app root (e.g. in pages/_app.jsx, inside ChakraProvider); it reports
+// what each sync submitted, and components below it such as DraftList read
+// syncNow and the latest results through useOutboxSyncContext.
+const OutboxSyncProvider = ({ children }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const [lastResults, setLastResults] = useState(null);
+
+  const handleSynced = useCallback(
+    (results) => {
+      const submitted = results.filter((result) => result.status === 'submitted').length;
+      const needsReview = results.length - submitted;
+      if (submitted) {
+        toast({
+          title: t('drafts.submitted', { count: submitted }),
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      }
+      if (needsReview) {
+        toast({
+          title: t('drafts.needsReview', { count: needsReview }),
+          status: 'warning',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+      setLastResults(results);
+    },
+    [t, toast]
+  );
+
+  const syncNow = useOutboxSync(handleSynced);
+  const value = useMemo(() => ({ syncNow, lastResults }), [syncNow, lastResults]);
+
+  return <OutboxSyncContext.Provider value={value}>{children}</OutboxSyncContext.Provider>;
+};
+
+// { syncNow, lastResults } of the OutboxSyncProvider above
+export const useOutboxSyncContext = () => {
+  const context = useContext(OutboxSyncContext);
+  if (!context) {
+    throw new Error('useOutboxSyncContext must be used inside OutboxSyncProvider');
+  }
+  return context;
+};
+
+export default OutboxSyncProvider;
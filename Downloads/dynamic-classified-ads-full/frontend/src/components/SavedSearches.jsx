@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useRouter } from 'next/router';
+import { Box, Text, Flex, Input, Button, IconButton, Switch, Stack, FormControl,
+         FormLabel, useToast } from '@chakra-ui/react';
+import { EditIcon, DeleteIcon, CheckIcon, CloseIcon } from '@chakra-ui/icons';
+import { encodeFilters, omitFilterParams } from '../lib/filterQuery';
+import { fetchSavedSearches, createSavedSearch, updateSavedSearch,
+         deleteSavedSearch } from '../lib/savedSearches';
+
+// Component for saving the current search filters and managing saved searches
+const SavedSearches = ({ categoryId, filters }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const router = useRouter();
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [loading, setLoading] = useState(!!categoryId);
+  const [loginRequired, setLoginRequired] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const showError = useCallback((err) => {
+    console.error('Error in saved searches:', err);
+    if (err.status === 401) {
+      setLoginRequired(true);
+      return;
+    }
+    toast({
+      title: t('savedSearches.error'),
+      description: err.message,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  }, [t, toast]);
+
+  // Fetch the user's saved searches for this category; without a category
+  // there are none to show
+  useEffect(() => {
+    if (!categoryId) {
+      setSavedSearches([]);
+      setLoading(false);
+      return;
+    }
+
+    const loadSavedSearches = async () => {
+      setLoading(true);
+      try {
+        setSavedSearches(await fetchSavedSearches(categoryId));
+        setLoginRequired(false);
+      } catch (err) {
+        showError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSavedSearches();
+  }, [categoryId, showError]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const savedSearch = await createSavedSearch({
+        name: newName.trim(),
+        categoryId,
+        query: encodeFilters(filters),
+      });
+      setSavedSearches((current) => [...current, savedSearch]);
+      setNewName('');
+      toast({
+        title: t('savedSearches.saved'),
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  // Replace the saved search in the list with the API's updated copy
+  const handleUpdate = async (id, changes) => {
+    try {
+      const updated = await updateSavedSearch(id, changes);
+      setSavedSearches((current) => current.map((savedSearch) => (savedSearch.id === id ? updated : savedSearch)));
+      return true;
+    } catch (err) {
+      showError(err);
+      return false;
+    }
+  };
+
+  const handleRename = async (id) => {
+    const name = renameValue.trim();
+    if (!name) return;
+    if (await handleUpdate(id, { name })) {
+      setRenamingId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteSavedSearch(id);
+      setSavedSearches((current) => current.filter((savedSearch) => savedSearch.id !== id));
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  // Navigate to the saved filters; DynamicSearchFilters picks them up from the URL
+  const handleApply = (savedSearch) => {
+    router.push(
+      { pathname: router.pathname, query: { ...omitFilterParams(router.query), ...savedSearch.query } },
+      undefined,
+      { shallow: true, scroll: false }
+    );
+  };
+
+  if (loginRequired) {
+    return (
+      <Box borderWidth="1px" borderRadius="lg" p={4} mb={4} bg="white">
+        <Text color="gray.600">{t('savedSearches.loginRequired')}</Text>
+      </Box>
+    );
+  }
+
+  return (
+    <Box borderWidth="1px" borderRadius="lg" p={4} mb={4} bg="white" boxShadow="sm">
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        {t('savedSearches.title')}
+      </Text>
+
+      <form onSubmit={handleSave}>
+        <Flex gap={2} mb={4}>
+          <Input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t('savedSearches.namePlaceholder')}
+            aria-label={t('savedSearches.name')}
+          />
+          <Button type="submit" colorScheme="blue" isDisabled={!newName.trim()}>
+            {t('savedSearches.save')}
+          </Button>
+        </Flex>
+      </form>
+
+      {loading ? (
+        <Text>{t('loading')}</Text>
+      ) : savedSearches.length === 0 ? (
+        <Text color="gray.500">{t('savedSearches.empty')}</Text>
+      ) : (
+        <Stack spacing={3}>
+          {savedSearches.map((savedSearch) => (
+            <Flex key={savedSearch.id} alignItems="center" gap={2} wrap="wrap">
+              {renamingId === savedSearch.id ? (
+                <>
+                  <Input
+                    size="sm"
+                    flex="1"
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRename(savedSearch.id);
+                      if (e.key === 'Escape') setRenamingId(null);
+                    }}
+                    aria-label={t('savedSearches.name')}
+                    autoFocus
+                  />
+                  <IconButton
+                    size="sm"
+                    icon={<CheckIcon />}
+                    aria-label={t('savedSearches.saveName')}
+                    onClick={() => handleRename(savedSearch.id)}
+                  />
+                  <IconButton
+                    size="sm"
+                    icon={<CloseIcon />}
+                    aria-label={t('savedSearches.cancel')}
+                    onClick={() => setRenamingId(null)}
+                  />
+                </>
+              ) : (
+                <>
+                  <Button variant="link" colorScheme="blue" flex="1" justifyContent="flex-start" onClick={() => handleApply(savedSearch)}>
+                    {savedSearch.name}
+                  </Button>
+                  <IconButton
+                    size="sm"
+                    icon={<EditIcon />}
+                    aria-label={t('savedSearches.rename')}
+                    onClick={() => {
+                      setRenamingId(savedSearch.id);
+                      setRenameValue(savedSearch.name);
+                    }}
+                  />
+                </>
+              )}
+              <FormControl display="flex" alignItems="center" width="auto">
+                <FormLabel htmlFor={`saved-search-notify-${savedSearch.id}`} mb={0} fontSize="sm">
+                  {t('savedSearches.notify')}
+                </FormLabel>
+                <Switch
+                  id={`saved-search-notify-${savedSearch.id}`}
+                  isChecked={!!savedSearch.notify}
+                  onChange={(e) => handleUpdate(savedSearch.id, { notify: e.target.checked })}
+                />
+              </FormControl>
+              <IconButton
+                size="sm"
+                colorScheme="red"
+                icon={<DeleteIcon />}
+                aria-label={t('savedSearches.delete')}
+                onClick={() => handleDelete(savedSearch.id)}
+              />
+            </Flex>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default SavedSearches;
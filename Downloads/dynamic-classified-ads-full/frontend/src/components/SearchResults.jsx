@@ -0,0 +1,95 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Text, Flex, Select, Button, ButtonGroup, FormControl, FormLabel, SimpleGrid,
+         Stack } from '@chakra-ui/react';
+import AdResultCard from './AdResultCard';
+import useCategoryFields from '../hooks/useCategoryFields';
+import useSearchSort from '../hooks/useSearchSort';
+import useResultLayout from '../hooks/useResultLayout';
+import usePreferredUnitSystem from '../hooks/usePreferredUnitSystem';
+import { getFieldLabel } from '../lib/languages';
+import { RESULT_LAYOUTS, SORT_DIRECTIONS, encodeSort, decodeSort, getSortableFields,
+         sortAds } from '../lib/searchResults';
+
+// Component for the ads of a search with sort and layout controls built from
+// the category's field metadata. The sort is kept in the URL next to the
+// filters, so the page can pass it on to the search API; the ads are also
+// ordered here so a page of results always shows in the chosen order.
+// getAdHref(ad) links each card to its ad.
+const SearchResults = ({ categoryId, ads = [], loading = false, getAdHref, language = 'ar', unitSystem }) => {
+  const { t } = useTranslation();
+  const { fields } = useCategoryFields(categoryId);
+  const [sort, setSort] = useSearchSort(fields);
+  const [layout, setLayout] = useResultLayout();
+  const [preferredUnitSystem] = usePreferredUnitSystem();
+
+  const sortableFields = useMemo(() => getSortableFields(fields), [fields]);
+  const sortedAds = useMemo(() => sortAds(ads, fields, sort, language), [ads, fields, sort, language]);
+
+  const renderCard = (ad) => (
+    <AdResultCard
+      key={ad.id}
+      ad={ad}
+      fields={fields}
+      layout={layout}
+      href={getAdHref ? getAdHref(ad) : undefined}
+      language={language}
+      unitSystem={unitSystem || preferredUnitSystem}
+    />
+  );
+
+  return (
+    <Box>
+      <Flex justifyContent="space-between" alignItems="flex-end" wrap="wrap" gap={4} mb={4}>
+        {sortableFields.length > 0 ? (
+          <FormControl width="auto">
+            <FormLabel fontSize="sm">{t('search.sort.label')}</FormLabel>
+            <Select
+              size="sm"
+              value={encodeSort(sort) || ''}
+              onChange={(e) => setSort(decodeSort(e.target.value, fields))}
+            >
+              <option value="">{t('search.sort.default')}</option>
+              {sortableFields.map((field) =>
+                SORT_DIRECTIONS.map((direction) => (
+                  <option key={`${field.name}.${direction}`} value={encodeSort({ fieldName: field.name, direction })}>
+                    {t(`search.sort.${direction}`, { field: getFieldLabel(field, language) })}
+                  </option>
+                ))
+              )}
+            </Select>
+          </FormControl>
+        ) : (
+          <Box />
+        )}
+
+        <ButtonGroup size="sm" isAttached variant="outline" role="group" aria-label={t('search.layouts.label')}>
+          {RESULT_LAYOUTS.map((option) => (
+            <Button
+              key={option}
+              onClick={() => setLayout(option)}
+              isActive={layout === option}
+              aria-pressed={layout === option}
+            >
+              {t(`search.layouts.${option}`)}
+            </Button>
+          ))}
+        </ButtonGroup>
+      </Flex>
+
+      {loading ? (
+        <Box>{t('loading')}</Box>
+      ) : sortedAds.length === 0 ? (
+        <Text color="gray.500">{t('search.noResults')}</Text>
+      ) : layout === 'list' ? (
+        <Stack spacing={3}>{sortedAds.map(renderCard)}</Stack>
+      ) : (
+        <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={4}>
+          {sortedAds.map(renderCard)}
+        </SimpleGrid>
+      )}
+    </Box>
+  );
+};
+
+export default SearchResults;
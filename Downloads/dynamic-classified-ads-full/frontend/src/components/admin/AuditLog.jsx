@@ -0,0 +1,134 @@
+import React, { useState, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery } from 'react-query';
+import { Box, Heading, Text, Select, Input, Flex, Stack, Badge, Button, FormControl,
+         FormLabel } from '@chakra-ui/react';
+import { auditLogKey, fetchAuditLog, getAuditChange, getRevertTarget } from '../../lib/auditLog';
+import { formatPropertyValue } from '../../lib/schemaDiff';
+import { formatDate } from '../../lib/formatting';
+
+const ACTION_COLORS = {
+  create: 'green',
+  update: 'blue',
+  delete: 'red',
+  reorder: 'purple',
+};
+
+// Component for the change history of a category's fields, or of one field
+// when fieldName is given. onRevert(entry) restores the field state an
+// entry recorded.
+const AuditLog = ({ categoryId, fieldName, language, onRevert, isReverting = false }) => {
+  const { t } = useTranslation();
+  const [actorId, setActorId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const filters = { fieldName, from, to };
+  const { data: entries = [], isLoading, error } = useQuery(
+    auditLogKey(categoryId, filters),
+    () => fetchAuditLog(categoryId, filters),
+    { enabled: !!categoryId, keepPreviousData: true }
+  );
+
+  // Actors come from the loaded period, so the list only offers users who
+  // changed something in it
+  const actors = useMemo(
+    () => Array.from(new Map(entries.map(({ actor }) => [String(actor.id), actor])).values()),
+    [entries]
+  );
+  const visibleEntries = actorId ? entries.filter(({ actor }) => String(actor.id) === actorId) : entries;
+
+  // Helper function to describe what an entry did besides its action
+  const renderDetails = (entry) => {
+    if (entry.action === 'reorder') {
+      return <Text fontSize="sm">{(entry.after || []).join(', ')}</Text>;
+    }
+    const change = getAuditChange(entry);
+    if (!change) return null;
+    return (
+      <>
+        {change.properties.map(({ property, before, after }) => (
+          <Text key={property} fontSize="sm">
+            {property}: {formatPropertyValue(before)} → {formatPropertyValue(after)}
+          </Text>
+        ))}
+        {change.addedOptions.length > 0 && (
+          <Text fontSize="sm" color="green.600">
+            {t('admin.versions.addedOptions', { options: change.addedOptions.join(', ') })}
+          </Text>
+        )}
+        {change.removedOptions.length > 0 && (
+          <Text fontSize="sm" color="red.600">
+            {t('admin.versions.removedOptions', { options: change.removedOptions.join(', ') })}
+          </Text>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Box mt={fieldName ? 0 : 8}>
+      {!fieldName && (
+        <Heading size="md" mb={4}>
+          {t('admin.audit.title')}
+        </Heading>
+      )}
+
+      <Flex gap={2} mb={4} wrap="wrap" alignItems="flex-end">
+        <FormControl width="auto">
+          <FormLabel fontSize="sm">{t('admin.audit.user')}</FormLabel>
+          <Select size="sm" value={actorId} onChange={(e) => setActorId(e.target.value)}>
+            <option value="">{t('admin.audit.allUsers')}</option>
+            {actors.map((actor) => (
+              <option key={actor.id} value={String(actor.id)}>
+                {actor.name}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl width="auto">
+          <FormLabel fontSize="sm">{t('admin.audit.from')}</FormLabel>
+          <Input size="sm" type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+        </FormControl>
+        <FormControl width="auto">
+          <FormLabel fontSize="sm">{t('admin.audit.to')}</FormLabel>
+          <Input size="sm" type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+        </FormControl>
+      </Flex>
+
+      {isLoading ? (
+        <Box>{t('loading')}</Box>
+      ) : error ? (
+        <Box color="red.500">{error.message}</Box>
+      ) : visibleEntries.length === 0 ? (
+        <Text color="gray.500">{t('admin.audit.empty')}</Text>
+      ) : (
+        <Stack spacing={3}>
+          {visibleEntries.map((entry) => (
+            <Box key={entry.id} borderWidth="1px" borderRadius="md" p={3}>
+              <Flex gap={2} alignItems="center" mb={1} wrap="wrap">
+                <Badge colorScheme={ACTION_COLORS[entry.action] || 'gray'}>
+                  {t(`admin.audit.actions.${entry.action}`)}
+                </Badge>
+                {entry.fieldName && <Text fontWeight="bold">{entry.fieldName}</Text>}
+                <Text fontSize="sm" color="gray.500">
+                  {t('admin.audit.by', {
+                    user: entry.actor.name,
+                    date: formatDate(entry.createdAt, language, { hour: '2-digit', minute: '2-digit' }),
+                  })}
+                </Text>
+                {onRevert && getRevertTarget(entry) && (
+                  <Button size="xs" ms="auto" onClick={() => onRevert(entry)} isDisabled={isReverting}>
+                    {t('admin.audit.revert')}
+                  </Button>
+                )}
+              </Flex>
+              {renderDetails(entry)}
+            </Box>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default AuditLog;
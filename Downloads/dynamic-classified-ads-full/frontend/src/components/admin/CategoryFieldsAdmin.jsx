@@ -1,19 +1,44 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Box, Heading, FormControl, FormLabel, Input, Select, Button, 
+import { Box, Heading, FormControl, FormLabel, FormHelperText, Input, Select, Button, 
          Table, Thead, Tbody, Tr, Th, Td, IconButton, Flex, 
          Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, 
          ModalCloseButton, ModalFooter, useDisclosure, 
          Tabs, TabList, Tab, TabPanels, TabPanel, 
-         Badge, useToast } from '@chakra-ui/react';
-import { AddIcon, EditIcon, DeleteIcon, ArrowUpIcon, ArrowDownIcon } from '@chakra-ui/icons';
+         Badge, Text, Checkbox, CheckboxGroup, Stack, Tooltip, useToast } from '@chakra-ui/react';
+import { AddIcon, EditIcon, DeleteIcon, ArrowUpIcon, ArrowDownIcon, ArrowBackIcon,
+         ArrowForwardIcon, TimeIcon } from '@chakra-ui/icons';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { useQueryClient } from 'react-query';
+import { VISIBILITY_OPERATORS } from '../../lib/fieldVisibility';
+import { getFieldType, getFieldTypes } from '../../fieldTypes';
+import { UNITS, getCompatibleUnits, getUnitLabel } from '../../lib/units';
+import { CURRENCIES } from '../../lib/formatting';
+import { categoryFieldsKey } from '../../lib/categoryFields';
+import { SUPPORTED_LANGUAGES, createEmptyLabels, getLanguageDirection, getLanguageLabel } from '../../lib/languages';
+import { schemaVersionsKey } from '../../lib/schemaVersions';
+import { createFieldCommand, editFieldCommand, deleteFieldCommand,
+         reorderFieldsCommand } from '../../lib/fieldCommands';
+import { auditLogKey, getRevertTarget } from '../../lib/auditLog';
+import { getFieldChangeErrors } from '../../lib/adminPermissions';
+import useCommandHistory from '../../hooks/useCommandHistory';
+import useAdminPermissions from '../../hooks/useAdminPermissions';
+import SchemaVersions from './SchemaVersions';
+import AuditLog from './AuditLog';
+import InheritedFields from './InheritedFields';
+import FieldImportExport from './FieldImportExport';
+import FieldPreview from './FieldPreview';
+import OptionsCsvImport from './OptionsCsvImport';
 
 // Component for managing category fields in admin panel
 const CategoryFieldsAdmin = ({ categoryId }) => {
   const { t, i18n } = useTranslation();
   const toast = useToast();
+  const queryClient = useQueryClient();
+  const { user, can } = useAdminPermissions(categoryId);
   const { isOpen, onOpen, onClose } = useDisclosure();
+  const { isOpen: isFieldHistoryOpen, onOpen: onFieldHistoryOpen, onClose: onFieldHistoryClose } = useDisclosure();
+  const [historyFieldName, setHistoryFieldName] = useState(null);
   const [fields, setFields] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -21,37 +46,48 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
   const [currentOptions, setCurrentOptions] = useState([]);
   const [isEditing, setIsEditing] = useState(false);
   const [activeTab, setActiveTab] = useState(0);
-  const [fieldTypes] = useState([
-    { value: 'TEXT', label: t('admin.fieldTypes.text') },
-    { value: 'NUMBER', label: t('admin.fieldTypes.number') },
-    { value: 'SELECT', label: t('admin.fieldTypes.select') },
-    { value: 'MULTISELECT', label: t('admin.fieldTypes.multiselect') },
-    { value: 'BOOLEAN', label: t('admin.fieldTypes.boolean') },
-    { value: 'DATE', label: t('admin.fieldTypes.date') },
-    { value: 'RANGE', label: t('admin.fieldTypes.range') }
-  ]);
+  const [fieldTypes] = useState(() =>
+    getFieldTypes().map((definition) => ({
+      value: definition.type,
+      label: t(definition.labelKey, { defaultValue: definition.label || definition.type }),
+    }))
+  );
   
   const currentLanguage = i18n.language || 'ar';
-  const supportedLanguages = ['ar', 'en', 'sv'];
+  // A translator opens the editor for the labels only
+  const canEditStructure = isEditing ? can('editField') : can('createField');
+  const canChangeType = !isEditing || can('changeFieldType');
+  // Helper function to title an error toast; a 403 means a missing permission
+  const getErrorTitle = (err) => (err.status === 403 ? t('admin.permissions.denied') : t('admin.error'));
+  const currentTypeDefinition = getFieldType(currentField?.fieldType);
+  const hasOptions = (fieldType) => !!getFieldType(fieldType)?.hasOptions;
 
-  // Fetch category fields
-  const fetchFields = async () => {
-    setLoading(true);
+  // Fetch category fields. A background refresh keeps the table on screen.
+  const fetchFields = async ({ background = false } = {}) => {
+    if (!background) setLoading(true);
     try {
       const response = await fetch(`/api/admin/category-fields?categoryId=${categoryId}`);
       if (!response.ok) {
-        throw new Error('Failed to fetch category fields');
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.message || 'Failed to fetch category fields');
+        error.status = response.status;
+        throw error;
       }
       const data = await response.json();
       // Sort fields by order
       const sortedFields = data.sort((a, b) => a.order - b.order);
       setFields(sortedFields);
       setError(null);
+      // Forms and filters showing this category refetch the changed schema,
+      // and the version a save created shows up in the history
+      queryClient.invalidateQueries(categoryFieldsKey(categoryId));
+      queryClient.invalidateQueries(schemaVersionsKey(categoryId));
+      queryClient.invalidateQueries(auditLogKey(categoryId));
     } catch (err) {
       console.error('Error fetching category fields:', err);
       setError(err.message);
       toast({
-        title: t('admin.error'),
+        title: getErrorTitle(err),
         description: err.message,
         status: 'error',
         duration: 5000,
@@ -62,6 +98,25 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
     }
   };
 
+  // Changes go through the command history so they can be undone. The list
+  // updates right away and is refetched once the API has confirmed.
+  const history = useCommandHistory({
+    state: fields,
+    setState: setFields,
+    onSettled: () => fetchFields({ background: true }),
+    onError: (err) => {
+      console.error('Error saving field change:', err);
+      toast({
+        title: getErrorTitle(err),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    },
+  });
+  const { undo, redo, clear: clearHistory } = history;
+
   // Initial fetch
   useEffect(() => {
     if (categoryId) {
@@ -69,158 +124,175 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
     }
   }, [categoryId]);
 
-  // Handle field form submission
-  const handleFieldSubmit = async (e) => {
-    e.preventDefault();
-    
-    try {
-      let response;
-      const fieldData = {
-        ...currentField,
-        categoryId,
-      };
-      
-      if (isEditing) {
-        // Update existing field with options
-        response = await fetch(`/api/admin/category-fields/${currentField.id}/with-options`, {
-          method: 'PATCH',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            field: fieldData,
-            options: currentOptions,
-            deleteOptions: [], // Add IDs of options to delete if needed
-          }),
-        });
-      } else {
-        // Create new field with options
-        response = await fetch('/api/admin/category-fields/with-options', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            field: fieldData,
-            options: currentOptions,
-          }),
-        });
-      }
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to save field');
-      }
+  // Commands belong to the category they were made in
+  useEffect(() => {
+    clearHistory();
+  }, [categoryId, clearHistory]);
 
-      // Refresh fields list
-      fetchFields();
-      
-      // Close modal and reset form
-      onClose();
-      setCurrentField(null);
-      setCurrentOptions([]);
-      setIsEditing(false);
-      
+  const handleUndo = useCallback(async () => {
+    const command = history.nextUndo;
+    if (command && (await undo())) {
       toast({
-        title: isEditing ? t('admin.fieldUpdated') : t('admin.fieldCreated'),
+        title: t('admin.history.undone', { action: t(command.labelKey, command.params) }),
         status: 'success',
         duration: 3000,
         isClosable: true,
       });
-    } catch (err) {
-      console.error('Error saving field:', err);
+    }
+  }, [history.nextUndo, undo, t, toast]);
+
+  const handleRedo = useCallback(async () => {
+    const command = history.nextRedo;
+    if (command && (await redo())) {
       toast({
-        title: t('admin.error'),
-        description: err.message,
-        status: 'error',
-        duration: 5000,
+        title: t('admin.history.redone', { action: t(command.labelKey, command.params) }),
+        status: 'success',
+        duration: 3000,
         isClosable: true,
       });
     }
-  };
+  }, [history.nextRedo, redo, t, toast]);
 
-  // Handle field deletion
-  const handleDeleteField = async (fieldId) => {
-    if (!confirm(t('admin.confirmDeleteField'))) return;
-    
-    try {
-      const response = await fetch(`/api/admin/category-fields/${fieldId}`, {
-        method: 'DELETE',
-      });
+  // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to
+  // redo. Text inputs and the open editor keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isOpen || !(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to delete field');
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
       }
+    };
 
-      // Refresh fields list
-      fetchFields();
-      
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleUndo, handleRedo]);
+
+  // Check a field save against the user's permissions (see
+  // getFieldChangeErrors) and report the first denial. The API rejects it
+  // anyway, but this keeps the modal and its data open.
+  const isFieldChangeAllowed = (before, after) => {
+    const [permissionError] = getFieldChangeErrors(user, categoryId, before, after);
+    if (!permissionError) return true;
+    toast({
+      title: t('admin.permissions.denied'),
+      description: t(permissionError.key, permissionError.params),
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+    return false;
+  };
+
+  // Handle field form submission
+  const handleFieldSubmit = async (e) => {
+    e.preventDefault();
+
+    const fieldData = {
+      ...currentField,
+      categoryId,
+      options: currentOptions,
+    };
+    const savedField = isEditing && fields.find((field) => field.id === currentField.id);
+
+    if (!isFieldChangeAllowed(savedField || null, fieldData)) return;
+    const command = isEditing
+      ? editFieldCommand(categoryId, savedField, fieldData)
+      : createFieldCommand(categoryId, fieldData);
+
+    // Close right away; the modal comes back with the entered data if saving fails
+    onClose();
+    if (!(await history.execute(command))) {
+      onOpen();
+      return;
+    }
+
+    setCurrentField(null);
+    setCurrentOptions([]);
+    setIsEditing(false);
+
+    toast({
+      title: isEditing ? t('admin.fieldUpdated') : t('admin.fieldCreated'),
+      description: t('admin.history.undoHint'),
+      status: 'success',
+      duration: 3000,
+      isClosable: true,
+    });
+  };
+
+  // Handle field deletion. It can be undone, so there is no confirmation.
+  const handleDeleteField = async (field) => {
+    if (await history.execute(deleteFieldCommand(categoryId, field))) {
       toast({
         title: t('admin.fieldDeleted'),
+        description: t('admin.history.undoHint'),
         status: 'success',
         duration: 3000,
         isClosable: true,
       });
-    } catch (err) {
-      console.error('Error deleting field:', err);
-      toast({
-        title: t('admin.error'),
-        description: err.message,
-        status: 'error',
-        duration: 5000,
-        isClosable: true,
-      });
     }
   };
 
   // Handle field reordering
   const handleReorderFields = async (result) => {
-    if (!result.destination) return;
-    
-    const items = Array.from(fields);
-    const [reorderedItem] = items.splice(result.source.index, 1);
-    items.splice(result.destination.index, 0, reorderedItem);
-    
-    // Update local state immediately for better UX
-    setFields(items);
-    
-    // Send reorder request to backend
-    try {
-      const fieldIds = items.map(field => field.id);
-      const response = await fetch(`/api/admin/category-fields/${categoryId}/reorder`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ fieldIds }),
-      });
+    if (!result.destination || result.destination.index === result.source.index) return;
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to reorder fields');
-      }
-      
+    const names = fields.map((field) => field.name);
+    const reorderedNames = Array.from(names);
+    const [reorderedName] = reorderedNames.splice(result.source.index, 1);
+    reorderedNames.splice(result.destination.index, 0, reorderedName);
+
+    if (await history.execute(reorderFieldsCommand(categoryId, names, reorderedNames))) {
       toast({
         title: t('admin.fieldsReordered'),
         status: 'success',
         duration: 2000,
         isClosable: true,
       });
-    } catch (err) {
-      console.error('Error reordering fields:', err);
-      // Revert to original order on error
-      fetchFields();
+    }
+  };
+
+  // Restore the field state an audit log entry recorded. This is a regular
+  // edit (or a create for a deleted field), so it can be undone as well, and
+  // needs the same permissions as making that change by hand.
+  const handleRevertEntry = async (entry) => {
+    const target = getRevertTarget(entry);
+    const savedField =
+      fields.find((field) => entry.fieldId !== undefined && field.id === entry.fieldId) ||
+      fields.find((field) => field.name === target.name);
+    const fieldData = savedField
+      ? { ...target, id: savedField.id, order: savedField.order }
+      : { ...target, order: fields.length };
+    if (!isFieldChangeAllowed(savedField || null, fieldData)) return;
+
+    const command = savedField
+      ? editFieldCommand(categoryId, savedField, fieldData)
+      : createFieldCommand(categoryId, fieldData);
+
+    if (await history.execute(command)) {
       toast({
-        title: t('admin.error'),
-        description: err.message,
-        status: 'error',
-        duration: 5000,
+        title: t('admin.audit.reverted', { name: target.name }),
+        description: t('admin.history.undoHint'),
+        status: 'success',
+        duration: 3000,
         isClosable: true,
       });
     }
   };
 
+  // Open the change history of one field
+  const handleShowFieldHistory = (field) => {
+    setHistoryFieldName(field.name);
+    onFieldHistoryOpen();
+  };
+
   // Handle option reordering
   const handleReorderOptions = async (result) => {
     if (!result.destination) return;
@@ -242,13 +314,16 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
   const handleAddField = () => {
     setCurrentField({
       name: '',
-      labelI18n: { ar: '', en: '', sv: '' },
+      labelI18n: createEmptyLabels(),
       fieldType: 'TEXT',
       isRequired: false,
       order: fields.length,
       showInFilters: true,
       showInAdView: true,
+      isSortable: false,
+      showInSummary: false,
       validationRules: {},
+      visibilityRules: { match: 'all', conditions: [] },
     });
     setCurrentOptions([]);
     setIsEditing(false);
@@ -261,7 +336,8 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
     setCurrentField({
       ...field,
     });
-    setCurrentOptions(field.options || []);
+    // Copies, so edits don't reach the saved field until it is saved
+    setCurrentOptions((field.options || []).map((option) => ({ ...option, labelI18n: { ...option.labelI18n } })));
     setIsEditing(true);
     setActiveTab(0);
     onOpen();
@@ -271,7 +347,7 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
   const handleAddOption = () => {
     const newOption = {
       value: `option_${currentOptions.length + 1}`,
-      labelI18n: { ar: '', en: '', sv: '' },
+      labelI18n: createEmptyLabels(),
       order: currentOptions.length,
     };
     setCurrentOptions([...currentOptions, newOption]);
@@ -289,12 +365,15 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
     const updatedOptions = [...currentOptions];
     if (field.startsWith('labelI18n.')) {
       const lang = field.split('.')[1];
-      updatedOptions[index].labelI18n = {
-        ...updatedOptions[index].labelI18n,
-        [lang]: value,
+      updatedOptions[index] = {
+        ...updatedOptions[index],
+        labelI18n: {
+          ...updatedOptions[index].labelI18n,
+          [lang]: value,
+        },
       };
     } else {
-      updatedOptions[index][field] = value;
+      updatedOptions[index] = { ...updatedOptions[index], [field]: value };
     }
     setCurrentOptions(updatedOptions);
   };
@@ -311,27 +390,32 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
         },
       });
     } else if (field === 'fieldType') {
-      // Reset options if changing from/to SELECT/MULTISELECT
-      const wasSelectType = currentField.fieldType === 'SELECT' || currentField.fieldType === 'MULTISELECT';
-      const isSelectType = value === 'SELECT' || value === 'MULTISELECT';
+      // Reset options if changing from/to a type with an option list
+      const wasSelectType = hasOptions(currentField.fieldType);
+      const isSelectType = hasOptions(value);
       
       if (!wasSelectType && isSelectType) {
-        // Add default option when changing to SELECT/MULTISELECT
+        // Add default option when changing to a type with an option list
         setCurrentOptions([{
           value: 'option_1',
-          labelI18n: { ar: '', en: '', sv: '' },
+          labelI18n: createEmptyLabels(),
           order: 0,
         }]);
       } else if (wasSelectType && !isSelectType) {
-        // Clear options when changing from SELECT/MULTISELECT
+        // Clear options when changing away from a type with an option list
         setCurrentOptions([]);
       }
       
       setCurrentField({
         ...currentField,
         fieldType: value,
+        // Only option lists can depend on a parent field
+        ...(isSelectType ? {} : { parentFieldName: null }),
+        ...(getFieldType(value)?.supportsUnits ? {} : { unit: null, alternateUnits: [] }),
+        ...(getFieldType(value)?.supportsCurrency ? {} : { currency: null }),
+        ...(getFieldType(value)?.sortValue ? {} : { isSortable: false }),
       });
-    } else if (field === 'isRequired' || field === 'showInFilters' || field === 'showInAdView') {
+    } else if (['isRequired', 'showInFilters', 'showInAdView', 'isSortable', 'showInSummary'].includes(field)) {
       setCurrentField({
         ...currentField,
         [field]: value === 'true',
@@ -344,13 +428,180 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
     }
   };
 
+  // Option-list fields whose options can drive the current field's options
+  const parentFieldCandidates = fields.filter(
+    (field) =>
+      hasOptions(field.fieldType) &&
+      field.id !== currentField?.id &&
+      field.name !== currentField?.name
+  );
+  const parentField = parentFieldCandidates.find((field) => field.name === currentField?.parentFieldName);
+
+  // Link the current field's options to a parent field. Existing option links
+  // refer to the old parent's values, so they are reset.
+  const handleParentFieldChange = (parentFieldName) => {
+    setCurrentField({
+      ...currentField,
+      parentFieldName: parentFieldName || null,
+    });
+    setCurrentOptions(currentOptions.map((option) => ({ ...option, parentValue: null })));
+  };
+
+  // Units grouped by dimension for the unit picker
+  const unitDimensions = Object.keys(UNITS).reduce((groups, unit) => {
+    const { dimension } = UNITS[unit];
+    return { ...groups, [dimension]: [...(groups[dimension] || []), unit] };
+  }, {});
+
+  // Change the storage unit of the current field. Alternate units must be
+  // convertible to it, so they are reset.
+  const handleUnitChange = (unit) => {
+    setCurrentField({
+      ...currentField,
+      unit: unit || null,
+      alternateUnits: [],
+    });
+  };
+
+  // Mark the current field as a currency amount. An amount has no unit.
+  const handleCurrencyChange = (currency) => {
+    setCurrentField({
+      ...currentField,
+      currency: currency || null,
+      ...(currency ? { unit: null, alternateUnits: [] } : {}),
+    });
+  };
+
+  // Update a single validation rule of the current field
+  const handleValidationRuleChange = (rule, value) => {
+    setCurrentField({
+      ...currentField,
+      validationRules: {
+        ...currentField.validationRules,
+        [rule]: value,
+      },
+    });
+  };
+
+  // Update the visibility rules of the current field
+  const updateVisibilityRules = (changes) => {
+    setCurrentField({
+      ...currentField,
+      visibilityRules: {
+        match: 'all',
+        conditions: [],
+        ...currentField.visibilityRules,
+        ...changes,
+      },
+    });
+  };
+
+  // Add a visibility condition to the current field
+  const handleAddCondition = () => {
+    const conditions = currentField.visibilityRules?.conditions || [];
+    updateVisibilityRules({
+      conditions: [...conditions, { fieldName: '', operator: 'equals', value: '' }],
+    });
+  };
+
+  // Remove a visibility condition from the current field
+  const handleRemoveCondition = (index) => {
+    const conditions = [...(currentField.visibilityRules?.conditions || [])];
+    conditions.splice(index, 1);
+    updateVisibilityRules({ conditions });
+  };
+
+  // Update a visibility condition. Changing the controlling field resets the value.
+  const handleConditionChange = (index, key, value) => {
+    const conditions = [...(currentField.visibilityRules?.conditions || [])];
+    conditions[index] = {
+      ...conditions[index],
+      [key]: value,
+      ...(key === 'fieldName' ? { value: '' } : {}),
+    };
+    updateVisibilityRules({ conditions });
+  };
+
+  // Fields the current field's visibility can depend on
+  const controllingFields = fields.filter(
+    (field) => field.id !== currentField?.id && field.name !== currentField?.name
+  );
+
+  // Render the value input of a visibility condition based on the controlling field
+  const renderConditionValueInput = (condition, index) => {
+    const controllingField = controllingFields.find((field) => field.name === condition.fieldName);
+    const onValueChange = (e) => handleConditionChange(index, 'value', e.target.value);
+
+    if (controllingField && hasOptions(controllingField.fieldType)) {
+      return (
+        <Select value={condition.value} onChange={onValueChange} placeholder={t('select')}>
+          {(controllingField.options || []).map((option) => (
+            <option key={option.id || option.value} value={option.value}>
+              {option.labelI18n?.[currentLanguage] || option.value}
+            </option>
+          ))}
+        </Select>
+      );
+    }
+
+    if (controllingField?.fieldType === 'BOOLEAN') {
+      return (
+        <Select value={condition.value} onChange={onValueChange} placeholder={t('select')}>
+          <option value="true">{t('yes')}</option>
+          <option value="false">{t('no')}</option>
+        </Select>
+      );
+    }
+
+    return (
+      <Input
+        value={condition.value}
+        onChange={onValueChange}
+        placeholder={t('admin.visibilityRules.valuePlaceholder')}
+      />
+    );
+  };
+
   return (
     <Box>
       <Flex justifyContent="space-between" alignItems="center" mb={4}>
         <Heading size="md">{t('admin.categoryFields')}</Heading>
-        <Button leftIcon={<AddIcon />} colorScheme="blue" onClick={handleAddField}>
-          {t('admin.addField')}
-        </Button>
+        <Flex gap={2} alignItems="center">
+          <Tooltip
+            label={history.nextUndo ? t(history.nextUndo.labelKey, history.nextUndo.params) : t('admin.history.nothingToUndo')}
+          >
+            <IconButton
+              icon={<ArrowBackIcon />}
+              size="sm"
+              aria-label={t('admin.history.undo')}
+              onClick={handleUndo}
+              isDisabled={!history.canUndo}
+            />
+          </Tooltip>
+          <Tooltip
+            label={history.nextRedo ? t(history.nextRedo.labelKey, history.nextRedo.params) : t('admin.history.nothingToRedo')}
+          >
+            <IconButton
+              icon={<ArrowForwardIcon />}
+              size="sm"
+              aria-label={t('admin.history.redo')}
+              onClick={handleRedo}
+              isDisabled={!history.canRedo}
+            />
+          </Tooltip>
+          <FieldImportExport
+            categoryId={categoryId}
+            fields={fields}
+            user={user}
+            onImported={fetchFields}
+            canImport={can('createField') && can('editField')}
+          />
+          {can('createField') && (
+            <Button leftIcon={<AddIcon />} colorScheme="blue" onClick={handleAddField} isDisabled={history.pending}>
+              {t('admin.addField')}
+            </Button>
+          )}
+        </Flex>
       </Flex>
 
       {loading ? (
@@ -375,7 +626,12 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
                 </Thead>
                 <Tbody>
                   {fields.map((field, index) => (
-                    <Draggable key={field.id} draggableId={field.id} index={index}>
+                    <Draggable
+                      key={field.id}
+                      draggableId={field.id}
+                      index={index}
+                      isDragDisabled={!can('reorderFields')}
+                    >
                       {(provided) => (
                         <Tr
                           ref={provided.innerRef}
@@ -386,13 +642,7 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
                           <Td>{field.name}</Td>
                           <Td>{field.labelI18n[currentLanguage] || field.name}</Td>
                           <Td>
-                            <Badge colorScheme={
-                              field.fieldType === 'SELECT' || field.fieldType === 'MULTISELECT' 
-                                ? 'green' 
-                                : field.fieldType === 'BOOLEAN' 
-                                  ? 'purple' 
-                                  : 'blue'
-                            }>
+                            <Badge colorScheme={getFieldType(field.fieldType)?.badgeColor || 'gray'}>
                               {field.fieldType}
                             </Badge>
                           </Td>
@@ -400,19 +650,32 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
                           <Td>{field.showInFilters ? t('yes') : t('no')}</Td>
                           <Td>
                             <IconButton
-                              icon={<EditIcon />}
+                              icon={<TimeIcon />}
                               size="sm"
                               mr={2}
-                              aria-label={t('admin.edit')}
-                              onClick={() => handleEditField(field)}
-                            />
-                            <IconButton
-                              icon={<DeleteIcon />}
-                              size="sm"
-                              colorScheme="red"
-                              aria-label={t('admin.delete')}
-                              onClick={() => handleDeleteField(field.id)}
+                              aria-label={t('admin.audit.fieldHistory')}
+                              onClick={() => handleShowFieldHistory(field)}
                             />
+                            {(can('editField') || can('editLabels')) && (
+                              <IconButton
+                                icon={<EditIcon />}
+                                size="sm"
+                                mr={2}
+                                aria-label={t('admin.edit')}
+                                onClick={() => handleEditField(field)}
+                                isDisabled={history.pending}
+                              />
+                            )}
+                            {can('deleteField') && (
+                              <IconButton
+                                icon={<DeleteIcon />}
+                                size="sm"
+                                colorScheme="red"
+                                aria-label={t('admin.delete')}
+                                onClick={() => handleDeleteField(field)}
+                                isDisabled={history.pending}
+                              />
+                            )}
                           </Td>
                         </Tr>
                       )}
@@ -426,353 +689,476 @@ const CategoryFieldsAdmin = ({ categoryId }) => {
         </DragDropContext>
       )}
 
+      <InheritedFields
+        categoryId={categoryId}
+        ownFields={fields}
+        language={currentLanguage}
+        canEdit={can('editField')}
+        canManageTemplates={can('manageTemplates')}
+      />
+
+      <SchemaVersions categoryId={categoryId} language={currentLanguage} />
+
+      <AuditLog
+        categoryId={categoryId}
+        language={currentLanguage}
+        onRevert={can('editField') ? handleRevertEntry : undefined}
+        isReverting={history.pending}
+      />
+
+      {/* Field History Modal */}
+      <Modal isOpen={isFieldHistoryOpen} onClose={onFieldHistoryClose} size="xl" scrollBehavior="inside">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{t('admin.audit.fieldHistoryTitle', { name: historyFieldName })}</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody pb={6}>
+            {historyFieldName && (
+              <AuditLog
+                categoryId={categoryId}
+                fieldName={historyFieldName}
+                language={currentLanguage}
+                onRevert={can('editField') ? handleRevertEntry : undefined}
+                isReverting={history.pending}
+              />
+            )}
+          </ModalBody>
+        </ModalContent>
+      </Modal>
+
       {/* Field Edit/Add Modal */}
-      <Modal isOpen={isOpen} onClose={onClose} size="xl">
+      <Modal isOpen={isOpen} onClose={onClose} size="6xl">
         <ModalOverlay />
         <ModalContent>
           <ModalHeader>
             {isEditing ? t('admin.editField') : t('admin.addField')}
           </ModalHeader>
           <ModalCloseButton />
-          <form onSubmit={handleFieldSubmit}>
-            <ModalBody>
-              <Tabs index={activeTab} onChange={setActiveTab}>
-                <TabList>
-                  <Tab>{t('admin.basicInfo')}</Tab>
-                  <Tab>{t('admin.translations')}</Tab>
-                  {(currentField?.fieldType === 'SELECT' || currentField?.fieldType === 'MULTISELECT') && (
-                    <Tab>{t('admin.options')}</Tab>
-                  )}
-                  <Tab>{t('admin.validation')}</Tab>
-                </TabList>
-
-                <TabPanels>
-                  {/* Basic Info Tab */}
-                  <TabPanel>
-                    <FormControl mb={4} isRequired>
-                      <FormLabel>{t('admin.fieldName')}</FormLabel>
-                      <Input
-                        value={currentField?.name || ''}
-                        onChange={(e) => handleFieldChange('name', e.target.value)}
-                        placeholder={t('admin.fieldNamePlaceholder')}
-                      />
-                    </FormControl>
-
-                    <FormControl mb={4} isRequired>
-                      <FormLabel>{t('admin.fieldLabel')}</FormLabel>
-                      <Input
-                        value={currentField?.labelI18n?.[currentLanguage] || ''}
-                        onChange={(e) => handleFieldChange(`labelI18n.${currentLanguage}`, e.target.value)}
-                        placeholder={t('admin.fieldLabelPlaceholder')}
-                      />
-                    </FormControl>
-
-                    <FormControl mb={4} isRequired>
-                      <FormLabel>{t('admin.fieldType')}</FormLabel>
-                      <Select
-                        value={currentField?.fieldType || 'TEXT'}
-                        onChange={(e) => handleFieldChange('fieldType', e.target.value)}
-                      >
-                        {fieldTypes.map((type) => (
-                          <option key={type.value} value={type.value}>
-                            {type.label}
-                          </option>
-                        ))}
-                      </Select>
-                    </FormControl>
-
-                    <FormControl mb={4}>
-                      <FormLabel>{t('admin.required')}</FormLabel>
-                      <Select
-                        value={currentField?.isRequired ? 'true' : 'false'}
-                        onChange={(e) => handleFieldChange('isRequired', e.target.value)}
-                      >
-                        <option value="true">{t('yes')}</option>
-                        <option value="false">{t('no')}</option>
-                      </Select>
-                    </FormControl>
-
-                    <FormControl mb={4}>
-                      <FormLabel>{t('admin.showInFilters')}</FormLabel>
-                      <Select
-                        value={currentField?.showInFilters ? 'true' : 'false'}
-                        onChange={(e) => handleFieldChange('showInFilters', e.target.value)}
-                      >
-                        <option value="true">{t('yes')}</option>
-                        <option value="false">{t('no')}</option>
-                      </Select>
-                    </FormControl>
-
-                    <FormControl mb={4}>
-                      <FormLabel>{t('admin.showInAdView')}</FormLabel>
-                      <Select
-                        value={currentField?.showInAdView ? 'true' : 'false'}
-                        onChange={(e) => handleFieldChange('showInAdView', e.target.value)}
-                      >
-                        <option value="true">{t('yes')}</option>
-                        <option value="false">{t('no')}</option>
-                      </Select>
-                    </FormControl>
-                  </TabPanel>
-
-                  {/* Translations Tab */}
-                  <TabPanel>
-                    {supportedLanguages.map((lang) => (
-                      <FormControl key={lang} mb={4}>
-                        <FormLabel>{t(`languages.${lang}`)}</FormLabel>
+          <Flex direction={{ base: 'column', lg: 'row' }} alignItems="flex-start">
+            <Box as="form" id="category-field-form" onSubmit={handleFieldSubmit} flex="1" minWidth={0}>
+              <ModalBody>
+                <Tabs index={activeTab} onChange={setActiveTab}>
+                  <TabList>
+                    <Tab>{t('admin.basicInfo')}</Tab>
+                    <Tab>{t('admin.translations')}</Tab>
+                    {currentTypeDefinition?.hasOptions && (
+                      <Tab>{t('admin.options')}</Tab>
+                    )}
+                    <Tab>{t('admin.validation')}</Tab>
+                    <Tab>{t('admin.visibility')}</Tab>
+                  </TabList>
+
+                  <TabPanels>
+                    {/* Basic Info Tab */}
+                    <TabPanel as="fieldset" disabled={!canEditStructure}>
+                      <FormControl mb={4} isRequired>
+                        <FormLabel>{t('admin.fieldName')}</FormLabel>
                         <Input
-                          value={currentField?.labelI18n?.[lang] || ''}
-                          onChange={(e) => handleFieldChange(`labelI18n.${lang}`, e.target.value)}
-                          placeholder={t('admin.translationPlaceholder', { language: t(`languages.${lang}`) })}
+                          value={currentField?.name || ''}
+                          onChange={(e) => handleFieldChange('name', e.target.value)}
+                          placeholder={t('admin.fieldNamePlaceholder')}
                         />
                       </FormControl>
-                    ))}
-                  </TabPanel>
 
-                  {/* Options Tab (for SELECT and MULTISELECT) */}
-                  {(currentField?.fieldType === 'SELECT' || currentField?.fieldType === 'MULTISELECT') && (
-                    <TabPanel>
-                      <Box mb={4}>
-                        <Button colorScheme="blue" size="sm" onClick={handleAddOption}>
-                          {t('admin.addOption')}
-                        </Button>
-                      </Box>
-
-                      <DragDropContext onDragEnd={handleReorderOptions}>
-                        <Droppable droppableId="options">
-                          {(provided) => (
-                            <Box {...provided.droppableProps} ref={provided.innerRef}>
-                              {currentOptions.map((option, index) => (
-                                <Draggable key={index} draggableId={`option-${index}`} index={index}>
-                                  {(provided) => (
-                                    <Box
-                                      ref={provided.innerRef}
-                                      {...provided.draggableProps}
-                                      {...provided.dragHandleProps}
-                                      mb={4}
-                                      p={3}
-                                      borderWidth="1px"
-                                      borderRadius="md"
-                                    >
-                                      <Flex justifyContent="space-between" mb={2}>
-                                        <Heading size="xs">{t('admin.option')} #{index + 1}</Heading>
-                                        <IconButton
-                                          icon={<DeleteIcon />}
-                                          size="xs"
-                                          colorScheme="red"
-                                          aria-label={t('admin.removeOption')}
-                                          onClick={() => handleRemoveOption(index)}
-                                        />
-                                      </Flex>
-
-                                      <FormControl mb={2}>
-                                        <FormLabel>{t('admin.optionValue')}</FormLabel>
-                                        <Input
-                                          value={option.value}
-                                          onChange={(e) => handleOptionChange(index, 'value', e.target.value)}
-                                          placeholder={t('admin.optionValuePlaceholder')}
-                                        />
-                                      </FormControl>
-
-                                      <Tabs variant="soft-rounded" size="sm">
-                                        <TabList>
-                                          {supportedLanguages.map((lang) => (
-                                            <Tab key={lang}>{t(`languages.${lang}`)}</Tab>
-                                          ))}
-                                        </TabList>
-                                        <TabPanels>
-                                          {supportedLanguages.map((lang) => (
-                                            <TabPanel key={lang}>
-                                              <FormControl>
-                                                <FormLabel>{t('admin.optionLabel')}</FormLabel>
-                                                <Input
-                                                  value={option.labelI18n?.[lang] || ''}
-                                                  onChange={(e) => handleOptionChange(index, `labelI18n.${lang}`, e.target.value)}
-                                                  placeholder={t('admin.optionLabelPlaceholder', { language: t(`languages.${lang}`) })}
-                                                />
-                                              </FormControl>
-                                            </TabPanel>
-                                          ))}
-                                        </TabPanels>
-                                      </Tabs>
-                                    </Box>
-                                  )}
-                                </Draggable>
-                              ))}
-                              {provided.placeholder}
-                            </Box>
-                          )}
-                        </Droppable>
-                      </DragDropContext>
+                      <FormControl mb={4} isRequired>
+                        <FormLabel>{t('admin.fieldLabel')}</FormLabel>
+                        <Input
+                          value={currentField?.labelI18n?.[currentLanguage] || ''}
+                          onChange={(e) => handleFieldChange(`labelI18n.${currentLanguage}`, e.target.value)}
+                          placeholder={t('admin.fieldLabelPlaceholder')}
+                        />
+                      </FormControl>
 
-                      {currentOptions.length === 0 && (
-                        <Box textAlign="center" py={4}>
-                          {t('admin.noOptions')}
-                        </Box>
-                      )}
-                    </TabPanel>
-                  )}
+                      <FormControl mb={4} isRequired>
+                        <FormLabel>{t('admin.fieldType')}</FormLabel>
+                        <Select
+                          value={currentField?.fieldType || 'TEXT'}
+                          onChange={(e) => handleFieldChange('fieldType', e.target.value)}
+                          isDisabled={!canChangeType}
+                        >
+                          {fieldTypes.map((type) => (
+                            <option key={type.value} value={type.value}>
+                              {type.label}
+                            </option>
+                          ))}
+                        </Select>
+                      </FormControl>
 
-                  {/* Validation Tab */}
-                  <TabPanel>
-                    {currentField?.fieldType === 'TEXT' && (
-                      <>
+                      {currentTypeDefinition?.supportsCurrency && !currentField?.unit && (
                         <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.minLength')}</FormLabel>
-                          <Input
-                            type="number"
-                            value={currentField?.validationRules?.minLength || ''}
-                            onChange={(e) => {
-                              const value = e.target.value ? parseInt(e.target.value) : '';
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  minLength: value,
-                                },
-                              });
-                            }}
-                          />
+                          <FormLabel>{t('admin.currency')}</FormLabel>
+                          <Select
+                            value={currentField?.currency || ''}
+                            onChange={(e) => handleCurrencyChange(e.target.value)}
+                            placeholder={t('admin.notCurrency')}
+                          >
+                            {CURRENCIES.map((currency) => (
+                              <option key={currency} value={currency}>
+                                {currency}
+                              </option>
+                            ))}
+                          </Select>
                         </FormControl>
+                      )}
 
-                        <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.maxLength')}</FormLabel>
-                          <Input
-                            type="number"
-                            value={currentField?.validationRules?.maxLength || ''}
-                            onChange={(e) => {
-                              const value = e.target.value ? parseInt(e.target.value) : '';
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  maxLength: value,
-                                },
-                              });
-                            }}
-                          />
-                        </FormControl>
+                      {currentTypeDefinition?.supportsUnits && !currentField?.currency && (
+                        <>
+                          <FormControl mb={4}>
+                            <FormLabel>{t('admin.unit')}</FormLabel>
+                            <Select
+                              value={currentField?.unit || ''}
+                              onChange={(e) => handleUnitChange(e.target.value)}
+                              placeholder={t('admin.noUnit')}
+                            >
+                              {Object.entries(unitDimensions).map(([dimension, units]) => (
+                                <optgroup key={dimension} label={t(`units.dimensions.${dimension}`)}>
+                                  {units.map((unit) => (
+                                    <option key={unit} value={unit}>
+                                      {getUnitLabel(unit, t)}
+                                    </option>
+                                  ))}
+                                </optgroup>
+                              ))}
+                            </Select>
+                          </FormControl>
 
-                        <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.pattern')}</FormLabel>
-                          <Input
-                            value={currentField?.validationRules?.pattern || ''}
-                            onChange={(e) => {
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  pattern: e.target.value,
-                                },
-                              });
-                            }}
-                            placeholder={t('admin.validation.patternPlaceholder')}
-                          />
-                        </FormControl>
-                      </>
-                    )}
+                          {currentField?.unit && (
+                            <FormControl mb={4}>
+                              <FormLabel>{t('admin.alternateUnits')}</FormLabel>
+                              <CheckboxGroup
+                                value={currentField?.alternateUnits || []}
+                                onChange={(alternateUnits) => handleFieldChange('alternateUnits', alternateUnits)}
+                              >
+                                <Stack direction="row" spacing={4}>
+                                  {getCompatibleUnits(currentField.unit)
+                                    .filter((unit) => unit !== currentField.unit)
+                                    .map((unit) => (
+                                      <Checkbox key={unit} value={unit}>
+                                        {getUnitLabel(unit, t)}
+                                      </Checkbox>
+                                    ))}
+                                </Stack>
+                              </CheckboxGroup>
+                            </FormControl>
+                          )}
+                        </>
+                      )}
 
-                    {currentField?.fieldType === 'NUMBER' && (
-                      <>
-                        <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.min')}</FormLabel>
-                          <Input
-                            type="number"
-                            value={currentField?.validationRules?.min || ''}
-                            onChange={(e) => {
-                              const value = e.target.value ? parseFloat(e.target.value) : '';
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  min: value,
-                                },
-                              });
-                            }}
-                          />
-                        </FormControl>
+                      <FormControl mb={4}>
+                        <FormLabel>{t('admin.required')}</FormLabel>
+                        <Select
+                          value={currentField?.isRequired ? 'true' : 'false'}
+                          onChange={(e) => handleFieldChange('isRequired', e.target.value)}
+                        >
+                          <option value="true">{t('yes')}</option>
+                          <option value="false">{t('no')}</option>
+                        </Select>
+                      </FormControl>
+
+                      <FormControl mb={4}>
+                        <FormLabel>{t('admin.showInFilters')}</FormLabel>
+                        <Select
+                          value={currentField?.showInFilters ? 'true' : 'false'}
+                          onChange={(e) => handleFieldChange('showInFilters', e.target.value)}
+                        >
+                          <option value="true">{t('yes')}</option>
+                          <option value="false">{t('no')}</option>
+                        </Select>
+                      </FormControl>
+
+                      <FormControl mb={4}>
+                        <FormLabel>{t('admin.showInAdView')}</FormLabel>
+                        <Select
+                          value={currentField?.showInAdView ? 'true' : 'false'}
+                          onChange={(e) => handleFieldChange('showInAdView', e.target.value)}
+                        >
+                          <option value="true">{t('yes')}</option>
+                          <option value="false">{t('no')}</option>
+                        </Select>
+                      </FormControl>
+
+                      <FormControl mb={4}>
+                        <FormLabel>{t('admin.showInSummary')}</FormLabel>
+                        <Select
+                          value={currentField?.showInSummary ? 'true' : 'false'}
+                          onChange={(e) => handleFieldChange('showInSummary', e.target.value)}
+                        >
+                          <option value="true">{t('yes')}</option>
+                          <option value="false">{t('no')}</option>
+                        </Select>
+                        <FormHelperText>{t('admin.showInSummaryHelp')}</FormHelperText>
+                      </FormControl>
 
+                      {/* Only types that know how to order their values can be sorted by */}
+                      {currentTypeDefinition?.sortValue && (
                         <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.max')}</FormLabel>
-                          <Input
-                            type="number"
-                            value={currentField?.validationRules?.max || ''}
-                            onChange={(e) => {
-                              const value = e.target.value ? parseFloat(e.target.value) : '';
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  max: value,
-                                },
-                              });
-                            }}
-                          />
+                          <FormLabel>{t('admin.sortable')}</FormLabel>
+                          <Select
+                            value={currentField?.isSortable ? 'true' : 'false'}
+                            onChange={(e) => handleFieldChange('isSortable', e.target.value)}
+                          >
+                            <option value="true">{t('yes')}</option>
+                            <option value="false">{t('no')}</option>
+                          </Select>
+                          <FormHelperText>{t('admin.sortableHelp')}</FormHelperText>
                         </FormControl>
-                      </>
-                    )}
+                      )}
+                    </TabPanel>
 
-                    {currentField?.fieldType === 'RANGE' && (
-                      <>
-                        <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.min')}</FormLabel>
+                    {/* Translations Tab */}
+                    <TabPanel>
+                      {SUPPORTED_LANGUAGES.map((lang) => (
+                        <FormControl key={lang} mb={4}>
+                          <FormLabel>{getLanguageLabel(lang, t, currentLanguage)}</FormLabel>
                           <Input
-                            type="number"
-                            value={currentField?.validationRules?.min || ''}
-                            onChange={(e) => {
-                              const value = e.target.value ? parseFloat(e.target.value) : '';
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  min: value,
-                                },
-                              });
-                            }}
+                            dir={getLanguageDirection(lang)}
+                            value={currentField?.labelI18n?.[lang] || ''}
+                            onChange={(e) => handleFieldChange(`labelI18n.${lang}`, e.target.value)}
+                            placeholder={t('admin.translationPlaceholder', { language: getLanguageLabel(lang, t, currentLanguage) })}
                           />
                         </FormControl>
+                      ))}
+                    </TabPanel>
 
+                    {/* Options Tab (for types with an option list) */}
+                    {currentTypeDefinition?.hasOptions && (
+                      <TabPanel>
                         <FormControl mb={4}>
-                          <FormLabel>{t('admin.validation.max')}</FormLabel>
-                          <Input
-                            type="number"
-                            value={currentField?.validationRules?.max || ''}
-                            onChange={(e) => {
-                              const value = e.target.value ? parseFloat(e.target.value) : '';
-                              setCurrentField({
-                                ...currentField,
-                                validationRules: {
-                                  ...currentField.validationRules,
-                                  max: value,
-                                },
-                              });
-                            }}
-                          />
+                          <FormLabel>{t('admin.parentField')}</FormLabel>
+                          <Select
+                            value={currentField?.parentFieldName || ''}
+                            onChange={(e) => handleParentFieldChange(e.target.value)}
+                            placeholder={t('admin.noParentField')}
+                            isDisabled={!canEditStructure}
+                          >
+                            {parentFieldCandidates.map((field) => (
+                              <option key={field.id} value={field.name}>
+                                {field.labelI18n[currentLanguage] || field.name}
+                              </option>
+                            ))}
+                          </Select>
                         </FormControl>
-                      </>
-                    )}
 
-                    {(currentField?.fieldType !== 'TEXT' && 
-                      currentField?.fieldType !== 'NUMBER' && 
-                      currentField?.fieldType !== 'RANGE') && (
-                      <Box textAlign="center" py={4}>
-                        {t('admin.validation.noValidationOptions')}
-                      </Box>
+                        {canEditStructure && (
+                          <Flex mb={4} gap={2} alignItems="flex-start">
+                            <Button colorScheme="blue" size="sm" onClick={handleAddOption}>
+                              {t('admin.addOption')}
+                            </Button>
+                            <OptionsCsvImport options={currentOptions} onImport={setCurrentOptions} />
+                          </Flex>
+                        )}
+
+                        <DragDropContext onDragEnd={handleReorderOptions}>
+                          <Droppable droppableId="options">
+                            {(provided) => (
+                              <Box {...provided.droppableProps} ref={provided.innerRef}>
+                                {currentOptions.map((option, index) => (
+                                  <Draggable
+                                    key={index}
+                                    draggableId={`option-${index}`}
+                                    index={index}
+                                    isDragDisabled={!canEditStructure}
+                                  >
+                                    {(provided) => (
+                                      <Box
+                                        ref={provided.innerRef}
+                                        {...provided.draggableProps}
+                                        {...provided.dragHandleProps}
+                                        mb={4}
+                                        p={3}
+                                        borderWidth="1px"
+                                        borderRadius="md"
+                                      >
+                                        <Flex justifyContent="space-between" mb={2}>
+                                          <Heading size="xs">{t('admin.option')} #{index + 1}</Heading>
+                                          {canEditStructure && (
+                                            <IconButton
+                                              icon={<DeleteIcon />}
+                                              size="xs"
+                                              colorScheme="red"
+                                              aria-label={t('admin.removeOption')}
+                                              onClick={() => handleRemoveOption(index)}
+                                            />
+                                          )}
+                                        </Flex>
+
+                                        <FormControl mb={2} isDisabled={!canEditStructure}>
+                                          <FormLabel>{t('admin.optionValue')}</FormLabel>
+                                          <Input
+                                            value={option.value}
+                                            onChange={(e) => handleOptionChange(index, 'value', e.target.value)}
+                                            placeholder={t('admin.optionValuePlaceholder')}
+                                          />
+                                        </FormControl>
+
+                                        {parentField && (
+                                          <FormControl mb={2} isDisabled={!canEditStructure}>
+                                            <FormLabel>{t('admin.parentOption')}</FormLabel>
+                                            <Select
+                                              value={option.parentValue || ''}
+                                              onChange={(e) => handleOptionChange(index, 'parentValue', e.target.value || null)}
+                                              placeholder={t('admin.anyParentOption')}
+                                            >
+                                              {(parentField.options || []).map((parentOption) => (
+                                                <option key={parentOption.id || parentOption.value} value={parentOption.value}>
+                                                  {parentOption.labelI18n?.[currentLanguage] || parentOption.value}
+                                                </option>
+                                              ))}
+                                            </Select>
+                                          </FormControl>
+                                        )}
+
+                                        <Tabs variant="soft-rounded" size="sm">
+                                          <TabList>
+                                            {SUPPORTED_LANGUAGES.map((lang) => (
+                                              <Tab key={lang}>{getLanguageLabel(lang, t, currentLanguage)}</Tab>
+                                            ))}
+                                          </TabList>
+                                          <TabPanels>
+                                            {SUPPORTED_LANGUAGES.map((lang) => (
+                                              <TabPanel key={lang}>
+                                                <FormControl>
+                                                  <FormLabel>{t('admin.optionLabel')}</FormLabel>
+                                                  <Input
+                                                    dir={getLanguageDirection(lang)}
+                                                    value={option.labelI18n?.[lang] || ''}
+                                                    onChange={(e) => handleOptionChange(index, `labelI18n.${lang}`, e.target.value)}
+                                                    placeholder={t('admin.optionLabelPlaceholder', { language: getLanguageLabel(lang, t, currentLanguage) })}
+                                                  />
+                                                </FormControl>
+                                              </TabPanel>
+                                            ))}
+                                          </TabPanels>
+                                        </Tabs>
+                                      </Box>
+                                    )}
+                                  </Draggable>
+                                ))}
+                                {provided.placeholder}
+                              </Box>
+                            )}
+                          </Droppable>
+                        </DragDropContext>
+
+                        {currentOptions.length === 0 && (
+                          <Box textAlign="center" py={4}>
+                            {t('admin.noOptions')}
+                          </Box>
+                        )}
+                      </TabPanel>
                     )}
-                  </TabPanel>
-                </TabPanels>
-              </Tabs>
-            </ModalBody>
-
-            <ModalFooter>
-              <Button variant="ghost" mr={3} onClick={onClose}>
-                {t('cancel')}
-              </Button>
-              <Button colorScheme="blue" type="submit">
-                {isEditing ? t('admin.saveChanges') : t('admin.createField')}
-              </Button>
-            </ModalFooter>
-          </form>
+
+                    {/* Validation Tab */}
+                    <TabPanel as="fieldset" disabled={!canEditStructure}>
+                      {currentTypeDefinition?.AdminConfig ? (
+                        <currentTypeDefinition.AdminConfig
+                          rules={currentField?.validationRules || {}}
+                          onRuleChange={handleValidationRuleChange}
+                          t={t}
+                        />
+                      ) : (
+                        <Box textAlign="center" py={4}>
+                          {t('admin.validation.noValidationOptions')}
+                        </Box>
+                      )}
+                    </TabPanel>
+
+                    {/* Visibility Tab */}
+                    <TabPanel as="fieldset" disabled={!canEditStructure}>
+                      <Text fontSize="sm" color="gray.600" mb={4}>
+                        {t('admin.visibilityRules.description')}
+                      </Text>
+
+                      <FormControl mb={4}>
+                        <FormLabel>{t('admin.visibilityRules.match')}</FormLabel>
+                        <Select
+                          value={currentField?.visibilityRules?.match || 'all'}
+                          onChange={(e) => updateVisibilityRules({ match: e.target.value })}
+                        >
+                          <option value="all">{t('admin.visibilityRules.matchAll')}</option>
+                          <option value="any">{t('admin.visibilityRules.matchAny')}</option>
+                        </Select>
+                      </FormControl>
+
+                      {(currentField?.visibilityRules?.conditions || []).map((condition, index) => (
+                        <Box key={index} mb={4} p={3} borderWidth="1px" borderRadius="md">
+                          <Flex justifyContent="space-between" mb={2}>
+                            <Heading size="xs">{t('admin.visibilityRules.condition')} #{index + 1}</Heading>
+                            <IconButton
+                              icon={<DeleteIcon />}
+                              size="xs"
+                              colorScheme="red"
+                              aria-label={t('admin.visibilityRules.removeCondition')}
+                              onClick={() => handleRemoveCondition(index)}
+                            />
+                          </Flex>
+
+                          <FormControl mb={2}>
+                            <FormLabel>{t('admin.visibilityRules.field')}</FormLabel>
+                            <Select
+                              value={condition.fieldName}
+                              onChange={(e) => handleConditionChange(index, 'fieldName', e.target.value)}
+                              placeholder={t('select')}
+                            >
+                              {controllingFields.map((field) => (
+                                <option key={field.id} value={field.name}>
+                                  {field.labelI18n[currentLanguage] || field.name}
+                                </option>
+                              ))}
+                            </Select>
+                          </FormControl>
+
+                          <FormControl mb={2}>
+                            <FormLabel>{t('admin.visibilityRules.operator')}</FormLabel>
+                            <Select
+                              value={condition.operator}
+                              onChange={(e) => handleConditionChange(index, 'operator', e.target.value)}
+                            >
+                              {VISIBILITY_OPERATORS.map((operator) => (
+                                <option key={operator} value={operator}>
+                                  {t(`admin.visibilityRules.operators.${operator}`)}
+                                </option>
+                              ))}
+                            </Select>
+                          </FormControl>
+
+                          {(condition.operator === 'equals' || condition.operator === 'notEquals') && (
+                            <FormControl>
+                              <FormLabel>{t('admin.visibilityRules.value')}</FormLabel>
+                              {renderConditionValueInput(condition, index)}
+                            </FormControl>
+                          )}
+                        </Box>
+                      ))}
+
+                      {!(currentField?.visibilityRules?.conditions || []).length && (
+                        <Box textAlign="center" py={4}>
+                          {t('admin.visibilityRules.alwaysVisible')}
+                        </Box>
+                      )}
+
+                      <Button colorScheme="blue" size="sm" onClick={handleAddCondition}>
+                        {t('admin.visibilityRules.addCondition')}
+                      </Button>
+                    </TabPanel>
+                  </TabPanels>
+                </Tabs>
+              </ModalBody>
+            </Box>
+            {/* Outside the form, so the sample value never blocks saving */}
+            <Box as="aside" width={{ base: '100%', lg: '340px' }} px={6} py={2} borderStartWidth={{ lg: '1px' }}>
+              {currentField && <FieldPreview field={currentField} options={currentOptions} />}
+            </Box>
+          </Flex>
+
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={onClose}>
+              {t('cancel')}
+            </Button>
+            <Button colorScheme="blue" type="submit" form="category-field-form">
+              {isEditing ? t('admin.saveChanges') : t('admin.createField')}
+            </Button>
+          </ModalFooter>
         </ModalContent>
       </Modal>
     </Box>
@@ -0,0 +1,208 @@
+import React, { useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button, Flex, Input, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody,
+         ModalCloseButton, ModalFooter, Table, Thead, Tbody, Tr, Th, Td, Badge, Text,
+         List, ListItem, useToast } from '@chakra-ui/react';
+import { DownloadIcon, AttachmentIcon } from '@chakra-ui/icons';
+import { exportFields, downloadFile, parseFieldExport, planFieldImport,
+         checkImportPermissions } from '../../lib/fieldImportExport';
+
+const ACTION_COLORS = {
+  create: 'green',
+  update: 'blue',
+  skip: 'gray',
+};
+
+// Component for exporting a category's fields to JSON and importing them
+// into this category, with a preview of what the import will change.
+// Without canImport only the export is offered; changes the user may not
+// make are marked in the preview and keep the import from being applied.
+const FieldImportExport = ({ categoryId, fields, user, onImported, canImport = true }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const fileInputRef = useRef(null);
+  const [plan, setPlan] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [importing, setImporting] = useState(false);
+
+  const handleExport = () => {
+    const data = exportFields(fields, { categoryId });
+    downloadFile(JSON.stringify(data, null, 2), `category-${categoryId}-fields.json`);
+  };
+
+  // Read and validate the picked file, then show the preview
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (err) {
+      setErrors([{ key: 'admin.import.errors.json', params: {} }]);
+      setPlan([]);
+      return;
+    }
+    const result = parseFieldExport(data);
+    setErrors(result.errors);
+    setPlan(checkImportPermissions(planFieldImport(result.fields, fields), user, categoryId));
+  };
+
+  const handleClose = () => {
+    setPlan(null);
+    setErrors([]);
+  };
+
+  // Create and update the fields one by one through the admin API
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      for (const { action, field } of plan) {
+        if (action === 'skip') continue;
+        const { options = [], ...fieldData } = field;
+        const isUpdate = action === 'update';
+        const response = await fetch(
+          isUpdate
+            ? `/api/admin/category-fields/${field.id}/with-options`
+            : '/api/admin/category-fields/with-options',
+          {
+            method: isUpdate ? 'PATCH' : 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              field: { ...fieldData, categoryId },
+              options,
+              ...(isUpdate && { deleteOptions: [] }),
+            }),
+          }
+        );
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          const error = new Error(errorData.message || `Failed to import field ${field.name}`);
+          error.status = response.status;
+          throw error;
+        }
+      }
+
+      toast({
+        title: t('admin.import.done'),
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      handleClose();
+    } catch (err) {
+      console.error('Error importing fields:', err);
+      toast({
+        title: err.status === 403 ? t('admin.permissions.denied') : t('admin.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setImporting(false);
+      // Show whatever made it in, also after a partial import
+      onImported();
+    }
+  };
+
+  const changeCount = plan ? plan.filter(({ action }) => action !== 'skip').length : 0;
+  const deniedCount = plan ? plan.filter((entry) => entry.errors?.length).length : 0;
+
+  return (
+    <>
+      <Flex gap={2}>
+        <Button size="sm" leftIcon={<DownloadIcon />} onClick={handleExport} isDisabled={!fields.length}>
+          {t('admin.export.json')}
+        </Button>
+        {canImport && (
+          <>
+            <Button size="sm" leftIcon={<AttachmentIcon />} onClick={() => fileInputRef.current.click()}>
+              {t('admin.import.json')}
+            </Button>
+            <Input ref={fileInputRef} type="file" accept="application/json,.json" display="none" onChange={handleFileChange} />
+          </>
+        )}
+      </Flex>
+
+      <Modal isOpen={!!plan} onClose={handleClose} size="xl">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{t('admin.import.preview')}</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            {errors.length > 0 ? (
+              <List spacing={1}>
+                {errors.map((error, index) => (
+                  <ListItem key={index} color="red.500">
+                    {t(error.key, error.params)}
+                  </ListItem>
+                ))}
+              </List>
+            ) : (
+              <Table size="sm">
+                <Thead>
+                  <Tr>
+                    <Th>{t('admin.import.action')}</Th>
+                    <Th>{t('admin.fieldName')}</Th>
+                    <Th>{t('admin.fieldType')}</Th>
+                    <Th>{t('admin.options')}</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {plan?.map(({ action, field, errors: deniedErrors = [] }) => (
+                    <Tr key={field.name}>
+                      <Td>
+                        <Badge colorScheme={deniedErrors.length ? 'red' : ACTION_COLORS[action]}>
+                          {t(`admin.import.actions.${action}`)}
+                        </Badge>
+                      </Td>
+                      <Td>
+                        {field.name}
+                        {deniedErrors.map((error) => (
+                          <Text key={error.key} fontSize="sm" color="red.500">
+                            {t(error.key, error.params)}
+                          </Text>
+                        ))}
+                      </Td>
+                      <Td>{field.fieldType}</Td>
+                      <Td>{field.options?.length || 0}</Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            )}
+            {errors.length === 0 && deniedCount > 0 && (
+              <Text mt={4} color="red.500">
+                {t('admin.import.denied', { count: deniedCount })}
+              </Text>
+            )}
+            {errors.length === 0 && changeCount === 0 && (
+              <Text mt={4} color="gray.500">
+                {t('admin.import.nothingToDo')}
+              </Text>
+            )}
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={handleClose}>
+              {t('cancel')}
+            </Button>
+            <Button
+              colorScheme="blue"
+              onClick={handleImport}
+              isLoading={importing}
+              isDisabled={errors.length > 0 || deniedCount > 0 || changeCount === 0}
+            >
+              {t('admin.import.apply', { count: changeCount })}
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </>
+  );
+};
+
+export default FieldImportExport;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Heading, Text, Button, ButtonGroup, FormControl, FormLabel, FormErrorMessage,
+         FormHelperText, Flex, Divider } from '@chakra-ui/react';
+import { getFieldType } from '../../fieldTypes';
+import { isEmptyValue, validateFieldValue } from '../../lib/fieldValidation';
+import { SUPPORTED_LANGUAGES, getLanguageDirection, getLanguageLabel } from '../../lib/languages';
+import { registerValidationMessages } from '../../locales/validation';
+import usePreferredUnitSystem from '../../hooks/usePreferredUnitSystem';
+
+// Component for previewing a field while it is edited in the admin: as the
+// ad form, the search filter and the ad details would render it. The form
+// input doubles as a sample value checked against the validation rules.
+const FieldPreview = ({ field, options = [] }) => {
+  const { t, i18n } = useTranslation();
+  const [unitSystem] = usePreferredUnitSystem();
+  const [language, setLanguage] = useState(() =>
+    SUPPORTED_LANGUAGES.includes(i18n.language) ? i18n.language : SUPPORTED_LANGUAGES[0]
+  );
+  const [sampleValue, setSampleValue] = useState('');
+  const [filterValue, setFilterValue] = useState(null);
+  const [touched, setTouched] = useState(false);
+
+  useEffect(() => {
+    registerValidationMessages(i18n);
+  }, [i18n]);
+
+  // A value of another type makes no sense, so start over when the type changes
+  useEffect(() => {
+    setSampleValue('');
+    setFilterValue(null);
+    setTouched(false);
+  }, [field.fieldType]);
+
+  // The in-progress field with its options, as the API would return it
+  const previewField = useMemo(
+    () => ({
+      ...field,
+      id: field.id || 'preview',
+      labelI18n: field.labelI18n || {},
+      options: [...options].sort((a, b) => a.order - b.order),
+    }),
+    [field, options]
+  );
+
+  const definition = getFieldType(field.fieldType);
+  if (!definition) {
+    return <Text color="gray.500">{t('admin.preview.unknownType')}</Text>;
+  }
+  const { FormInput, FilterInput, DisplayValue } = definition;
+
+  const label = previewField.labelI18n[language] || previewField.name || t('admin.preview.untitled');
+  const getOptionLabel = (value) => {
+    const option = previewField.options.find((candidate) => candidate.value === value);
+    return option ? option.labelI18n?.[language] || option.value : value;
+  };
+
+  const validationError = validateFieldValue(previewField, sampleValue);
+  const isInvalid = touched && !!validationError;
+  const helpText = definition.getHelpText?.(previewField.validationRules || {}, t);
+
+  return (
+    <Box>
+      <Flex justifyContent="space-between" alignItems="center" mb={4} gap={2} wrap="wrap">
+        <Heading size="sm">{t('admin.preview.title')}</Heading>
+        <ButtonGroup size="xs" isAttached variant="outline">
+          {SUPPORTED_LANGUAGES.map((code) => (
+            <Button
+              key={code}
+              onClick={() => setLanguage(code)}
+              isActive={code === language}
+              aria-pressed={code === language}
+            >
+              {getLanguageLabel(code, t, i18n.language)}
+            </Button>
+          ))}
+        </ButtonGroup>
+      </Flex>
+
+      <Box dir={getLanguageDirection(language)} lang={language}>
+        <Text fontSize="xs" color="gray.500" textTransform="uppercase" mb={2}>
+          {t('admin.preview.form')}
+        </Text>
+        <FormControl
+          as={definition.isGroup ? 'fieldset' : undefined}
+          isInvalid={isInvalid}
+          isRequired={previewField.isRequired}
+          mb={4}
+        >
+          {!definition.inlineLabel && (
+            <FormLabel as={definition.isGroup ? 'legend' : undefined} htmlFor={definition.isGroup ? null : undefined}>
+              {label}
+            </FormLabel>
+          )}
+          <FormInput
+            field={previewField}
+            name={`attributes.${previewField.name}`}
+            value={sampleValue}
+            options={previewField.options}
+            label={label}
+            onChange={(value) => {
+              setTouched(true);
+              setSampleValue(value);
+            }}
+            onBlur={() => setTouched(true)}
+            language={language}
+            unitSystem={unitSystem}
+            t={t}
+          />
+          {helpText && <FormHelperText>{helpText}</FormHelperText>}
+          {isInvalid ? (
+            <FormErrorMessage>{t(validationError.key, { ...validationError.params, lng: language })}</FormErrorMessage>
+          ) : (
+            touched && <FormHelperText color="green.500">{t('admin.preview.valid')}</FormHelperText>
+          )}
+        </FormControl>
+
+        <Divider mb={4} />
+        <Text fontSize="xs" color="gray.500" textTransform="uppercase" mb={2}>
+          {t('admin.preview.filter')}
+        </Text>
+        {!FilterInput || !previewField.showInFilters ? (
+          <Text fontSize="sm" color="gray.500" mb={4}>
+            {t('admin.preview.notInFilters')}
+          </Text>
+        ) : (
+          <FormControl as={definition.isFilterGroup ? 'fieldset' : undefined} mb={4}>
+            {!definition.inlineFilterLabel && (
+              <FormLabel
+                as={definition.isFilterGroup ? 'legend' : undefined}
+                htmlFor={definition.isFilterGroup ? null : undefined}
+              >
+                {label}
+              </FormLabel>
+            )}
+            <FilterInput
+              field={previewField}
+              value={filterValue}
+              options={previewField.options}
+              label={label}
+              onChange={(value) => setFilterValue(value)}
+              language={language}
+              unitSystem={unitSystem}
+              t={t}
+            />
+          </FormControl>
+        )}
+
+        <Divider mb={4} />
+        <Text fontSize="xs" color="gray.500" textTransform="uppercase" mb={2}>
+          {t('admin.preview.details')}
+        </Text>
+        {!previewField.showInAdView ? (
+          <Text fontSize="sm" color="gray.500">
+            {t('admin.preview.notInAdView')}
+          </Text>
+        ) : (
+          <Flex>
+            <Text fontWeight="bold" minWidth="120px">{label}:</Text>
+            <Box flex="1">
+              {isEmptyValue(previewField, sampleValue) ? (
+                '-'
+              ) : (
+                <DisplayValue
+                  field={previewField}
+                  value={sampleValue}
+                  getOptionLabel={getOptionLabel}
+                  language={language}
+                  unitSystem={unitSystem}
+                  t={t}
+                />
+              )}
+            </Box>
+          </Flex>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default FieldPreview;
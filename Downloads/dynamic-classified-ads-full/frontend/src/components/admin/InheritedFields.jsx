@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQueryClient } from 'react-query';
+import { Box, Heading, Text, Flex, Input, Select, Checkbox, CheckboxGroup, Stack, Button,
+         IconButton, Table, Thead, Tbody, Tr, Th, Td, Badge, useToast } from '@chakra-ui/react';
+import { DeleteIcon } from '@chakra-ui/icons';
+import { fetchCategories, fetchFieldTemplates, createFieldTemplate, deleteFieldTemplate,
+         updateCategoryInheritance } from '../../lib/fieldTemplates';
+import { getCategoryChain, resolveCategorySchema } from '../../lib/schemaInheritance';
+import { exportFields } from '../../lib/fieldImportExport';
+
+// Helper function to read a yes/no/inherit select back into an override value
+const parseBooleanOverride = (value) => (value === '' ? undefined : value === 'true');
+
+// Component for attaching field templates to a category and overriding the
+// fields it inherits from templates and parent categories. Without canEdit
+// the settings are read-only; canManageTemplates allows creating and
+// deleting templates.
+const InheritedFields = ({ categoryId, ownFields, language, canEdit = true, canManageTemplates = true }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const [categories, setCategories] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [ancestorFields, setAncestorFields] = useState({});
+  const [templateIds, setTemplateIds] = useState([]);
+  const [fieldOverrides, setFieldOverrides] = useState({});
+  const [newTemplateName, setNewTemplateName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Fetch categories, templates and the fields of every ancestor
+  const fetchInheritance = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [allCategories, allTemplates] = await Promise.all([fetchCategories(), fetchFieldTemplates()]);
+      const ancestors = getCategoryChain(categoryId, allCategories).filter(
+        (category) => String(category.id) !== String(categoryId)
+      );
+      const fieldLists = await Promise.all(
+        ancestors.map(async (category) => {
+          const response = await fetch(`/api/admin/category-fields?categoryId=${category.id}`);
+          if (!response.ok) {
+            throw new Error('Failed to fetch category fields');
+          }
+          return [category.id, await response.json()];
+        })
+      );
+
+      const category = allCategories.find((candidate) => String(candidate.id) === String(categoryId));
+      setCategories(allCategories);
+      setTemplates(allTemplates);
+      setAncestorFields(Object.fromEntries(fieldLists));
+      setTemplateIds((category?.templateIds || []).map(String));
+      setFieldOverrides(category?.fieldOverrides || {});
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching inherited fields:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [categoryId]);
+
+  useEffect(() => {
+    if (categoryId) {
+      fetchInheritance();
+    }
+  }, [categoryId, fetchInheritance]);
+
+  // Resolve with the unsaved settings so the table previews them. Hidden
+  // fields stay listed here so they can be shown again.
+  const resolvedFields = useMemo(() => {
+    const visibleOverrides = {};
+    Object.entries(fieldOverrides).forEach(([name, { hidden, ...override }]) => {
+      visibleOverrides[name] = override;
+    });
+    const previewCategories = categories.map((category) =>
+      String(category.id) === String(categoryId)
+        ? { ...category, templateIds, fieldOverrides: visibleOverrides }
+        : category
+    );
+    return resolveCategorySchema(categoryId, {
+      categories: previewCategories,
+      fieldsByCategory: { ...ancestorFields, [categoryId]: ownFields },
+      templates,
+    });
+  }, [categories, categoryId, templateIds, fieldOverrides, ancestorFields, ownFields, templates]);
+
+  const inheritedFields = resolvedFields.filter((field) => field.source.kind !== 'own');
+
+  const handleOverrideChange = (fieldName, property, value) => {
+    setFieldOverrides((current) => {
+      const override = { ...current[fieldName], [property]: value };
+      if (value === undefined) delete override[property];
+      const next = { ...current, [fieldName]: override };
+      if (!Object.keys(override).length) delete next[fieldName];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await updateCategoryInheritance(categoryId, { templateIds, fieldOverrides });
+      // Child categories inherit the change too, so refetch every schema
+      queryClient.invalidateQueries('categoryFields');
+      await fetchInheritance();
+      toast({
+        title: t('admin.inheritance.saved'),
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error saving inheritance:', err);
+      toast({
+        title: err.status === 403 ? t('admin.permissions.denied') : t('admin.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Turn this category's own fields into a template other categories can attach
+  const handleCreateTemplate = async () => {
+    try {
+      const template = await createFieldTemplate({
+        name: newTemplateName.trim(),
+        fields: exportFields(ownFields).fields,
+      });
+      setTemplates((current) => [...current, template]);
+      setNewTemplateName('');
+      toast({
+        title: t('admin.inheritance.templateCreated'),
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error creating template:', err);
+      toast({
+        title: err.status === 403 ? t('admin.permissions.denied') : t('admin.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!confirm(t('admin.inheritance.confirmDeleteTemplate', { name: template.name }))) return;
+    try {
+      await deleteFieldTemplate(template.id);
+      setTemplates((current) => current.filter((candidate) => candidate.id !== template.id));
+      setTemplateIds((current) => current.filter((id) => id !== String(template.id)));
+      queryClient.invalidateQueries('categoryFields');
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      toast({
+        title: err.status === 403 ? t('admin.permissions.denied') : t('admin.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // Helper function to describe where an inherited field comes from
+  const getSourceLabel = (source) => {
+    if (source.kind === 'template') {
+      const template = templates.find((candidate) => String(candidate.id) === String(source.templateId));
+      return t('admin.inheritance.fromTemplate', { name: template?.name || source.templateId });
+    }
+    const category = categories.find((candidate) => String(candidate.id) === String(source.categoryId));
+    const name = category?.nameI18n?.[language] || category?.name || source.categoryId;
+    return t('admin.inheritance.fromCategory', { name });
+  };
+
+  if (loading) {
+    return <Box>{t('loading')}</Box>;
+  }
+
+  if (error) {
+    return <Box color="red.500">{error}</Box>;
+  }
+
+  return (
+    <Box as="fieldset" disabled={!canEdit} mt={8}>
+      <Flex justifyContent="space-between" alignItems="center" mb={4}>
+        <Heading size="md">{t('admin.inheritance.title')}</Heading>
+        {canEdit && (
+          <Button size="sm" colorScheme="blue" onClick={handleSave} isLoading={saving}>
+            {t('admin.inheritance.save')}
+          </Button>
+        )}
+      </Flex>
+
+      <Box mb={6}>
+        <Text fontWeight="bold" mb={2}>
+          {t('admin.inheritance.templates')}
+        </Text>
+        {templates.length === 0 ? (
+          <Text color="gray.500">{t('admin.inheritance.noTemplates')}</Text>
+        ) : (
+          <CheckboxGroup
+            value={templateIds}
+            onChange={(values) => setTemplateIds(values.map(String))}
+            isDisabled={!canEdit}
+          >
+            <Stack direction="row" wrap="wrap" spacing={4}>
+              {templates.map((template) => (
+                <Flex key={template.id} alignItems="center" gap={1}>
+                  <Checkbox value={String(template.id)}>
+                    {template.name} ({template.fields.length})
+                  </Checkbox>
+                  {canManageTemplates && (
+                    <IconButton
+                      icon={<DeleteIcon />}
+                      size="xs"
+                      variant="ghost"
+                      colorScheme="red"
+                      aria-label={t('admin.inheritance.deleteTemplate', { name: template.name })}
+                      onClick={() => handleDeleteTemplate(template)}
+                    />
+                  )}
+                </Flex>
+              ))}
+            </Stack>
+          </CheckboxGroup>
+        )}
+        {canManageTemplates && (
+          <Flex gap={2} mt={3}>
+            <Input
+              size="sm"
+              width="auto"
+              value={newTemplateName}
+              onChange={(e) => setNewTemplateName(e.target.value)}
+              placeholder={t('admin.inheritance.templateName')}
+              aria-label={t('admin.inheritance.templateName')}
+            />
+            <Button size="sm" onClick={handleCreateTemplate} isDisabled={!newTemplateName.trim() || !ownFields.length}>
+              {t('admin.inheritance.createTemplate')}
+            </Button>
+          </Flex>
+        )}
+      </Box>
+
+      {inheritedFields.length === 0 ? (
+        <Text color="gray.500">{t('admin.inheritance.noInheritedFields')}</Text>
+      ) : (
+        <Table size="sm">
+          <Thead>
+            <Tr>
+              <Th>{t('admin.fieldName')}</Th>
+              <Th>{t('admin.inheritance.source')}</Th>
+              <Th>{t('admin.inheritance.order')}</Th>
+              <Th>{t('admin.required')}</Th>
+              <Th>{t('admin.showInFilters')}</Th>
+              <Th>{t('admin.inheritance.hidden')}</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {inheritedFields.map((field) => {
+              const override = fieldOverrides[field.name] || {};
+              return (
+                <Tr key={field.name} opacity={override.hidden ? 0.5 : 1}>
+                  <Td>
+                    {field.labelI18n?.[language] || field.name}
+                    {field.overridden.length > 0 && (
+                      <Badge ml={2} colorScheme="purple">
+                        {t('admin.inheritance.overridden')}
+                      </Badge>
+                    )}
+                  </Td>
+                  <Td>
+                    <Badge colorScheme={field.source.kind === 'template' ? 'teal' : 'gray'}>
+                      {getSourceLabel(field.source)}
+                    </Badge>
+                  </Td>
+                  <Td>
+                    <Input
+                      size="sm"
+                      type="number"
+                      width="80px"
+                      value={override.order ?? ''}
+                      placeholder={String(field.order ?? '')}
+                      onChange={(e) =>
+                        handleOverrideChange(field.name, 'order', e.target.value === '' ? undefined : Number(e.target.value))
+                      }
+                      aria-label={t('admin.inheritance.order')}
+                    />
+                  </Td>
+                  <Td>
+                    <Select
+                      size="sm"
+                      value={override.isRequired === undefined ? '' : String(override.isRequired)}
+                      onChange={(e) => handleOverrideChange(field.name, 'isRequired', parseBooleanOverride(e.target.value))}
+                      aria-label={t('admin.required')}
+                    >
+                      <option value="">{t('admin.inheritance.inherit')}</option>
+                      <option value="true">{t('yes')}</option>
+                      <option value="false">{t('no')}</option>
+                    </Select>
+                  </Td>
+                  <Td>
+                    <Select
+                      size="sm"
+                      value={override.showInFilters === undefined ? '' : String(override.showInFilters)}
+                      onChange={(e) => handleOverrideChange(field.name, 'showInFilters', parseBooleanOverride(e.target.value))}
+                      aria-label={t('admin.showInFilters')}
+                    >
+                      <option value="">{t('admin.inheritance.inherit')}</option>
+                      <option value="true">{t('yes')}</option>
+                      <option value="false">{t('no')}</option>
+                    </Select>
+                  </Td>
+                  <Td>
+                    <Checkbox
+                      isChecked={!!override.hidden}
+                      onChange={(e) => handleOverrideChange(field.name, 'hidden', e.target.checked || undefined)}
+                      aria-label={t('admin.inheritance.hidden')}
+                    />
+                  </Td>
+                </Tr>
+              );
+            })}
+          </Tbody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default InheritedFields;
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Heading, Text, Input, Select, Button, Flex, Stack, Badge, Table, Thead, Tbody,
+         Tr, Th, Td, useToast } from '@chakra-ui/react';
+import { applyMigration, suggestMigrationSteps } from '../../lib/attributeMigration';
+import { runAttributeMigration } from '../../lib/schemaVersions';
+
+// Component for defining a migration of existing ads after a schema change,
+// checking it with a dry run and then running it
+const MigrationEditor = ({ categoryId, fromVersion, toVersion, changes, language }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const [steps, setSteps] = useState(() => suggestMigrationSteps(changes));
+  const [report, setReport] = useState(null);
+  // Sample ads of the last dry run, previewed against the current steps
+  const [samples, setSamples] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  const fieldsByName = new Map(changes.map((change) => [change.field.name, change.field]));
+
+  // Editing the steps invalidates the last dry run
+  const updateStep = (index, updates) => {
+    setSteps((current) => current.map((step, i) => (i === index ? { ...step, ...updates } : step)));
+    setReport(null);
+  };
+
+  const handleRun = async (dryRun) => {
+    if (!dryRun && !confirm(t('admin.migration.confirmRun', { count: report.changed }))) return;
+    setRunning(true);
+    try {
+      const result = await runAttributeMigration({ categoryId, fromVersion, toVersion, steps }, { dryRun });
+      if (dryRun) {
+        setReport(result);
+        setSamples(result.samples || []);
+      } else {
+        setReport(null);
+        setSamples([]);
+        toast({
+          title: t('admin.migration.done', { count: result.changed }),
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      }
+    } catch (err) {
+      console.error('Error running migration:', err);
+      toast({
+        title: t('admin.error'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Helper function to render the inputs of a migration step
+  const renderStep = (step, index) => {
+    switch (step.type) {
+      case 'renameKey':
+        return (
+          <Flex gap={2} alignItems="center">
+            <Text minWidth="120px">{t('admin.migration.renameKey')}</Text>
+            <Input size="sm" value={step.from} onChange={(e) => updateStep(index, { from: e.target.value })} />
+            <Text>→</Text>
+            <Input size="sm" value={step.to} onChange={(e) => updateStep(index, { to: e.target.value })} />
+          </Flex>
+        );
+      case 'mapOptions': {
+        const options = fieldsByName.get(step.fieldName)?.options || [];
+        return (
+          <Box>
+            <Text mb={2}>{t('admin.migration.mapOptions', { field: step.fieldName })}</Text>
+            {Object.entries(step.mapping).map(([oldValue, newValue]) => (
+              <Flex key={oldValue} gap={2} alignItems="center" mb={2}>
+                <Text minWidth="120px">{oldValue}</Text>
+                <Text>→</Text>
+                <Select
+                  size="sm"
+                  value={newValue}
+                  onChange={(e) => updateStep(index, { mapping: { ...step.mapping, [oldValue]: e.target.value } })}
+                >
+                  <option value="">{t('admin.migration.clearValue')}</option>
+                  {options.map((option) => (
+                    <option key={option.id || option.value} value={option.value}>
+                      {option.labelI18n?.[language] || option.value}
+                    </option>
+                  ))}
+                </Select>
+              </Flex>
+            ))}
+          </Box>
+        );
+      }
+      case 'removeKey':
+        return <Text>{t('admin.migration.removeKey', { field: step.fieldName })}</Text>;
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Box borderWidth="1px" borderRadius="md" p={4} mt={4}>
+      <Heading size="sm" mb={4}>
+        {t('admin.migration.title', { from: fromVersion, to: toVersion })}
+      </Heading>
+
+      {steps.length === 0 ? (
+        <Text color="gray.500">{t('admin.migration.noSteps')}</Text>
+      ) : (
+        <Stack spacing={3} mb={4}>
+          {steps.map((step, index) => (
+            <Box key={`${step.type}-${index}`}>{renderStep(step, index)}</Box>
+          ))}
+        </Stack>
+      )}
+
+      <Flex gap={2}>
+        <Button size="sm" onClick={() => handleRun(true)} isLoading={running} isDisabled={!steps.length}>
+          {t('admin.migration.dryRun')}
+        </Button>
+        <Button
+          size="sm"
+          colorScheme="red"
+          onClick={() => handleRun(false)}
+          isLoading={running}
+          // Only a migration that passed a dry run unchanged can be run
+          isDisabled={!report}
+        >
+          {t('admin.migration.run')}
+        </Button>
+      </Flex>
+
+      {report && (
+        <Box mt={4}>
+          <Text>
+            {t('admin.migration.report', { scanned: report.scanned, changed: report.changed })}
+          </Text>
+          {Object.entries(report.unmappedValues || {}).map(([fieldName, values]) => (
+            <Text key={fieldName} color="orange.500" fontSize="sm">
+              {t('admin.migration.unmapped', {
+                field: fieldName,
+                values: Object.entries(values).map(([value, count]) => `${value} (${count})`).join(', '),
+              })}
+            </Text>
+          ))}
+        </Box>
+      )}
+
+      {/* Edited steps are previewed here; running them needs a new dry run */}
+      {samples.length > 0 && (
+        <Box mt={4}>
+          {!report && (
+            <Text color="gray.500" fontSize="sm">
+              {t('admin.migration.previewStale')}
+            </Text>
+          )}
+          <Table size="sm" mt={2}>
+            <Thead>
+              <Tr>
+                <Th>{t('admin.migration.ad')}</Th>
+                <Th>{t('admin.migration.before')}</Th>
+                <Th>{t('admin.migration.after')}</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {samples.map((sample) => (
+                <Tr key={sample.adId}>
+                  <Td>
+                    <Badge>{sample.adId}</Badge>
+                  </Td>
+                  <Td fontFamily="mono" fontSize="xs">{JSON.stringify(sample.before)}</Td>
+                  <Td fontFamily="mono" fontSize="xs">
+                    {JSON.stringify(applyMigration(sample.before, steps).attributes)}
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default MigrationEditor;
@@ -0,0 +1,95 @@
+import React, { useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Button, Flex, Input, Text, Badge, List, ListItem } from '@chakra-ui/react';
+import { AttachmentIcon } from '@chakra-ui/icons';
+import { parseOptionsCsv, planOptionImport } from '../../lib/fieldImportExport';
+
+// Component for adding a field's options in bulk from a CSV file, with a
+// preview of how many options will be created, updated or skipped
+const OptionsCsvImport = ({ options, onImport }) => {
+  const { t } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [plan, setPlan] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const result = parseOptionsCsv(await file.text());
+    setErrors(result.errors);
+    setPlan(planOptionImport(result.options, options));
+  };
+
+  const handleCancel = () => {
+    setPlan(null);
+    setErrors([]);
+  };
+
+  // Update matching options in place and append the new ones
+  const handleApply = () => {
+    const updates = new Map(
+      plan.filter(({ action }) => action === 'update').map(({ option }) => [option.value, option])
+    );
+    const updated = options.map((option) => updates.get(option.value) || option);
+    plan
+      .filter(({ action }) => action === 'create')
+      .forEach(({ option }) => updated.push({ ...option, order: updated.length }));
+    onImport(updated);
+    handleCancel();
+  };
+
+  const countAction = (action) => (plan || []).filter((entry) => entry.action === action).length;
+
+  return (
+    <Box>
+      <Button size="sm" leftIcon={<AttachmentIcon />} onClick={() => fileInputRef.current.click()}>
+        {t('admin.import.optionsCsv')}
+      </Button>
+      <Input ref={fileInputRef} type="file" accept="text/csv,.csv" display="none" onChange={handleFileChange} />
+
+      {plan && (
+        <Box mt={3} p={3} borderWidth="1px" borderRadius="md">
+          {errors.length > 0 ? (
+            <List spacing={1}>
+              {errors.map((error, index) => (
+                <ListItem key={index} color="red.500" fontSize="sm">
+                  {t(error.key, error.params)}
+                </ListItem>
+              ))}
+            </List>
+          ) : (
+            <Flex gap={2} wrap="wrap">
+              {['create', 'update', 'skip'].map((action) => (
+                <Badge key={action} colorScheme={{ create: 'green', update: 'blue', skip: 'gray' }[action]}>
+                  {t(`admin.import.actions.${action}`)}: {countAction(action)}
+                </Badge>
+              ))}
+            </Flex>
+          )}
+          {errors.length === 0 && countAction('skip') === plan.length && (
+            <Text mt={2} fontSize="sm" color="gray.500">
+              {t('admin.import.nothingToDo')}
+            </Text>
+          )}
+          <Flex gap={2} mt={3}>
+            <Button
+              size="sm"
+              colorScheme="blue"
+              onClick={handleApply}
+              isDisabled={errors.length > 0 || countAction('skip') === plan.length}
+            >
+              {t('admin.import.applyOptions')}
+            </Button>
+            <Button size="sm" variant="ghost" onClick={handleCancel}>
+              {t('cancel')}
+            </Button>
+          </Flex>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default OptionsCsvImport;
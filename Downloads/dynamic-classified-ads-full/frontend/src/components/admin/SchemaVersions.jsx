@@ -0,0 +1,135 @@
+import React, { useState, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery } from 'react-query';
+import { Box, Heading, Text, Select, Flex, Stack, Badge, Button } from '@chakra-ui/react';
+import { diffSchemas, formatPropertyValue, isBreakingChange } from '../../lib/schemaDiff';
+import { schemaVersionsKey, fetchSchemaVersions } from '../../lib/schemaVersions';
+import { formatDate } from '../../lib/formatting';
+import MigrationEditor from './MigrationEditor';
+
+const CHANGE_COLORS = {
+  added: 'green',
+  removed: 'red',
+  changed: 'blue',
+};
+
+// Component for browsing a category's schema versions, the changes each
+// save made and migrating existing ads after a breaking change
+const SchemaVersions = ({ categoryId, language }) => {
+  const { t } = useTranslation();
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [migrating, setMigrating] = useState(false);
+  const { data: versions = [], isLoading, error } = useQuery(
+    schemaVersionsKey(categoryId),
+    () => fetchSchemaVersions(categoryId),
+    { enabled: !!categoryId }
+  );
+
+  // Newest version unless the admin picked another one
+  const versionIndex = Math.max(
+    0,
+    versions.findIndex((version) => version.version === selectedVersion)
+  );
+  const current = versions[versionIndex];
+  const previous = versions[versionIndex + 1];
+
+  const changes = useMemo(
+    () => (current ? diffSchemas(previous?.fields || [], current.fields) : []),
+    [current, previous]
+  );
+  const hasBreakingChanges = !!previous && changes.some(isBreakingChange);
+
+  if (isLoading) {
+    return <Box>{t('loading')}</Box>;
+  }
+
+  if (error) {
+    return <Box color="red.500">{error.message}</Box>;
+  }
+
+  if (!current) {
+    return null;
+  }
+
+  return (
+    <Box mt={8}>
+      <Flex justifyContent="space-between" alignItems="center" mb={4} gap={4}>
+        <Heading size="md">{t('admin.versions.title')}</Heading>
+        <Select
+          width="auto"
+          value={current.version}
+          onChange={(e) => {
+            setSelectedVersion(Number(e.target.value));
+            setMigrating(false);
+          }}
+        >
+          {versions.map((version) => (
+            <option key={version.version} value={version.version}>
+              {t('admin.versions.version', {
+                version: version.version,
+                date: formatDate(version.createdAt, language),
+                user: version.createdBy || '-',
+              })}
+            </option>
+          ))}
+        </Select>
+      </Flex>
+
+      {!previous ? (
+        <Text color="gray.500">{t('admin.versions.initial')}</Text>
+      ) : changes.length === 0 ? (
+        <Text color="gray.500">{t('admin.versions.noChanges')}</Text>
+      ) : (
+        <Stack spacing={3}>
+          {changes.map((change) => (
+            <Box key={`${change.kind}-${change.field.id}`} borderWidth="1px" borderRadius="md" p={3}>
+              <Flex gap={2} alignItems="center" mb={1}>
+                <Badge colorScheme={CHANGE_COLORS[change.kind]}>{t(`admin.versions.${change.kind}`)}</Badge>
+                <Text fontWeight="bold">{change.field.name}</Text>
+                {isBreakingChange(change) && <Badge colorScheme="orange">{t('admin.versions.affectsAds')}</Badge>}
+              </Flex>
+              {change.kind === 'changed' && (
+                <>
+                  {change.properties.map(({ property, before, after }) => (
+                    <Text key={property} fontSize="sm">
+                      {property}: {formatPropertyValue(before)} → {formatPropertyValue(after)}
+                    </Text>
+                  ))}
+                  {change.addedOptions.length > 0 && (
+                    <Text fontSize="sm" color="green.600">
+                      {t('admin.versions.addedOptions', { options: change.addedOptions.join(', ') })}
+                    </Text>
+                  )}
+                  {change.removedOptions.length > 0 && (
+                    <Text fontSize="sm" color="red.600">
+                      {t('admin.versions.removedOptions', { options: change.removedOptions.join(', ') })}
+                    </Text>
+                  )}
+                </>
+              )}
+            </Box>
+          ))}
+        </Stack>
+      )}
+
+      {hasBreakingChanges && !migrating && (
+        <Button mt={4} size="sm" colorScheme="orange" onClick={() => setMigrating(true)}>
+          {t('admin.migration.plan')}
+        </Button>
+      )}
+      {hasBreakingChanges && migrating && (
+        <MigrationEditor
+          // Start over with suggested steps when another version is picked
+          key={current.version}
+          categoryId={categoryId}
+          fromVersion={previous.version}
+          toVersion={current.version}
+          changes={changes}
+          language={language}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default SchemaVersions;
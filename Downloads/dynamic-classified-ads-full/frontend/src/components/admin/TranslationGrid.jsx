@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQueryClient } from 'react-query';
+import { Box, Heading, Flex, Select, Input, Button, Table, Thead, Tbody, Tr, Th, Td,
+         Text, Badge, useToast } from '@chakra-ui/react';
+import { categoryFieldsKey } from '../../lib/categoryFields';
+import { SUPPORTED_LANGUAGES, getLanguageDirection, getLanguageLabel,
+         getMissingLanguages } from '../../lib/languages';
+
+// Rows rendered at a time; large option lists (e.g. car models) load on demand
+const PAGE_SIZE = 100;
+
+// Helper function to turn categories and their fields into one row per
+// field label and one per option label
+const buildRows = (categories) => {
+  const rows = [];
+  categories.forEach(({ category, fields }) => {
+    fields.forEach((field) => {
+      rows.push({ id: `field:${field.id}`, category, field, option: null, labelI18n: field.labelI18n || {} });
+      (field.options || []).forEach((option) => {
+        rows.push({
+          id: `option:${field.id}:${option.value}`,
+          category,
+          field,
+          option,
+          labelI18n: option.labelI18n || {},
+        });
+      });
+    });
+  });
+  return rows;
+};
+
+// Component for reviewing and editing field and option labels of all
+// categories in one grid, one column per supported language
+const TranslationGrid = () => {
+  const { t, i18n } = useTranslation();
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [missingFilter, setMissingFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const currentLanguage = i18n.language || 'ar';
+
+  // Fetch all categories with their fields
+  const fetchRows = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/admin/categories');
+      if (!response.ok) {
+        throw new Error('Failed to fetch categories');
+      }
+      const categories = await response.json();
+      const categoryFields = await Promise.all(
+        categories.map(async (category) => {
+          const fieldsResponse = await fetch(`/api/admin/category-fields?categoryId=${category.id}`);
+          if (!fieldsResponse.ok) {
+            throw new Error('Failed to fetch category fields');
+          }
+          const fields = await fieldsResponse.json();
+          return { category, fields: fields.sort((a, b) => a.order - b.order) };
+        })
+      );
+      setRows(buildRows(categoryFields));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching translations:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRows();
+  }, [fetchRows]);
+
+  // Helper function to get a category name in the current language
+  const getCategoryName = (category) => category.nameI18n?.[currentLanguage] || category.name || category.id;
+
+  // Filters look at the saved labels, so rows don't disappear while typing
+  const filteredRows = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return rows.filter((row) => {
+      if (categoryFilter && String(row.category.id) !== categoryFilter) return false;
+      if (missingFilter) {
+        const missing = getMissingLanguages(row.labelI18n);
+        if (missingFilter === 'any' ? !missing.length : !missing.includes(missingFilter)) return false;
+      }
+      if (query) {
+        const texts = [row.field.name, row.option?.value, ...Object.values(row.labelI18n)];
+        if (!texts.some((text) => String(text ?? '').toLowerCase().includes(query))) return false;
+      }
+      return true;
+    });
+  }, [rows, categoryFilter, missingFilter, search]);
+
+  const dirtyCount = Object.keys(edits).length;
+
+  const getCellValue = (row, language) => edits[row.id]?.[language] ?? row.labelI18n[language] ?? '';
+
+  const handleCellChange = (row, language, value) => {
+    setEdits((current) => {
+      const rowEdits = { ...current[row.id], [language]: value };
+      // Typing the saved value back leaves nothing to save
+      if ((row.labelI18n[language] ?? '') === value) delete rowEdits[language];
+      const next = { ...current, [row.id]: rowEdits };
+      if (!Object.keys(rowEdits).length) delete next[row.id];
+      return next;
+    });
+  };
+
+  // Save all edits, one request per changed field (its options included)
+  const handleSave = async () => {
+    setSaving(true);
+    const changedFields = new Map();
+    rows
+      .filter((row) => edits[row.id])
+      .forEach((row) => {
+        if (!changedFields.has(row.field.id)) changedFields.set(row.field.id, row);
+      });
+
+    // Fields of different categories may share a name, so failures are tracked by id
+    const failed = [];
+    for (const { field, category } of changedFields.values()) {
+      const { options = [], ...fieldData } = field;
+      const fieldEdits = edits[`field:${field.id}`];
+      try {
+        const response = await fetch(`/api/admin/category-fields/${field.id}/with-options`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            field: { ...fieldData, labelI18n: { ...field.labelI18n, ...fieldEdits } },
+            options: options.map((option) => ({
+              ...option,
+              labelI18n: { ...option.labelI18n, ...edits[`option:${field.id}:${option.value}`] },
+            })),
+            deleteOptions: [],
+          }),
+        });
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.message || 'Failed to save translations');
+        }
+        queryClient.invalidateQueries(categoryFieldsKey(category.id));
+      } catch (err) {
+        console.error('Error saving translations:', err);
+        failed.push(field);
+      }
+    }
+
+    // Keep the edits of fields that failed so they can be saved again
+    setEdits((current) => {
+      const next = {};
+      Object.entries(current).forEach(([rowId, rowEdits]) => {
+        const row = rows.find((candidate) => candidate.id === rowId);
+        if (row && failed.some((field) => field.id === row.field.id)) next[rowId] = rowEdits;
+      });
+      return next;
+    });
+    setSaving(false);
+    await fetchRows();
+
+    toast(
+      failed.length
+        ? {
+            title: t('admin.error'),
+            description: t('admin.translations.saveFailed', { fields: failed.map((field) => field.name).join(', ') }),
+            status: 'error',
+            duration: 5000,
+            isClosable: true,
+          }
+        : {
+            title: t('admin.translations.saved'),
+            status: 'success',
+            duration: 3000,
+            isClosable: true,
+          }
+    );
+  };
+
+  if (loading && !rows.length) {
+    return <Box>{t('loading')}</Box>;
+  }
+
+  if (error) {
+    return <Box color="red.500">{error}</Box>;
+  }
+
+  const categories = Array.from(new Map(rows.map((row) => [row.category.id, row.category])).values());
+
+  return (
+    <Box>
+      <Flex justifyContent="space-between" alignItems="center" mb={4} gap={4} wrap="wrap">
+        <Heading size="md">{t('admin.translations.title')}</Heading>
+        <Flex gap={2}>
+          <Button size="sm" variant="ghost" onClick={() => setEdits({})} isDisabled={!dirtyCount || saving}>
+            {t('admin.translations.discard')}
+          </Button>
+          <Button size="sm" colorScheme="blue" onClick={handleSave} isLoading={saving} isDisabled={!dirtyCount}>
+            {t('admin.translations.save', { count: dirtyCount })}
+          </Button>
+        </Flex>
+      </Flex>
+
+      <Flex gap={2} mb={4} wrap="wrap">
+        <Select width="auto" value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)}>
+          <option value="">{t('admin.translations.allCategories')}</option>
+          {categories.map((category) => (
+            <option key={category.id} value={String(category.id)}>
+              {getCategoryName(category)}
+            </option>
+          ))}
+        </Select>
+        <Select width="auto" value={missingFilter} onChange={(e) => setMissingFilter(e.target.value)}>
+          <option value="">{t('admin.translations.allLabels')}</option>
+          <option value="any">{t('admin.translations.missingAny')}</option>
+          {SUPPORTED_LANGUAGES.map((language) => (
+            <option key={language} value={language}>
+              {t('admin.translations.missingIn', { language: getLanguageLabel(language, t, currentLanguage) })}
+            </option>
+          ))}
+        </Select>
+        <Input
+          width="auto"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t('admin.translations.search')}
+          aria-label={t('admin.translations.search')}
+        />
+      </Flex>
+
+      <Text fontSize="sm" color="gray.500" mb={2}>
+        {t('admin.translations.count', { count: filteredRows.length })}
+      </Text>
+
+      <Box overflowX="auto">
+        <Table size="sm">
+          <Thead>
+            <Tr>
+              <Th>{t('admin.translations.category')}</Th>
+              <Th>{t('admin.fieldName')}</Th>
+              <Th>{t('admin.option')}</Th>
+              {SUPPORTED_LANGUAGES.map((language) => (
+                <Th key={language}>{getLanguageLabel(language, t, currentLanguage)}</Th>
+              ))}
+            </Tr>
+          </Thead>
+          <Tbody>
+            {filteredRows.slice(0, visibleCount).map((row) => (
+              <Tr key={row.id}>
+                <Td>{getCategoryName(row.category)}</Td>
+                <Td>{row.field.name}</Td>
+                <Td>{row.option ? <Badge>{row.option.value}</Badge> : '-'}</Td>
+                {SUPPORTED_LANGUAGES.map((language) => {
+                  const value = getCellValue(row, language);
+                  const isDirty = edits[row.id]?.[language] !== undefined;
+                  return (
+                    <Td key={language} minWidth="180px">
+                      <Input
+                        size="sm"
+                        dir={getLanguageDirection(language)}
+                        value={value}
+                        onChange={(e) => handleCellChange(row, language, e.target.value)}
+                        bg={isDirty ? 'yellow.50' : undefined}
+                        borderColor={!value.trim() ? 'red.300' : undefined}
+                        aria-label={`${row.field.name}${row.option ? ` / ${row.option.value}` : ''} - ${getLanguageLabel(language, t, currentLanguage)}`}
+                      />
+                    </Td>
+                  );
+                })}
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </Box>
+
+      {filteredRows.length > visibleCount && (
+        <Button mt={4} size="sm" onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}>
+          {t('admin.translations.showMore')}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default TranslationGrid;
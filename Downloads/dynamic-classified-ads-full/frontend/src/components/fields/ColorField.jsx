@@ -0,0 +1,100 @@
+import React, { forwardRef, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Flex, Input, useFormControl, useFormControlContext } from '@chakra-ui/react';
+
+// Small colored square used to show a COLOR value
+export const ColorSwatch = forwardRef(({ color, size = '20px', ...props }, ref) => (
+  <Box
+    ref={ref}
+    width={size}
+    height={size}
+    borderRadius="sm"
+    borderWidth="1px"
+    borderColor="gray.300"
+    bg={color}
+    display="inline-block"
+    {...props}
+  />
+));
+ColorSwatch.displayName = 'ColorSwatch';
+
+// Component for picking a COLOR attribute. When the admin configured a palette
+// the choice is limited to its swatches, otherwise a free color input is shown.
+// With allowClear (used by the filters) clicking the selected swatch unselects it.
+// The swatches form a radio group labelled by the FormControl's label: only
+// the selected swatch is in the tab order and arrow keys move the selection.
+const ColorField = ({ field, value, onChange, onBlur, allowClear = false }) => {
+  const { t } = useTranslation();
+  const formControl = useFormControlContext();
+  const control = useFormControl({});
+  const swatchRefs = useRef([]);
+  const palette = field.validationRules?.palette || [];
+
+  if (!palette.length) {
+    return (
+      <Input
+        type="color"
+        value={value || '#000000'}
+        onChange={(e) => onChange(e.target.value)}
+        onBlur={onBlur}
+        width="80px"
+        p={1}
+      />
+    );
+  }
+
+  const selectedIndex = palette.findIndex((color) => value?.toLowerCase() === color.toLowerCase());
+
+  // Helper function to select a swatch from the keyboard and focus it
+  const handleKeyDown = (e, index) => {
+    const steps = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    if (!steps[e.key]) return;
+    e.preventDefault();
+    // Left and right follow the reading direction
+    const isRtl = window.getComputedStyle(e.currentTarget).direction === 'rtl';
+    const step = isRtl && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') ? -steps[e.key] : steps[e.key];
+    const next = (index + step + palette.length) % palette.length;
+    onChange(palette[next]);
+    swatchRefs.current[next]?.focus();
+  };
+
+  return (
+    <Flex
+      flexWrap="wrap"
+      gap={2}
+      role="radiogroup"
+      aria-labelledby={formControl?.labelId}
+      aria-describedby={control['aria-describedby']}
+      aria-invalid={control['aria-invalid']}
+      aria-required={control['aria-required']}
+    >
+      {palette.map((color, index) => {
+        const isSelected = index === selectedIndex;
+        return (
+          <ColorSwatch
+            key={color}
+            ref={(node) => {
+              swatchRefs.current[index] = node;
+            }}
+            as="button"
+            type="button"
+            color={color}
+            size="28px"
+            role="radio"
+            aria-checked={isSelected}
+            aria-label={t('fields.color.swatch', { color })}
+            tabIndex={isSelected || (selectedIndex === -1 && index === 0) ? 0 : -1}
+            onKeyDown={(e) => handleKeyDown(e, index)}
+            outline={isSelected ? '2px solid' : 'none'}
+            outlineColor="blue.500"
+            outlineOffset="2px"
+            onClick={() => onChange(isSelected && allowClear ? null : color)}
+            onBlur={onBlur}
+          />
+        );
+      })}
+    </Flex>
+  );
+};
+
+export default ColorField;
@@ -0,0 +1,125 @@
+import React, { useState, useId } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Box, Text, Image, IconButton, SimpleGrid, Spinner, useFormControl, useFormControlContext,
+         useToast } from '@chakra-ui/react';
+import { CloseIcon } from '@chakra-ui/icons';
+import { useDropzone } from 'react-dropzone';
+import { uploadImage } from '../../lib/cloudinary';
+
+// Component for uploading the photos of an IMAGE attribute to Cloudinary
+const ImageUploadField = ({ field, value, onChange, onBlur }) => {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const formControl = useFormControlContext();
+  const control = useFormControl({});
+  const instructionsId = useId();
+  const dropZoneLabelledBy = formControl ? `${formControl.labelId} ${instructionsId}` : instructionsId;
+  const [uploading, setUploading] = useState(false);
+  const images = Array.isArray(value) ? value : [];
+  const validationRules = field.validationRules || {};
+  const maxFiles = validationRules.maxFiles ? Number(validationRules.maxFiles) : 10;
+  const maxSize = validationRules.maxFileSizeMb ? Number(validationRules.maxFileSizeMb) * 1024 * 1024 : undefined;
+  const remaining = Math.max(maxFiles - images.length, 0);
+
+  const handleDrop = async (acceptedFiles, rejectedFiles) => {
+    if (rejectedFiles.length) {
+      toast({
+        title: t('fields.image.rejected', { count: rejectedFiles.length }),
+        status: 'warning',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+    if (!acceptedFiles.length) return;
+
+    setUploading(true);
+    try {
+      const uploaded = await Promise.all(acceptedFiles.slice(0, remaining).map(uploadImage));
+      onChange([...images, ...uploaded]);
+    } catch (err) {
+      console.error('Error uploading images:', err);
+      toast({
+        title: t('fields.image.uploadFailed'),
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setUploading(false);
+      if (onBlur) onBlur();
+    }
+  };
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    accept: { 'image/*': [] },
+    maxSize,
+    maxFiles: remaining,
+    disabled: uploading || remaining === 0,
+    onDrop: handleDrop,
+  });
+
+  const handleRemove = (index) => {
+    const updated = [...images];
+    updated.splice(index, 1);
+    onChange(updated);
+  };
+
+  return (
+    <Box>
+      {images.length > 0 && (
+        <SimpleGrid columns={{ base: 3, md: 4 }} spacing={2} mb={2}>
+          {images.map((image, index) => (
+            <Box key={image.publicId || image.url} position="relative">
+              <Image src={image.url} alt="" objectFit="cover" boxSize="80px" borderRadius="md" />
+              <IconButton
+                icon={<CloseIcon />}
+                size="xs"
+                position="absolute"
+                top={1}
+                right={1}
+                aria-label={t('fields.image.remove', { number: index + 1 })}
+                onClick={() => handleRemove(index)}
+              />
+            </Box>
+          ))}
+        </SimpleGrid>
+      )}
+
+      {/* The drop zone opens the file dialog on Enter or Space; it is named by
+          the field's label and described by its instructions and errors. The
+          file input sits beside it, as controls can't nest. */}
+      {remaining > 0 && (
+        <>
+          <input {...getInputProps({ 'aria-labelledby': dropZoneLabelledBy })} />
+          <Box
+            {...getRootProps({
+              role: 'button',
+              'aria-labelledby': dropZoneLabelledBy,
+              'aria-describedby': control['aria-describedby'],
+              'aria-invalid': control['aria-invalid'],
+              'aria-busy': uploading,
+            })}
+            border="2px dashed"
+            borderColor={isDragActive ? 'blue.400' : 'gray.200'}
+            borderRadius="md"
+            p={4}
+            textAlign="center"
+            cursor="pointer"
+            _focusVisible={{ boxShadow: 'outline', outline: 'none' }}
+          >
+            {uploading ? (
+              <Spinner size="sm" label={t('fields.image.uploading')} />
+            ) : (
+              <Text id={instructionsId} fontSize="sm" color="gray.600">
+                {isDragActive ? t('fields.image.dropHere') : t('fields.image.dragOrClick', { count: remaining })}
+              </Text>
+            )}
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ImageUploadField;
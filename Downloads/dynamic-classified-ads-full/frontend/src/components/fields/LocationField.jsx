@@ -0,0 +1,95 @@
+import React, { useState, useId, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Stack, Input, Button, Text } from '@chakra-ui/react';
+
+// Component for entering a LOCATION attribute as { city, address, lat, lng }.
+// It is a group (isGroup), so each input carries its own id and label.
+const LocationField = ({ value, onChange, onBlur }) => {
+  const { t } = useTranslation();
+  const idPrefix = useId();
+  const [locating, setLocating] = useState(false);
+  const [locateError, setLocateError] = useState(null);
+  const location = value && typeof value === 'object' ? value : {};
+  // The geolocation callback runs after later renders, so it reads the
+  // latest value rather than the one it was created with
+  const locationRef = useRef(location);
+  locationRef.current = location;
+
+  const update = (changes) => {
+    onChange({ ...locationRef.current, ...changes });
+  };
+
+  // Fill in the coordinates from the browser's geolocation
+  const handleUseCurrentLocation = () => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      setLocateError(t('fields.location.unsupported'));
+      return;
+    }
+
+    setLocating(true);
+    setLocateError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        update({
+          lat: Number(position.coords.latitude.toFixed(6)),
+          lng: Number(position.coords.longitude.toFixed(6)),
+        });
+        setLocating(false);
+      },
+      (err) => {
+        console.error('Error getting current location:', err);
+        setLocateError(t('fields.location.failed'));
+        setLocating(false);
+      }
+    );
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Input
+        id={`${idPrefix}-city`}
+        value={location.city || ''}
+        onChange={(e) => update({ city: e.target.value })}
+        onBlur={onBlur}
+        placeholder={t('fields.location.city')}
+        aria-label={t('fields.location.city')}
+        autoComplete="address-level2"
+      />
+      <Input
+        id={`${idPrefix}-address`}
+        value={location.address || ''}
+        onChange={(e) => update({ address: e.target.value })}
+        onBlur={onBlur}
+        placeholder={t('fields.location.address')}
+        aria-label={t('fields.location.address')}
+        autoComplete="street-address"
+      />
+      <Button size="sm" variant="outline" onClick={handleUseCurrentLocation} isLoading={locating}>
+        {t('fields.location.useCurrent')}
+      </Button>
+      {/* Announced, as the coordinates arrive a while after the button is pressed */}
+      <Text fontSize="sm" color="gray.600" dir="ltr" aria-live="polite">
+        {location.lat !== undefined && location.lng !== undefined ? `${location.lat}, ${location.lng}` : ''}
+      </Text>
+      {locateError && (
+        <Text fontSize="sm" color="red.500" role="alert">
+          {locateError}
+        </Text>
+      )}
+    </Stack>
+  );
+};
+
+// Format a LOCATION attribute for display, e.g. "Main street 5, Damascus"
+export const formatLocation = (value) => {
+  if (!value) return '';
+  return [value.address, value.city].filter(Boolean).join(', ');
+};
+
+// Link to the location on OpenStreetMap when coordinates are known
+export const getMapUrl = (value) => {
+  if (value?.lat === undefined || value?.lng === undefined) return null;
+  return `https://www.openstreetmap.org/?mlat=${value.lat}&mlon=${value.lng}#map=15/${value.lat}/${value.lng}`;
+};
+
+export default LocationField;
@@ -0,0 +1,56 @@
+import React, { useId } from 'react';
+import { useTranslation } from 'react-i18next';
+import { HStack, Input, Select } from '@chakra-ui/react';
+
+// Country calling codes offered when the admin doesn't restrict them
+export const DEFAULT_COUNTRY_CODES = ['+963', '+961', '+962', '+964', '+90', '+966', '+971', '+46', '+49', '+44', '+1'];
+
+// Component for entering a PHONE attribute as { countryCode, number }. The
+// number input takes the FormControl's id and label; the country code picker
+// has an id and a label of its own.
+const PhoneField = ({ field, value, onChange, onBlur }) => {
+  const { t } = useTranslation();
+  const countryCodeId = useId();
+  const validationRules = field.validationRules || {};
+  const countryCodes = validationRules.allowedCountryCodes?.length
+    ? validationRules.allowedCountryCodes
+    : DEFAULT_COUNTRY_CODES;
+  const countryCode = value?.countryCode || validationRules.defaultCountryCode || countryCodes[0];
+  const number = value?.number || '';
+
+  return (
+    <HStack spacing={2}>
+      <Select
+        id={countryCodeId}
+        width="110px"
+        value={countryCode}
+        onChange={(e) => onChange({ countryCode: e.target.value, number })}
+        onBlur={onBlur}
+        aria-label={t('fields.phone.countryCode')}
+      >
+        {countryCodes.map((code) => (
+          <option key={code} value={code}>
+            {code}
+          </option>
+        ))}
+      </Select>
+      <Input
+        type="tel"
+        dir="ltr"
+        value={number}
+        onChange={(e) => onChange({ countryCode, number: e.target.value.replace(/[^\d]/g, '') })}
+        onBlur={onBlur}
+        placeholder={t('fields.phone.placeholder')}
+        autoComplete="tel-national"
+      />
+    </HStack>
+  );
+};
+
+// Format a PHONE attribute for display, e.g. "+963 912345678"
+export const formatPhone = (value) => {
+  if (!value?.number) return '';
+  return `${value.countryCode || ''} ${value.number}`.trim();
+};
+
+export default PhoneField;
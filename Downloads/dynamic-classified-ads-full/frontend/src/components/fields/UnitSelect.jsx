@@ -0,0 +1,30 @@
+import React, { useId } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Select } from '@chakra-ui/react';
+import { getUnitLabel } from '../../lib/units';
+
+// Compact picker for the unit a NUMBER or RANGE value is entered in. It has
+// an id of its own, so it doesn't share the FormControl's with the value input.
+const UnitSelect = ({ units, value, onChange }) => {
+  const { t } = useTranslation();
+  const id = useId();
+
+  return (
+    <Select
+      id={id}
+      width="auto"
+      minWidth="80px"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={t('fields.unit')}
+    >
+      {units.map((unit) => (
+        <option key={unit} value={unit}>
+          {getUnitLabel(unit, t)}
+        </option>
+      ))}
+    </Select>
+  );
+};
+
+export default UnitSelect;
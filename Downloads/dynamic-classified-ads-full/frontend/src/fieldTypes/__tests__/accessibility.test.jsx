@@ -0,0 +1,120 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { ChakraProvider } from '@chakra-ui/react';
+import DynamicFormFields from '../../components/DynamicFormFields';
+import DynamicSearchFilters from '../../components/DynamicSearchFilters';
+import useCategoryFields from '../../hooks/useCategoryFields';
+import { getFieldTypes } from '..';
+
+// Every registered field type is rendered the way the ad form and the search
+// filters render it, then checked with axe and for a label tied to its input.
+
+jest.mock('../../hooks/useCategoryFields', () => ({
+  __esModule: true,
+  default: jest.fn(),
+}));
+
+jest.mock('next/router', () => ({
+  useRouter: () => ({ query: {}, isReady: true, pathname: '/', push: jest.fn() }),
+}));
+
+const LABEL = 'Sample field';
+
+// Helper function to build a field of a type, with options for the types
+// that edit an option list
+const buildField = (definition, overrides = {}) => ({
+  id: 1,
+  name: 'sample',
+  labelI18n: { en: LABEL },
+  fieldType: definition.type,
+  isRequired: true,
+  order: 0,
+  showInFilters: true,
+  showInAdView: true,
+  validationRules: {},
+  visibilityRules: { match: 'all', conditions: [] },
+  options: definition.hasOptions
+    ? [
+        { id: 1, value: 'first', labelI18n: { en: 'First' }, order: 0 },
+        { id: 2, value: 'second', labelI18n: { en: 'Second' }, order: 1 },
+      ]
+    : [],
+  ...overrides,
+});
+
+// Each type as the admin adds it, plus variants that render other controls
+const cases = [
+  ...getFieldTypes().map((definition) => [definition.type, buildField(definition)]),
+  ...getFieldTypes()
+    .filter((definition) => definition.type === 'COLOR')
+    .map((definition) => [
+      'COLOR with a palette',
+      buildField(definition, { validationRules: { palette: ['#ff0000', '#00ff00'] } }),
+    ]),
+  ...getFieldTypes()
+    .filter((definition) => definition.supportsUnits)
+    .map((definition) => [
+      `${definition.type} with alternate units`,
+      buildField(definition, { unit: 'km', alternateUnits: ['mi'] }),
+    ]),
+];
+
+// Render with the field as the category's only field, and let mount-time
+// updates (e.g. the filter panel's Collapse) settle
+const renderWithField = async (ui, field) => {
+  useCategoryFields.mockReturnValue({ fields: [field], loading: false, error: null });
+  const result = render(<ChakraProvider>{ui}</ChakraProvider>);
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+  return result;
+};
+
+// Roles of the controls a field type may render
+const CONTROL_ROLES = ['textbox', 'combobox', 'spinbutton', 'checkbox', 'radio', 'slider', 'button'];
+
+// The field's label names its input, or the group of inputs it is made of.
+// Inline labels (e.g. a checkbox's) come from translations, so those are
+// only checked for a name. The required marker follows the label text.
+const expectLabelled = ({ isGroup, isInline }) => {
+  if (isGroup) {
+    expect(screen.getByRole('group', { name: new RegExp(`^${LABEL}`) })).toBeInTheDocument();
+  } else if (!isInline) {
+    expect(screen.getAllByLabelText(LABEL, { exact: false }).length).toBeGreaterThan(0);
+  }
+  CONTROL_ROLES.forEach((role) => {
+    screen.queryAllByRole(role).forEach((control) => expect(control).toHaveAccessibleName());
+  });
+};
+
+describe.each(cases)('%s', (type, field) => {
+  const definition = getFieldTypes().find((candidate) => candidate.type === field.fieldType);
+
+  it('renders an accessible form input', async () => {
+    const { container } = await renderWithField(
+      <DynamicFormFields categoryId={1} values={{ attributes: {} }} onChange={jest.fn()} language="en" />,
+      field
+    );
+
+    expectLabelled({ isGroup: definition.isGroup, isInline: definition.inlineLabel });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  if (definition.FilterInput) {
+    it('renders an accessible filter', async () => {
+      const { container } = await renderWithField(
+        <DynamicSearchFilters
+          categoryId={1}
+          filters={{}}
+          onFilterChange={jest.fn()}
+          language="en"
+          syncWithUrl={false}
+          showFacetCounts={false}
+        />,
+        field
+      );
+
+      expectLabelled({ isGroup: definition.isFilterGroup, isInline: definition.inlineFilterLabel });
+      expect(await axe(container)).toHaveNoViolations();
+    });
+  }
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { FormControl, FormLabel, Input, Select } from '@chakra-ui/react';
+
+// Inputs used by the field types' AdminConfig panels in CategoryFieldsAdmin
+
+// Numeric validation rule; an emptied input clears the rule
+export const NumberRuleInput = ({ label, rule, rules, onRuleChange, integer = false }) => (
+  <FormControl mb={4}>
+    <FormLabel>{label}</FormLabel>
+    <Input
+      type="number"
+      value={rules[rule] ?? ''}
+      onChange={(e) => {
+        const value = e.target.value ? (integer ? parseInt(e.target.value) : parseFloat(e.target.value)) : '';
+        onRuleChange(rule, value);
+      }}
+    />
+  </FormControl>
+);
+
+// Free-text validation rule
+export const TextRuleInput = ({ label, rule, rules, onRuleChange, placeholder }) => (
+  <FormControl mb={4}>
+    <FormLabel>{label}</FormLabel>
+    <Input
+      value={rules[rule] || ''}
+      onChange={(e) => onRuleChange(rule, e.target.value)}
+      placeholder={placeholder}
+    />
+  </FormControl>
+);
+
+// Comma-separated list rule (domains, country codes, colors). Parsed on blur
+// so typing a trailing comma doesn't get swallowed.
+export const ListRuleInput = ({ label, rule, rules, onRuleChange, placeholder }) => (
+  <FormControl mb={4}>
+    <FormLabel>{label}</FormLabel>
+    <Input
+      defaultValue={(rules[rule] || []).join(', ')}
+      onBlur={(e) => {
+        const list = e.target.value.split(',').map((item) => item.trim()).filter(Boolean);
+        onRuleChange(rule, list);
+      }}
+      placeholder={placeholder}
+    />
+  </FormControl>
+);
+
+// Yes/no validation rule
+export const BooleanRuleInput = ({ label, rule, rules, onRuleChange, t }) => (
+  <FormControl mb={4}>
+    <FormLabel>{label}</FormLabel>
+    <Select
+      value={rules[rule] ? 'true' : 'false'}
+      onChange={(e) => onRuleChange(rule, e.target.value === 'true')}
+    >
+      <option value="true">{t('yes')}</option>
+      <option value="false">{t('no')}</option>
+    </Select>
+  </FormControl>
+);
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Checkbox, Text } from '@chakra-ui/react';
+import { getFacetCount, withFacetCount } from './helpers';
+
+// BOOLEAN: a yes/no checkbox that carries its own label
+
+const BooleanFormInput = ({ name, value, label, onChange, onBlur }) => (
+  <Checkbox
+    name={name}
+    isChecked={!!value}
+    onChange={(e) => onChange(e.target.checked)}
+    onBlur={onBlur}
+  >
+    {label}
+  </Checkbox>
+);
+
+const BooleanFilterInput = ({ value, facets, label, onChange, language }) => {
+  const count = getFacetCount(facets, true);
+  return (
+    <Checkbox
+      isChecked={!!value}
+      onChange={(e) => onChange(e.target.checked)}
+      opacity={count === 0 && !value ? 0.5 : 1}
+    >
+      {withFacetCount(label, count, language)}
+    </Checkbox>
+  );
+};
+
+const BooleanDisplayValue = ({ value, t }) => <Text>{value ? t('yes') : t('no')}</Text>;
+
+const booleanType = {
+  type: 'BOOLEAN',
+  labelKey: 'admin.fieldTypes.boolean',
+  inlineLabel: true,
+  inlineFilterLabel: true,
+  badgeColor: 'purple',
+  filterValueKind: 'boolean',
+  FormInput: BooleanFormInput,
+  FilterInput: BooleanFilterInput,
+  // An unticked filter checkbox doesn't exclude anything
+  matchesFilter: (filterValue, value) => filterValue !== true || value === true,
+  sortValue: (value) => (value === true ? 1 : 0),
+  // An unset checkbox reads as "no", like an unticked one
+  comparisonKey: (value) => String(value === true),
+  DisplayValue: BooleanDisplayValue,
+  // A required checkbox has to be ticked, like a native required checkbox
+  isEmpty: (value) => value !== true,
+};
+
+export default booleanType;
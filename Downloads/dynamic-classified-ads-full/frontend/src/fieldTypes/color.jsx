@@ -0,0 +1,51 @@
+import React from 'react';
+import { HStack, Text } from '@chakra-ui/react';
+import ColorField, { ColorSwatch } from '../components/fields/ColorField';
+import { ListRuleInput } from './adminInputs';
+
+// COLOR: a hex color, optionally limited to an admin-defined palette
+
+const ColorFilterInput = ({ field, value, onChange }) => (
+  <ColorField field={field} value={value || null} onChange={onChange} allowClear />
+);
+
+const ColorDisplayValue = ({ value }) => (
+  <HStack spacing={2}>
+    <ColorSwatch color={value} />
+    <Text dir="ltr">{value}</Text>
+  </HStack>
+);
+
+const validateColor = (rules, value) => {
+  if (!/^#[0-9a-f]{6}$/i.test(value)) {
+    return { key: 'validation.color', params: {} };
+  }
+  const palette = rules.palette || [];
+  if (palette.length && !palette.some((color) => color.toLowerCase() === value.toLowerCase())) {
+    return { key: 'validation.colorPalette', params: {} };
+  }
+  return null;
+};
+
+const ColorAdminConfig = ({ rules, onRuleChange, t }) => (
+  <ListRuleInput
+    label={t('admin.validation.palette')}
+    rule="palette"
+    rules={rules}
+    onRuleChange={onRuleChange}
+    placeholder="#000000, #ffffff, #c0c0c0"
+  />
+);
+
+const colorType = {
+  type: 'COLOR',
+  labelKey: 'admin.fieldTypes.color',
+  FormInput: ColorField,
+  FilterInput: ColorFilterInput,
+  matchesFilter: (color, value) => String(value).toLowerCase() === String(color).toLowerCase(),
+  DisplayValue: ColorDisplayValue,
+  validate: validateColor,
+  AdminConfig: ColorAdminConfig,
+};
+
+export default colorType;
@@ -0,0 +1,152 @@
+import React, { useId } from 'react';
+import { Box, Text, HStack, Select, useFormControl } from '@chakra-ui/react';
+import DatePicker from 'react-datepicker';
+import 'react-datepicker/dist/react-datepicker.css';
+import { formatDate } from '../lib/formatting';
+
+// DATE: a calendar day. The pickers accept typed dates (YYYY-MM-DD) and the
+// calendar is keyboard-operable (arrow keys, Page Up/Down, Enter, Escape).
+
+// Helper function to drop the time of day
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Quick picks for the filter, each a { from, to } range relative to today
+const DATE_PRESETS = {
+  last7Days: (today) => ({ from: new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6), to: today }),
+  last30Days: (today) => ({ from: new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29), to: today }),
+  thisMonth: (today) => ({
+    from: new Date(today.getFullYear(), today.getMonth(), 1),
+    to: new Date(today.getFullYear(), today.getMonth() + 1, 0),
+  }),
+  thisYear: (today) => ({ from: new Date(today.getFullYear(), 0, 1), to: new Date(today.getFullYear(), 11, 31) }),
+};
+
+// Helper function to compare calendar days
+const isSameDay = (a, b) => !!a && !!b && startOfDay(new Date(a)).getTime() === startOfDay(new Date(b)).getTime();
+
+// react-datepicker isn't a Chakra input, so it takes the FormControl's id,
+// descriptions and state through useFormControl
+const DateFormInput = ({ name, value, onChange, onBlur }) => {
+  const control = useFormControl({});
+
+  return (
+    <Box border="1px solid" borderColor="gray.200" borderRadius="md" p={2}>
+      <DatePicker
+        id={control.id}
+        name={name}
+        selected={value ? new Date(value) : null}
+        onChange={(date) => onChange(date)}
+        onBlur={onBlur}
+        dateFormat="yyyy-MM-dd"
+        placeholderText="YYYY-MM-DD"
+        className="w-full"
+        autoComplete="off"
+        required={control.required}
+        ariaDescribedBy={control['aria-describedby']}
+        ariaInvalid={control['aria-invalid'] ? 'true' : undefined}
+        ariaRequired={control['aria-required'] ? 'true' : undefined}
+      />
+    </Box>
+  );
+};
+
+// Filters are a { from, to } range of days; an empty end is open. Rendered
+// as a group (isFilterGroup), so each control is labelled on its own.
+const DateFilterInput = ({ value, onChange, t }) => {
+  const control = useFormControl({});
+  const idPrefix = useId();
+  const range = value || {};
+  const from = range.from ? new Date(range.from) : null;
+  const to = range.to ? new Date(range.to) : null;
+  const activePreset = Object.keys(DATE_PRESETS).find((preset) => {
+    const presetRange = DATE_PRESETS[preset](startOfDay(new Date()));
+    return isSameDay(presetRange.from, from) && isSameDay(presetRange.to, to);
+  });
+
+  const handleChange = (next) => onChange(next.from || next.to ? next : null);
+
+  const renderPicker = (bound) => (
+    <Box flex="1">
+      <Text as="label" htmlFor={`${idPrefix}-${bound}`} fontSize="sm" display="block" mb={1}>
+        {t(`search.date${bound === 'from' ? 'From' : 'To'}`)}
+      </Text>
+      <Box border="1px solid" borderColor="gray.200" borderRadius="md" p={2}>
+        <DatePicker
+          id={`${idPrefix}-${bound}`}
+          selected={bound === 'from' ? from : to}
+          onChange={(date) => handleChange({ from, to, [bound]: date ? startOfDay(date) : null })}
+          selectsStart={bound === 'from'}
+          selectsEnd={bound === 'to'}
+          startDate={from}
+          endDate={to}
+          minDate={bound === 'to' ? from : null}
+          maxDate={bound === 'from' ? to : null}
+          isClearable
+          clearButtonTitle={t('search.clearDate')}
+          dateFormat="yyyy-MM-dd"
+          placeholderText="YYYY-MM-DD"
+          className="w-full"
+          autoComplete="off"
+          ariaDescribedBy={control['aria-describedby']}
+        />
+      </Box>
+    </Box>
+  );
+
+  return (
+    <>
+      <Select
+        id={`${idPrefix}-preset`}
+        size="sm"
+        mb={2}
+        aria-label={t('search.datePresets.label')}
+        value={activePreset || ''}
+        onChange={(e) =>
+          handleChange(e.target.value ? DATE_PRESETS[e.target.value](startOfDay(new Date())) : { from: null, to: null })
+        }
+        placeholder={t('search.datePresets.any')}
+      >
+        {Object.keys(DATE_PRESETS).map((preset) => (
+          <option key={preset} value={preset}>
+            {t(`search.datePresets.${preset}`)}
+          </option>
+        ))}
+      </Select>
+      <HStack spacing={2}>
+        {renderPicker('from')}
+        {renderPicker('to')}
+      </HStack>
+    </>
+  );
+};
+
+const DateDisplayValue = ({ value, language }) => <Text>{formatDate(value, language)}</Text>;
+
+const validateDate = (rules, value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? { key: 'validation.date', params: {} } : null;
+};
+
+const dateType = {
+  type: 'DATE',
+  labelKey: 'admin.fieldTypes.date',
+  isFilterGroup: true,
+  filterValueKind: 'date',
+  FormInput: DateFormInput,
+  FilterInput: DateFilterInput,
+  // A { from, to } filter matches the days within it, both ends included
+  matchesFilter: (filter, value) => {
+    const day = startOfDay(new Date(value)).getTime();
+    return (
+      (!filter.from || day >= startOfDay(new Date(filter.from)).getTime()) &&
+      (!filter.to || day <= startOfDay(new Date(filter.to)).getTime())
+    );
+  },
+  sortValue: (value) => startOfDay(new Date(value)).getTime(),
+  comparisonKey: (value) => (value ? String(startOfDay(new Date(value)).getTime()) : null),
+  DisplayValue: DateDisplayValue,
+  validate: validateDate,
+  getHelpText: (rules, t) => t('fields.help.dateFormat'),
+};
+
+export default dateType;
@@ -0,0 +1,110 @@
+// Validation and filter helpers shared by the built-in field types
+import { formatNumber } from '../lib/formatting';
+import { normalizeText } from '../lib/textMatching';
+
+// Rules cleared in the admin are stored as empty strings, so treat those as unset
+export const hasRule = (rule) => rule !== undefined && rule !== null && rule !== '';
+
+// minLength, maxLength and pattern rules for free text
+export const validateTextRules = (rules, value) => {
+  const text = String(value);
+
+  if (hasRule(rules.minLength) && text.length < Number(rules.minLength)) {
+    return { key: 'validation.minLength', params: { min: rules.minLength } };
+  }
+  if (hasRule(rules.maxLength) && text.length > Number(rules.maxLength)) {
+    return { key: 'validation.maxLength', params: { max: rules.maxLength } };
+  }
+  if (hasRule(rules.pattern)) {
+    let regex;
+    try {
+      regex = new RegExp(rules.pattern);
+    } catch (err) {
+      // An invalid pattern is an admin mistake, not the seller's - skip the rule
+      console.error('Invalid validation pattern:', rules.pattern);
+      return null;
+    }
+    if (!regex.test(text)) {
+      return { key: 'validation.pattern', params: {} };
+    }
+  }
+  return null;
+};
+
+// min and max rules for a single number
+export const validateNumberRules = (rules, value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (Number.isNaN(number)) {
+    return { key: 'validation.number', params: {} };
+  }
+  if (hasRule(rules.min) && number < Number(rules.min)) {
+    return { key: 'validation.min', params: { min: rules.min } };
+  }
+  if (hasRule(rules.max) && number > Number(rules.max)) {
+    return { key: 'validation.max', params: { max: rules.max } };
+  }
+  return null;
+};
+
+// Instructions for the min and max rules of a number, shown under the input
+export const describeNumberRules = (rules, t) => {
+  if (hasRule(rules.min) && hasRule(rules.max)) return t('fields.help.between', { min: rules.min, max: rules.max });
+  if (hasRule(rules.min)) return t('fields.help.atLeast', { min: rules.min });
+  if (hasRule(rules.max)) return t('fields.help.atMost', { max: rules.max });
+  return null;
+};
+
+// Instructions for the length rules of free text; patterns are left to the
+// error message, as a regular expression means nothing to most sellers
+export const describeTextRules = (rules, t) => {
+  if (hasRule(rules.minLength) && hasRule(rules.maxLength)) {
+    return t('fields.help.lengthBetween', { min: rules.minLength, max: rules.maxLength });
+  }
+  if (hasRule(rules.minLength)) return t('fields.help.minLength', { min: rules.minLength });
+  if (hasRule(rules.maxLength)) return t('fields.help.maxLength', { max: rules.maxLength });
+  return null;
+};
+
+// Whether a number lies within { min, max }; an unset bound doesn't constrain
+export const isWithinBounds = (number, { min, max } = {}) =>
+  (!hasRule(min) || Number(number) >= Number(min)) && (!hasRule(max) || Number(number) <= Number(max));
+
+// The span of values a field's facet histogram covers (see hooks/useSearchFacets),
+// or null when there is none
+export const getHistogramSpan = (facets) => {
+  const histogram = facets?.histogram;
+  if (!histogram?.length) return null;
+  return {
+    min: Math.min(...histogram.map((bucket) => bucket.from)),
+    max: Math.max(...histogram.map((bucket) => bucket.to)),
+  };
+};
+
+// Substring match that ignores case, accents and Arabic spelling variants.
+// Free-text filters match more loosely, see matchesText in lib/textMatching.
+export const includesText = (text, search) => normalizeText(text).includes(normalizeText(search));
+
+// Number of ads a filter option would return, from the facets the search
+// API reports for a field ({ counts: { [value]: number } }), or undefined
+// while the counts are unknown
+export const getFacetCount = (facets, value) => facets?.counts?.[String(value)] ?? (facets ? 0 : undefined);
+
+// Option label with its facet count, e.g. "Diesel (42)"
+export const withFacetCount = (label, count, language) =>
+  count === undefined ? label : `${label} (${formatNumber(count, language)})`;
+
+// Add or remove a value from a MULTISELECT-style list
+export const toggleListValue = (list, value, checked) => {
+  const currentValues = Array.isArray(list) ? [...list] : [];
+  if (checked) {
+    if (!currentValues.includes(value)) {
+      currentValues.push(value);
+    }
+  } else {
+    const index = currentValues.indexOf(value);
+    if (index !== -1) {
+      currentValues.splice(index, 1);
+    }
+  }
+  return currentValues;
+};
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Checkbox, Flex, Image, Link } from '@chakra-ui/react';
+import ImageUploadField from '../components/fields/ImageUploadField';
+import { hasRule } from './helpers';
+import { NumberRuleInput } from './adminInputs';
+
+// IMAGE: photos uploaded to Cloudinary, stored as [{ url, publicId }]
+
+const ImageFilterInput = ({ value, label, onChange, t }) => (
+  <Checkbox
+    isChecked={!!value}
+    onChange={(e) => onChange(e.target.checked || null)}
+  >
+    {t('search.withPhotosOnly', { field: label })}
+  </Checkbox>
+);
+
+const ImageDisplayValue = ({ field, value, language }) => {
+  if (!Array.isArray(value) || value.length === 0) return '-';
+  return (
+    <Flex flexWrap="wrap" gap={2}>
+      {value.map((image) => (
+        <Link key={image.publicId || image.url} href={image.url} isExternal>
+          <Image
+            src={image.url}
+            alt={field.labelI18n[language] || field.name}
+            boxSize="80px"
+            objectFit="cover"
+            borderRadius="md"
+          />
+        </Link>
+      ))}
+    </Flex>
+  );
+};
+
+const validateImages = (rules, value) => {
+  if (hasRule(rules.maxFiles) && value.length > Number(rules.maxFiles)) {
+    return { key: 'validation.maxFiles', params: { max: rules.maxFiles } };
+  }
+  return null;
+};
+
+const ImageAdminConfig = ({ rules, onRuleChange, t }) => (
+  <>
+    <NumberRuleInput label={t('admin.validation.maxFiles')} rule="maxFiles" rules={rules} onRuleChange={onRuleChange} integer />
+    <NumberRuleInput label={t('admin.validation.maxFileSizeMb')} rule="maxFileSizeMb" rules={rules} onRuleChange={onRuleChange} />
+  </>
+);
+
+const imageType = {
+  type: 'IMAGE',
+  labelKey: 'admin.fieldTypes.image',
+  inlineFilterLabel: true,
+  badgeColor: 'orange',
+  filterValueKind: 'boolean',
+  FormInput: ImageUploadField,
+  FilterInput: ImageFilterInput,
+  matchesFilter: (withPhotos, value) => !withPhotos || (Array.isArray(value) && value.length > 0),
+  DisplayValue: ImageDisplayValue,
+  validate: validateImages,
+  getHelpText: (rules, t) => (hasRule(rules.maxFiles) ? t('fields.help.maxFiles', { max: rules.maxFiles }) : null),
+  isEmpty: (value) => !Array.isArray(value) || value.length === 0,
+  AdminConfig: ImageAdminConfig,
+};
+
+export default imageType;
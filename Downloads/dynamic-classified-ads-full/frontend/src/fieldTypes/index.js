@@ -0,0 +1,34 @@
+// Field type registry with the built-in types registered.
+// Import from here rather than from ./registry so the built-ins are loaded.
+import { registerFieldType } from './registry';
+import textType from './text';
+import numberType from './number';
+import selectType from './select';
+import multiselectType from './multiselect';
+import booleanType from './boolean';
+import dateType from './date';
+import rangeType from './range';
+import textareaType from './textarea';
+import urlType from './url';
+import phoneType from './phone';
+import colorType from './color';
+import locationType from './location';
+import imageType from './image';
+
+[
+  textType,
+  numberType,
+  selectType,
+  multiselectType,
+  booleanType,
+  dateType,
+  rangeType,
+  textareaType,
+  urlType,
+  phoneType,
+  colorType,
+  locationType,
+  imageType,
+].forEach(registerFieldType);
+
+export { registerFieldType, unregisterFieldType, getFieldType, getFieldTypes } from './registry';
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Box, Input, Link, Text } from '@chakra-ui/react';
+import { ExternalLinkIcon } from '@chakra-ui/icons';
+import LocationField, { formatLocation, getMapUrl } from '../components/fields/LocationField';
+import { matchesText } from '../lib/textMatching';
+import { BooleanRuleInput } from './adminInputs';
+
+// LOCATION: { city, address, lat, lng }. Filters match on the city.
+
+const LocationFilterInput = ({ value, onChange, t }) => (
+  <Input
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={t('search.cityPlaceholder')}
+  />
+);
+
+const LocationDisplayValue = ({ value, t }) => {
+  const mapUrl = getMapUrl(value);
+  return (
+    <Box>
+      <Text>{formatLocation(value) || '-'}</Text>
+      {mapUrl && (
+        <Link href={mapUrl} isExternal rel="noopener noreferrer" color="blue.500" fontSize="sm">
+          {t('adDetails.viewOnMap')} <ExternalLinkIcon mx="2px" />
+        </Link>
+      )}
+    </Box>
+  );
+};
+
+const validateLocation = (rules, value) => {
+  if (rules.requireCoordinates && (value.lat === undefined || value.lng === undefined)) {
+    return { key: 'validation.coordinates', params: {} };
+  }
+  return null;
+};
+
+const LocationAdminConfig = ({ rules, onRuleChange, t }) => (
+  <BooleanRuleInput
+    label={t('admin.validation.requireCoordinates')}
+    rule="requireCoordinates"
+    rules={rules}
+    onRuleChange={onRuleChange}
+    t={t}
+  />
+);
+
+const locationType = {
+  type: 'LOCATION',
+  labelKey: 'admin.fieldTypes.location',
+  isGroup: true,
+  badgeColor: 'orange',
+  FormInput: LocationField,
+  FilterInput: LocationFilterInput,
+  matchesFilter: (city, value) => matchesText(value?.city, city),
+  DisplayValue: LocationDisplayValue,
+  validate: validateLocation,
+  isEmpty: (value) => !value.city && !value.address && value.lat === undefined,
+  AdminConfig: LocationAdminConfig,
+};
+
+export default locationType;
@@ -0,0 +1,68 @@
+import React, { useId } from 'react';
+import { Stack, Checkbox, Flex, Badge } from '@chakra-ui/react';
+import { getFacetCount, toggleListValue, withFacetCount } from './helpers';
+
+// MULTISELECT: any number of values from the field's option list
+
+// Shared by the form and the filters; only filters pass facet counts. The
+// list is a group (isGroup), so each checkbox gets an id of its own, and a
+// required field doesn't make every single checkbox required.
+const CheckboxList = ({ value, options, facets, onChange, onBlur, language }) => {
+  const idPrefix = useId();
+
+  return (
+    <Stack spacing={2} direction="column">
+      {options.map((option, index) => {
+        const isChecked = Array.isArray(value) && value.includes(option.value);
+        const count = getFacetCount(facets, option.value);
+        return (
+          <Checkbox
+            key={option.id}
+            id={`${idPrefix}-${index}`}
+            isRequired={false}
+            isChecked={isChecked}
+            onChange={(e) => onChange(toggleListValue(value, option.value, e.target.checked))}
+            onBlur={onBlur}
+            opacity={count === 0 && !isChecked ? 0.5 : 1}
+          >
+            {withFacetCount(option.labelI18n[language] || option.value, count, language)}
+          </Checkbox>
+        );
+      })}
+    </Stack>
+  );
+};
+
+const MultiselectDisplayValue = ({ value, getOptionLabel }) => {
+  if (!Array.isArray(value) || value.length === 0) return '-';
+  return (
+    <Flex flexWrap="wrap" gap={2}>
+      {value.map((val, index) => (
+        <Badge key={index} colorScheme="blue" variant="subtle">
+          {getOptionLabel(val)}
+        </Badge>
+      ))}
+    </Flex>
+  );
+};
+
+const multiselectType = {
+  type: 'MULTISELECT',
+  labelKey: 'admin.fieldTypes.multiselect',
+  hasOptions: true,
+  isGroup: true,
+  isFilterGroup: true,
+  badgeColor: 'green',
+  filterValueKind: 'list',
+  FormInput: CheckboxList,
+  FilterInput: CheckboxList,
+  // Every ticked option has to be present, e.g. features "ABS" and "GPS"
+  matchesFilter: (selected, value) =>
+    Array.isArray(value) && selected.every((option) => value.includes(option)),
+  // The same options in any order are the same value
+  comparisonKey: (value) => (Array.isArray(value) && value.length ? JSON.stringify([...value].sort()) : null),
+  DisplayValue: MultiselectDisplayValue,
+  isEmpty: (value) => !Array.isArray(value) || value.length === 0,
+};
+
+export default multiselectType;
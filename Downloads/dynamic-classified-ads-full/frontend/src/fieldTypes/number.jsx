@@ -0,0 +1,172 @@
+import React, { useState, useId } from 'react';
+import { HStack, NumberInput, NumberInputField, NumberInputStepper,
+         NumberIncrementStepper, NumberDecrementStepper, Text } from '@chakra-ui/react';
+import UnitSelect from '../components/fields/UnitSelect';
+import { convertUnit, getFieldUnits, getPreferredUnit, getUnitLabel, roundConverted } from '../lib/units';
+import { formatFieldNumber, formatNumber } from '../lib/formatting';
+import { describeNumberRules, getHistogramSpan, hasRule, isWithinBounds, validateNumberRules } from './helpers';
+import { NumberRuleInput } from './adminInputs';
+
+// NUMBER: a single numeric value. Fields with a unit store the value in
+// field.unit and let sellers enter it in any of the field's alternate units.
+// Fields marked with a currency hold an amount in field.currency instead.
+
+// emptyValue is what an emptied input reports. The form keeps it empty so
+// isRequired can still be enforced. Text that isn't a number yet (e.g. "-")
+// is reported as typed, so validation can flag it instead of it becoming 0.
+// Without an id the input takes the FormControl's; describedBy points at
+// extra descriptions such as the unit, next to the FormControl's own.
+const NumberField = ({ id, value, onChange, onBlur, emptyValue, placeholder, describedBy, ariaLabel }) => {
+  const [text, setText] = useState(value ?? '');
+  // Keep what was typed (e.g. "1.") while it still stands for the value
+  const isTyped = text === String(value ?? '') || (text !== '' && parseFloat(text) === value);
+
+  return (
+    <NumberInput
+      id={id}
+      aria-describedby={describedBy}
+      value={isTyped ? text : value ?? ''}
+      onChange={(valueString) => {
+        setText(valueString);
+        if (valueString === '') {
+          onChange(emptyValue);
+          return;
+        }
+        const number = parseFloat(valueString);
+        onChange(Number.isNaN(number) ? valueString : number);
+      }}
+      onBlur={onBlur}
+    >
+      <NumberInputField placeholder={placeholder} aria-label={ariaLabel} />
+      <NumberInputStepper>
+        <NumberIncrementStepper />
+        <NumberDecrementStepper />
+      </NumberInputStepper>
+    </NumberInput>
+  );
+};
+
+const NumberFormInput = ({ field, value, onChange, onBlur, unitSystem, t }) => {
+  const units = getFieldUnits(field);
+  // Follows the viewer's unit system until the seller picks a unit
+  const [pickedUnit, setPickedUnit] = useState(null);
+  const entryUnit = pickedUnit || getPreferredUnit(field, unitSystem);
+  // The unit or currency next to the input is read out with it
+  const unitId = useId();
+
+  if (!units.length) {
+    if (!field.currency) return <NumberField value={value} onChange={onChange} onBlur={onBlur} emptyValue="" />;
+    return (
+      <HStack spacing={2}>
+        <NumberField value={value} onChange={onChange} onBlur={onBlur} emptyValue="" describedBy={unitId} />
+        <Text id={unitId} dir="ltr">{field.currency}</Text>
+      </HStack>
+    );
+  }
+
+  return (
+    <HStack spacing={2}>
+      <NumberField
+        value={typeof value === 'number' ? roundConverted(convertUnit(value, field.unit, entryUnit)) : value}
+        onChange={(entered) =>
+          onChange(typeof entered === 'number' ? roundConverted(convertUnit(entered, entryUnit, field.unit)) : entered)
+        }
+        onBlur={onBlur}
+        emptyValue=""
+        describedBy={units.length > 1 ? undefined : unitId}
+      />
+      {units.length > 1 ? (
+        <UnitSelect units={units} value={entryUnit} onChange={setPickedUnit} />
+      ) : (
+        <Text id={unitId}>{getUnitLabel(field.unit, t)}</Text>
+      )}
+    </HStack>
+  );
+};
+
+// Filters are a { min, max } range entered in the viewer's preferred unit
+// and passed on normalized. An empty bound doesn't constrain the results;
+// the placeholders show the span of the current results.
+const NumberFilterInput = ({ field, value, facets, onChange, language, unitSystem, t }) => {
+  const viewUnit = getPreferredUnit(field, unitSystem);
+  const idPrefix = useId();
+  const toView = (number) => (viewUnit ? roundConverted(convertUnit(number, field.unit, viewUnit)) : number);
+  const fromView = (number) => (viewUnit ? roundConverted(convertUnit(number, viewUnit, field.unit)) : number);
+  const range = value || {};
+  const span = getHistogramSpan(facets);
+
+  const handleBoundChange = (bound, entered) => {
+    const next = { ...range, [bound]: typeof entered === 'number' ? fromView(entered) : null };
+    onChange(hasRule(next.min) || hasRule(next.max) ? next : null);
+  };
+
+  const renderBound = (bound) => (
+    <NumberField
+      id={`${idPrefix}-${bound}`}
+      ariaLabel={t(`search.${bound}`)}
+      describedBy={viewUnit || field.currency ? `${idPrefix}-unit` : undefined}
+      value={hasRule(range[bound]) ? toView(range[bound]) : ''}
+      onChange={(entered) => handleBoundChange(bound, entered)}
+      emptyValue={null}
+      placeholder={
+        span ? `${t(`search.${bound}`)} ${formatNumber(toView(span[bound]), language)}` : t(`search.${bound}`)
+      }
+    />
+  );
+
+  return (
+    <HStack spacing={2}>
+      {renderBound('min')}
+      <Text aria-hidden="true">-</Text>
+      {renderBound('max')}
+      {viewUnit ? (
+        <Text id={`${idPrefix}-unit`}>{getUnitLabel(viewUnit, t)}</Text>
+      ) : (
+        field.currency && (
+          <Text id={`${idPrefix}-unit`} dir="ltr">
+            {field.currency}
+          </Text>
+        )
+      )}
+    </HStack>
+  );
+};
+
+const NumberDisplayValue = ({ field, value, language, unitSystem, t }) => {
+  const viewUnit = getPreferredUnit(field, unitSystem);
+  if (!viewUnit) return <Text>{formatFieldNumber(field, value, language)}</Text>;
+
+  return (
+    <Text>
+      {formatNumber(convertUnit(value, field.unit, viewUnit), language)} {getUnitLabel(viewUnit, t)}
+    </Text>
+  );
+};
+
+const NumberAdminConfig = ({ rules, onRuleChange, t }) => (
+  <>
+    <NumberRuleInput label={t('admin.validation.min')} rule="min" rules={rules} onRuleChange={onRuleChange} />
+    <NumberRuleInput label={t('admin.validation.max')} rule="max" rules={rules} onRuleChange={onRuleChange} />
+  </>
+);
+
+const numberType = {
+  type: 'NUMBER',
+  labelKey: 'admin.fieldTypes.number',
+  supportsUnits: true,
+  supportsCurrency: true,
+  isFilterGroup: true,
+  filterValueKind: 'number',
+  FormInput: NumberFormInput,
+  FilterInput: NumberFilterInput,
+  // A { min, max } filter matches values within it
+  matchesFilter: (filter, value) => isWithinBounds(value, filter),
+  sortValue: (value) => Number(value),
+  comparisonKey: (value) => (value === undefined || value === null || value === '' ? null : String(Number(value))),
+  DisplayValue: NumberDisplayValue,
+  validate: validateNumberRules,
+  getHelpText: describeNumberRules,
+  AdminConfig: NumberAdminConfig,
+};
+
+export default numberType;
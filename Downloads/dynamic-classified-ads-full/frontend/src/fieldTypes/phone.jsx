@@ -0,0 +1,85 @@
+import React from 'react';
+import { Input, Link, Select, FormControl, FormLabel } from '@chakra-ui/react';
+import PhoneField, { DEFAULT_COUNTRY_CODES, formatPhone } from '../components/fields/PhoneField';
+import { hasRule, includesText } from './helpers';
+import { ListRuleInput, NumberRuleInput } from './adminInputs';
+
+// PHONE: { countryCode, number }
+
+const PhoneFilterInput = ({ value, onChange, t }) => (
+  <Input
+    dir="ltr"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={t('search.filterPlaceholder')}
+  />
+);
+
+const PhoneDisplayValue = ({ value }) => {
+  if (!value.number) return '-';
+  return (
+    <Link href={`tel:${formatPhone(value).replace(/\s/g, '')}`} color="blue.500" dir="ltr">
+      {formatPhone(value)}
+    </Link>
+  );
+};
+
+const validatePhone = (rules, value) => {
+  const digits = String(value.number);
+  // E.164 allows at most 15 digits; very short numbers are almost always typos
+  const minDigits = hasRule(rules.minDigits) ? Number(rules.minDigits) : 6;
+  const maxDigits = hasRule(rules.maxDigits) ? Number(rules.maxDigits) : 15;
+
+  if (!/^\d+$/.test(digits) || digits.length < minDigits || digits.length > maxDigits) {
+    return { key: 'validation.phone', params: { min: minDigits, max: maxDigits } };
+  }
+  const allowedCountryCodes = rules.allowedCountryCodes || [];
+  if (allowedCountryCodes.length && !allowedCountryCodes.includes(value.countryCode)) {
+    return { key: 'validation.phoneCountry', params: {} };
+  }
+  return null;
+};
+
+const PhoneAdminConfig = ({ rules, onRuleChange, t }) => (
+  <>
+    <FormControl mb={4}>
+      <FormLabel>{t('admin.validation.defaultCountryCode')}</FormLabel>
+      <Select
+        value={rules.defaultCountryCode || ''}
+        onChange={(e) => onRuleChange('defaultCountryCode', e.target.value)}
+        placeholder={t('select')}
+      >
+        {DEFAULT_COUNTRY_CODES.map((code) => (
+          <option key={code} value={code}>
+            {code}
+          </option>
+        ))}
+      </Select>
+    </FormControl>
+    <ListRuleInput
+      label={t('admin.validation.allowedCountryCodes')}
+      rule="allowedCountryCodes"
+      rules={rules}
+      onRuleChange={onRuleChange}
+      placeholder="+963, +46"
+    />
+    <NumberRuleInput label={t('admin.validation.minDigits')} rule="minDigits" rules={rules} onRuleChange={onRuleChange} integer />
+    <NumberRuleInput label={t('admin.validation.maxDigits')} rule="maxDigits" rules={rules} onRuleChange={onRuleChange} integer />
+  </>
+);
+
+const phoneType = {
+  type: 'PHONE',
+  labelKey: 'admin.fieldTypes.phone',
+  FormInput: PhoneField,
+  FilterInput: PhoneFilterInput,
+  // Compare digits only, so "+963 944" finds "+963944123456"
+  matchesFilter: (search, value) =>
+    includesText(formatPhone(value).replace(/\D/g, ''), String(search).replace(/\D/g, '')),
+  DisplayValue: PhoneDisplayValue,
+  validate: validatePhone,
+  isEmpty: (value) => !value.number,
+  AdminConfig: PhoneAdminConfig,
+};
+
+export default phoneType;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Box, Text, HStack, Flex, RangeSlider, RangeSliderTrack,
+         RangeSliderFilledTrack, RangeSliderThumb, useFormControl } from '@chakra-ui/react';
+import UnitSelect from '../components/fields/UnitSelect';
+import { convertUnit, getFieldUnits, getPreferredUnit, getUnitLabel, roundConverted } from '../lib/units';
+import { formatNumber } from '../lib/formatting';
+import { describeNumberRules, getHistogramSpan, hasRule, validateNumberRules } from './helpers';
+import { NumberRuleInput } from './adminInputs';
+
+// RANGE: a { min, max } pair picked on a slider bounded by the validation
+// rules, or else by the span of the ads' values. Like NUMBER, a field with a
+// unit stores both ends in field.unit.
+
+// Scale of a field without validation rules or facet data
+const DEFAULT_SCALE = { min: 0, max: 1000 };
+
+// Helper function to get the slider's scale in field.unit
+const getScale = (field, facets) => {
+  const rules = field.validationRules || {};
+  const span = getHistogramSpan(facets);
+  return {
+    min: hasRule(rules.min) ? Number(rules.min) : span ? span.min : DEFAULT_SCALE.min,
+    max: hasRule(rules.max) ? Number(rules.max) : span ? span.max : DEFAULT_SCALE.max,
+  };
+};
+
+// Distribution of the filtered ads' values above the filter slider. Buckets
+// ({ from, to, count } in field.unit) are placed on the slider's scale and
+// those inside the selected range are highlighted.
+const RangeHistogram = ({ histogram, scaleMin, scaleMax, toView, selected }) => {
+  const maxCount = Math.max(1, ...histogram.map((bucket) => bucket.count));
+  const span = scaleMax - scaleMin || 1;
+  const toPercent = (number) => Math.min(100, Math.max(0, ((toView(number) - scaleMin) / span) * 100));
+
+  return (
+    <Box position="relative" height="40px" aria-hidden="true">
+      {histogram.map((bucket) => {
+        const start = toPercent(bucket.from);
+        const isSelected = bucket.to >= selected.min && bucket.from <= selected.max;
+        return (
+          <Box
+            key={bucket.from}
+            position="absolute"
+            bottom={0}
+            insetStart={`${start}%`}
+            width={`${toPercent(bucket.to) - start}%`}
+            height={`${(bucket.count / maxCount) * 100}%`}
+            bg={isSelected ? 'blue.300' : 'gray.200'}
+            borderInlineEnd="1px solid white"
+            borderTopRadius="sm"
+          />
+        );
+      })}
+    </Box>
+  );
+};
+
+// Shared by the form and the filters; only filters pass facets with a
+// histogram. In a filter (openEnded) a thumb at the end of the scale leaves
+// that bound unset, so it doesn't constrain the results. Each thumb is a
+// labelled slider that reads out its value with the unit; arrow keys move it
+// a step, Page Up/Down a tenth of the scale and Home/End to its ends.
+const RangeSliderInput = ({ field, value, facets, label, onChange, onBlur, language, unitSystem, t, openEnded = false }) => {
+  const control = useFormControl({});
+  const units = getFieldUnits(field);
+  // Follows the viewer's unit system until they pick a unit for this field
+  const [pickedUnit, setPickedUnit] = useState(null);
+  const viewUnit = pickedUnit || getPreferredUnit(field, unitSystem);
+  // Convert between the stored unit and the unit the slider is shown in
+  const toView = (number) => (viewUnit ? roundConverted(convertUnit(number, field.unit, viewUnit), 2) : number);
+  const fromView = (number) => (viewUnit ? roundConverted(convertUnit(number, viewUnit, field.unit)) : number);
+
+  const { min: absoluteMin, max: absoluteMax } = getScale(field, facets);
+  // Unset ends sit at the ends of the scale
+  const minValue = hasRule(value?.min) ? Number(value.min) : absoluteMin;
+  const maxValue = hasRule(value?.max) ? Number(value.max) : absoluteMax;
+  const unitLabel = viewUnit ? ` ${getUnitLabel(viewUnit, t)}` : '';
+  const thumbLabels = [t('fields.range.min', { field: label }), t('fields.range.max', { field: label })];
+
+  const handleChange = ([viewMin, viewMax]) => {
+    if (!openEnded) {
+      onChange({ min: fromView(viewMin), max: fromView(viewMax) });
+      return;
+    }
+    const range = {
+      min: viewMin <= toView(absoluteMin) ? null : fromView(viewMin),
+      max: viewMax >= toView(absoluteMax) ? null : fromView(viewMax),
+    };
+    onChange(hasRule(range.min) || hasRule(range.max) ? range : null);
+  };
+
+  return (
+    <Box pt={6} pb={2}>
+      {units.length > 1 && (
+        <Flex justifyContent="flex-end" mb={2}>
+          <UnitSelect units={units} value={viewUnit} onChange={setPickedUnit} />
+        </Flex>
+      )}
+      {facets?.histogram?.length > 0 && (
+        <RangeHistogram
+          histogram={facets.histogram}
+          scaleMin={toView(absoluteMin)}
+          scaleMax={toView(absoluteMax)}
+          toView={toView}
+          selected={{ min: minValue, max: maxValue }}
+        />
+      )}
+      <RangeSlider
+        aria-label={thumbLabels}
+        getAriaValueText={(number) => `${formatNumber(number, language)}${unitLabel}`}
+        value={[toView(minValue), toView(maxValue)]}
+        min={toView(absoluteMin)}
+        max={toView(absoluteMax)}
+        onChange={handleChange}
+        onChangeEnd={onBlur}
+      >
+        <RangeSliderTrack>
+          <RangeSliderFilledTrack />
+        </RangeSliderTrack>
+        {[0, 1].map((index) => (
+          <RangeSliderThumb
+            key={index}
+            index={index}
+            aria-describedby={control['aria-describedby']}
+            aria-invalid={control['aria-invalid']}
+          />
+        ))}
+      </RangeSlider>
+      {/* The thumbs already read out these values */}
+      <HStack justifyContent="space-between" mt={2} aria-hidden="true">
+        <Text fontSize="sm">{formatNumber(toView(minValue), language)}{unitLabel}</Text>
+        <Text fontSize="sm">{formatNumber(toView(maxValue), language)}{unitLabel}</Text>
+      </HStack>
+    </Box>
+  );
+};
+
+const RangeDisplayValue = ({ field, value, language, unitSystem, t }) => {
+  if (!value.min && !value.max) return '-';
+  const viewUnit = getPreferredUnit(field, unitSystem);
+  const format = (number) => formatNumber(viewUnit ? convertUnit(number, field.unit, viewUnit) : number, language);
+
+  return (
+    <Text>
+      {value.min !== undefined ? format(value.min) : '-'} - {value.max !== undefined ? format(value.max) : '-'}
+      {viewUnit && ` ${getUnitLabel(viewUnit, t)}`}
+    </Text>
+  );
+};
+
+const validateRange = (rules, value) => {
+  const { min, max } = value;
+  for (const bound of [min, max]) {
+    if (!hasRule(bound)) continue;
+    const error = validateNumberRules(rules, bound);
+    if (error) return error;
+  }
+  if (hasRule(min) && hasRule(max) && Number(min) > Number(max)) {
+    return { key: 'validation.rangeOrder', params: {} };
+  }
+  return null;
+};
+
+const RangeAdminConfig = ({ rules, onRuleChange, t }) => (
+  <>
+    <NumberRuleInput label={t('admin.validation.min')} rule="min" rules={rules} onRuleChange={onRuleChange} />
+    <NumberRuleInput label={t('admin.validation.max')} rule="max" rules={rules} onRuleChange={onRuleChange} />
+  </>
+);
+
+const rangeType = {
+  type: 'RANGE',
+  labelKey: 'admin.fieldTypes.range',
+  supportsUnits: true,
+  isGroup: true,
+  isFilterGroup: true,
+  filterValueKind: 'number',
+  FormInput: RangeSliderInput,
+  FilterInput: (props) => <RangeSliderInput {...props} openEnded />,
+  // An ad's range matches when it overlaps the filtered range; a missing end is open
+  matchesFilter: (filterRange, value) =>
+    !(hasRule(filterRange.min) && hasRule(value?.max) && Number(value.max) < Number(filterRange.min)) &&
+    !(hasRule(filterRange.max) && hasRule(value?.min) && Number(value.min) > Number(filterRange.max)),
+  // Ranges sort by their lower end, or the upper one when that's all there is
+  sortValue: (value) => (hasRule(value.min) ? Number(value.min) : hasRule(value.max) ? Number(value.max) : undefined),
+  comparisonKey: (value) => {
+    if (!value || (!hasRule(value.min) && !hasRule(value.max))) return null;
+    return JSON.stringify([hasRule(value.min) ? Number(value.min) : null, hasRule(value.max) ? Number(value.max) : null]);
+  },
+  DisplayValue: RangeDisplayValue,
+  validate: validateRange,
+  getHelpText: describeNumberRules,
+  isEmpty: (value) => typeof value !== 'object' || (!hasRule(value.min) && !hasRule(value.max)),
+  AdminConfig: RangeAdminConfig,
+};
+
+export default rangeType;
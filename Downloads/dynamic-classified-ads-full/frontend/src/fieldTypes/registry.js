@@ -0,0 +1,61 @@
+// Registry of category field types. A new type (e.g. "VIN") is added by
+// registering a definition:
+//
+//   registerFieldType({
+//     type: 'VIN',
+//     labelKey: 'admin.fieldTypes.vin',
+//     FormInput,       // ({ field, name, value, options, label, onChange, onBlur, language, unitSystem, t })
+//     FilterInput,     // ({ field, value, options, facets, loadSuggestions, label, onChange, language,
+//                      //    unitSystem, t }) - omit if not filterable
+//     DisplayValue,    // ({ field, value, getOptionLabel, language, unitSystem, t })
+//     validate,        // (validationRules, value) => { key, params } | null
+//     isEmpty,         // (value) => boolean - optional, for structured values
+//     AdminConfig,     // ({ rules, onRuleChange, t }) - validation options in the admin
+//     filterValueKind, // 'string' | 'number' | 'boolean' | 'date' | 'list' - default 'string'
+//     matchesFilter,   // (filterValue, value, field) => boolean - default: equal as strings
+//     sortValue,       // (value, field) => number | string | undefined - omit if not sortable
+//     comparisonKey,   // (value, field) => string | null - default: null if unset, else JSON
+//     getHelpText,     // (validationRules, t) => string | null - optional
+//   });
+//
+// Flags, all false by default: hasOptions, inlineLabel, inlineFilterLabel,
+// isGroup, isFilterGroup, supportsUnits and supportsCurrency. badgeColor
+// defaults to 'blue'.
+
+const fieldTypes = new Map();
+
+// Register a field type, replacing any existing definition with the same type
+export const registerFieldType = (definition) => {
+  if (!definition || !definition.type) {
+    throw new Error('A field type definition needs a type');
+  }
+  if (!definition.FormInput || !definition.DisplayValue) {
+    throw new Error(`Field type ${definition.type} needs a FormInput and a DisplayValue`);
+  }
+  fieldTypes.set(definition.type, {
+    hasOptions: false,
+    inlineLabel: false,
+    inlineFilterLabel: false,
+    isGroup: false,
+    isFilterGroup: false,
+    supportsUnits: false,
+    supportsCurrency: false,
+    badgeColor: 'blue',
+    filterValueKind: 'string',
+    matchesFilter: (filterValue, value) => String(value) === String(filterValue),
+    comparisonKey: (value) =>
+      value === undefined || value === null || value === '' ? null : JSON.stringify(value),
+    ...definition,
+  });
+};
+
+// Remove a field type, e.g. to hide a built-in type from the admin
+export const unregisterFieldType = (type) => {
+  fieldTypes.delete(type);
+};
+
+// Look up the definition of a field type, or null when it isn't registered
+export const getFieldType = (type) => fieldTypes.get(type) || null;
+
+// All registered field types in registration order
+export const getFieldTypes = () => Array.from(fieldTypes.values());
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { Box, Input, List, ListItem, Text } from '@chakra-ui/react';
+import { formatNumber } from '../lib/formatting';
+import useTextSuggestions from '../hooks/useTextSuggestions';
+
+// Typing only updates the filter after this pause, so every keystroke
+// doesn't start a new search
+const FILTER_DELAY = 300;
+
+// Free-text filter with a suggestions dropdown, shared by the text types.
+// Arrow keys move through the suggestions, Enter picks one, Escape closes.
+export const TextSearchFilterInput = ({ value, onChange, loadSuggestions, language, t }) => {
+  const [text, setText] = useState(value ?? '');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const listId = useId();
+  // The last value handed to onChange, to tell our own updates from outside
+  // ones (e.g. a reset or back navigation)
+  const sentValue = useRef(value ?? '');
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const suggestions = useTextSuggestions(loadSuggestions, text, { enabled: isOpen });
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  useEffect(() => {
+    if ((value ?? '') !== sentValue.current) {
+      sentValue.current = value ?? '';
+      setText(value ?? '');
+    }
+  }, [value]);
+
+  useEffect(() => {
+    if (text === sentValue.current) return undefined;
+    const timer = setTimeout(() => {
+      sentValue.current = text;
+      onChangeRef.current(text);
+    }, FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const handleSelect = (suggestion) => {
+    sentValue.current = suggestion.value;
+    setText(suggestion.value);
+    onChangeRef.current(suggestion.value);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length) {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && showSuggestions && activeIndex >= 0) {
+      e.preventDefault();
+      handleSelect(suggestions[activeIndex]);
+    } else if (e.key === 'Escape' && showSuggestions) {
+      e.preventDefault();
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <Box position="relative">
+      <Input
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        placeholder={t('search.filterPlaceholder')}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls={listId}
+        aria-activedescendant={showSuggestions && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        autoComplete="off"
+      />
+      {showSuggestions && (
+        <List
+          id={listId}
+          role="listbox"
+          position="absolute"
+          insetStart={0}
+          insetEnd={0}
+          mt={1}
+          zIndex="dropdown"
+          bg="white"
+          borderWidth="1px"
+          borderRadius="md"
+          boxShadow="md"
+          maxHeight="240px"
+          overflowY="auto"
+        >
+          {suggestions.map((suggestion, index) => (
+            <ListItem
+              key={suggestion.value}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              px={3}
+              py={2}
+              cursor="pointer"
+              bg={index === activeIndex ? 'blue.50' : undefined}
+              _hover={{ bg: 'gray.50' }}
+              display="flex"
+              justifyContent="space-between"
+              // Pick before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                handleSelect(suggestion);
+              }}
+            >
+              <Text>{suggestion.value}</Text>
+              {suggestion.count !== undefined && (
+                <Text color="gray.500" fontSize="sm">
+                  {formatNumber(suggestion.count, language)}
+                </Text>
+              )}
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
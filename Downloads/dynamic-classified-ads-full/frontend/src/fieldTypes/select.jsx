@@ -0,0 +1,61 @@
+import React from 'react';
+import { Select, Text } from '@chakra-ui/react';
+import { getFacetCount, withFacetCount } from './helpers';
+
+// SELECT: one value picked from the field's option list
+
+const SelectFormInput = ({ name, value, options, onChange, onBlur, language, t }) => (
+  <Select
+    name={name}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    onBlur={onBlur}
+    placeholder={t('select')}
+    isDisabled={!options.length}
+  >
+    {options.map((option) => (
+      <option key={option.id} value={option.value}>
+        {option.labelI18n[language] || option.value}
+      </option>
+    ))}
+  </Select>
+);
+
+// Options that would return no ads are dimmed rather than disabled, so the
+// current selection can still be changed to them
+const SelectFilterInput = ({ value, options, facets, onChange, language, t }) => (
+  <Select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={t('search.all')}
+  >
+    {options.map((option) => {
+      const count = getFacetCount(facets, option.value);
+      return (
+        <option key={option.id} value={option.value} style={count === 0 ? { color: '#A0AEC0' } : undefined}>
+          {withFacetCount(option.labelI18n[language] || option.value, count, language)}
+        </option>
+      );
+    })}
+  </Select>
+);
+
+const SelectDisplayValue = ({ value, getOptionLabel }) => <Text>{getOptionLabel(value)}</Text>;
+
+const selectType = {
+  type: 'SELECT',
+  labelKey: 'admin.fieldTypes.select',
+  hasOptions: true,
+  badgeColor: 'green',
+  FormInput: SelectFormInput,
+  FilterInput: SelectFilterInput,
+  // Values sort in the order the admin gave the options (e.g. new, used, for parts)
+  sortValue: (value, field) => {
+    const options = field.options || [];
+    const index = options.findIndex((option) => option.value === value);
+    return index === -1 ? undefined : options[index].order ?? index;
+  },
+  DisplayValue: SelectDisplayValue,
+};
+
+export default selectType;
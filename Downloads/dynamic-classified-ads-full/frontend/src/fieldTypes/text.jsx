@@ -0,0 +1,48 @@
+import React from 'react';
+import { Input, Text } from '@chakra-ui/react';
+import { describeTextRules, validateTextRules } from './helpers';
+import { NumberRuleInput, TextRuleInput } from './adminInputs';
+import { TextSearchFilterInput } from './searchInputs';
+import { matchesText } from '../lib/textMatching';
+
+// TEXT: single-line free text
+
+const TextFormInput = ({ name, value, onChange, onBlur }) => (
+  <Input
+    name={name}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    onBlur={onBlur}
+  />
+);
+
+const TextDisplayValue = ({ value }) => <Text>{value}</Text>;
+
+const TextAdminConfig = ({ rules, onRuleChange, t }) => (
+  <>
+    <NumberRuleInput label={t('admin.validation.minLength')} rule="minLength" rules={rules} onRuleChange={onRuleChange} integer />
+    <NumberRuleInput label={t('admin.validation.maxLength')} rule="maxLength" rules={rules} onRuleChange={onRuleChange} integer />
+    <TextRuleInput
+      label={t('admin.validation.pattern')}
+      rule="pattern"
+      rules={rules}
+      onRuleChange={onRuleChange}
+      placeholder={t('admin.validation.patternPlaceholder')}
+    />
+  </>
+);
+
+const textType = {
+  type: 'TEXT',
+  labelKey: 'admin.fieldTypes.text',
+  FormInput: TextFormInput,
+  FilterInput: TextSearchFilterInput,
+  matchesFilter: (search, value) => matchesText(value, search),
+  sortValue: (value) => String(value),
+  DisplayValue: TextDisplayValue,
+  validate: validateTextRules,
+  getHelpText: describeTextRules,
+  AdminConfig: TextAdminConfig,
+};
+
+export default textType;
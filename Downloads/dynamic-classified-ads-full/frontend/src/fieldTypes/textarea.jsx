@@ -0,0 +1,41 @@
+import React from 'react';
+import { Text, Textarea } from '@chakra-ui/react';
+import { describeTextRules, validateTextRules } from './helpers';
+import { NumberRuleInput } from './adminInputs';
+import { TextSearchFilterInput } from './searchInputs';
+import { matchesText } from '../lib/textMatching';
+
+// TEXTAREA: multi-line descriptions
+
+const TextareaFormInput = ({ name, value, onChange, onBlur }) => (
+  <Textarea
+    name={name}
+    value={value}
+    rows={4}
+    onChange={(e) => onChange(e.target.value)}
+    onBlur={onBlur}
+  />
+);
+
+const TextareaDisplayValue = ({ value }) => <Text whiteSpace="pre-wrap">{value}</Text>;
+
+const TextareaAdminConfig = ({ rules, onRuleChange, t }) => (
+  <>
+    <NumberRuleInput label={t('admin.validation.minLength')} rule="minLength" rules={rules} onRuleChange={onRuleChange} integer />
+    <NumberRuleInput label={t('admin.validation.maxLength')} rule="maxLength" rules={rules} onRuleChange={onRuleChange} integer />
+  </>
+);
+
+const textareaType = {
+  type: 'TEXTAREA',
+  labelKey: 'admin.fieldTypes.textarea',
+  FormInput: TextareaFormInput,
+  FilterInput: TextSearchFilterInput,
+  matchesFilter: (search, value) => matchesText(value, search),
+  DisplayValue: TextareaDisplayValue,
+  validate: validateTextRules,
+  getHelpText: describeTextRules,
+  AdminConfig: TextareaAdminConfig,
+};
+
+export default textareaType;
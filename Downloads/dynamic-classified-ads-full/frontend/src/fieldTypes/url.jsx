@@ -0,0 +1,82 @@
+import React from 'react';
+import { Input, Link } from '@chakra-ui/react';
+import { ExternalLinkIcon } from '@chakra-ui/icons';
+import { includesText } from './helpers';
+import { ListRuleInput } from './adminInputs';
+
+// URL: an http(s) link, optionally restricted to a list of domains
+
+const UrlFormInput = ({ name, value, onChange, onBlur }) => (
+  <Input
+    type="url"
+    dir="ltr"
+    name={name}
+    value={value}
+    placeholder="https://"
+    onChange={(e) => onChange(e.target.value)}
+    onBlur={onBlur}
+  />
+);
+
+const UrlFilterInput = ({ value, onChange, t }) => (
+  <Input
+    dir="ltr"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={t('search.filterPlaceholder')}
+  />
+);
+
+const UrlDisplayValue = ({ value }) => (
+  <Link href={value} isExternal rel="noopener noreferrer nofollow" color="blue.500" dir="ltr">
+    {value} <ExternalLinkIcon mx="2px" />
+  </Link>
+);
+
+const validateUrl = (rules, value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (err) {
+    return { key: 'validation.url', params: {} };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { key: 'validation.url', params: {} };
+  }
+
+  const allowedDomains = rules.allowedDomains || [];
+  if (allowedDomains.length) {
+    const hostname = url.hostname.toLowerCase();
+    const allowed = allowedDomains.some((domain) => {
+      const normalized = domain.toLowerCase();
+      return hostname === normalized || hostname.endsWith(`.${normalized}`);
+    });
+    if (!allowed) {
+      return { key: 'validation.urlDomain', params: { domains: allowedDomains.join(', ') } };
+    }
+  }
+  return null;
+};
+
+const UrlAdminConfig = ({ rules, onRuleChange, t }) => (
+  <ListRuleInput
+    label={t('admin.validation.allowedDomains')}
+    rule="allowedDomains"
+    rules={rules}
+    onRuleChange={onRuleChange}
+    placeholder={t('admin.validation.allowedDomainsPlaceholder')}
+  />
+);
+
+const urlType = {
+  type: 'URL',
+  labelKey: 'admin.fieldTypes.url',
+  FormInput: UrlFormInput,
+  FilterInput: UrlFilterInput,
+  matchesFilter: (search, value) => includesText(value, search),
+  DisplayValue: UrlDisplayValue,
+  validate: validateUrl,
+  AdminConfig: UrlAdminConfig,
+};
+
+export default urlType;
@@ -0,0 +1,112 @@
+import { act, renderHook } from '@testing-library/react';
+import { useState } from 'react';
+import useCommandHistory from '../useCommandHistory';
+
+// A command that appends an item to the list and removes it again
+const appendCommand = (item, { run = async () => {}, undo = async () => {} } = {}) => ({
+  labelKey: 'append',
+  params: { item },
+  apply: (items) => [...items, item],
+  revert: (items) => items.filter((candidate) => candidate !== item),
+  run: jest.fn(run),
+  undo: jest.fn(undo),
+});
+
+const renderHistory = (options = {}) =>
+  renderHook(() => {
+    const [state, setState] = useState(['a']);
+    return { state, ...useCommandHistory({ state, setState, ...options }) };
+  });
+
+describe('useCommandHistory', () => {
+  it('executes, undoes and redoes commands', async () => {
+    const onSettled = jest.fn();
+    const { result } = renderHistory({ onSettled });
+    const command = appendCommand('b');
+
+    await act(() => result.current.execute(command));
+    expect(result.current.state).toEqual(['a', 'b']);
+    expect(command.run).toHaveBeenCalledWith(['a']);
+    expect(result.current.nextUndo).toBe(command);
+
+    await act(() => result.current.undo());
+    expect(result.current.state).toEqual(['a']);
+    expect(command.undo).toHaveBeenCalledWith(['a', 'b']);
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.nextRedo).toBe(command);
+
+    await act(() => result.current.redo());
+    expect(result.current.state).toEqual(['a', 'b']);
+    expect(result.current.canRedo).toBe(false);
+    expect(onSettled.mock.calls.map(([, direction]) => direction)).toEqual(['run', 'undo', 'run']);
+  });
+
+  it('rolls back the list and keeps the history when the API fails', async () => {
+    const onError = jest.fn();
+    const { result } = renderHistory({ onError });
+    const error = new Error('Failed to save field');
+    const failing = appendCommand('b', {
+      run: async () => {
+        throw error;
+      },
+    });
+
+    let done;
+    await act(async () => {
+      done = await result.current.execute(failing);
+    });
+    expect(done).toBe(false);
+    expect(result.current.state).toEqual(['a']);
+    expect(result.current.canUndo).toBe(false);
+    expect(onError).toHaveBeenCalledWith(error, failing, 'run');
+  });
+
+  it('keeps a command to undo when its undo fails', async () => {
+    const { result } = renderHistory({ onError: jest.fn() });
+    const command = appendCommand('b', {
+      undo: async () => {
+        throw new Error('Failed to delete field');
+      },
+    });
+
+    await act(() => result.current.execute(command));
+    await act(() => result.current.undo());
+    expect(result.current.state).toEqual(['a', 'b']);
+    expect(result.current.nextUndo).toBe(command);
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('drops the redo stack when a new command runs', async () => {
+    const { result } = renderHistory();
+
+    await act(() => result.current.execute(appendCommand('b')));
+    await act(() => result.current.undo());
+    await act(() => result.current.execute(appendCommand('c')));
+    expect(result.current.state).toEqual(['a', 'c']);
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('ignores commands while one is pending', async () => {
+    const { result } = renderHistory();
+    let finish;
+    const slow = appendCommand('b', { run: () => new Promise((resolve) => (finish = resolve)) });
+
+    let first;
+    act(() => {
+      first = result.current.execute(slow);
+    });
+    expect(result.current.pending).toBe(true);
+
+    let second;
+    await act(async () => {
+      second = await result.current.execute(appendCommand('c'));
+    });
+    expect(second).toBe(false);
+
+    await act(async () => {
+      finish();
+      await first;
+    });
+    expect(result.current.state).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef } from 'react';
+import { getDraft, saveDraft } from '../lib/draftStore';
+import { getSchemaSignature, findSchemaConflicts, hasSchemaConflicts } from '../lib/adDrafts';
+
+// Wait for typing to pause before writing to IndexedDB
+const SAVE_DELAY = 500;
+
+// Helper function to serialize form values with sorted keys, to tell whether
+// they differ from the stored draft
+const serializeValues = (values) =>
+  JSON.stringify(values, (key, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map((name) => [name, value[name]]))
+      : value
+  );
+
+// Keep an ad form's values in an IndexedDB draft. On mount the stored values
+// are restored through onChange (the same { target: { name, value } } events
+// the form inputs send); afterwards every change is saved. Returns
+//   { status, conflicts }
+// where status is 'loading', 'restored', 'saved' or 'error' and conflicts
+// describes schema changes found when the draft was synced (see lib/adDrafts).
+// Opening a draft doesn't change it, so a queued draft stays in the outbox
+// until its values are edited.
+// Values of fields that no longer exist are dropped from the attributes on
+// the next save, but kept in conflicts.removedValues until the draft is
+// sent, so the form can show them for the user to move elsewhere.
+const useAdDraft = ({ draftId, categoryId, values, fields, onChange, enabled = true }) => {
+  const [status, setStatus] = useState('loading');
+  const [conflicts, setConflicts] = useState(null);
+  const restoredRef = useRef(false);
+  // Latest conflicts and stored values, read by the save effect
+  const conflictsRef = useRef(null);
+  const storedValuesRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  // Restore the stored values once per draft
+  useEffect(() => {
+    if (!enabled || !draftId) return undefined;
+    let cancelled = false;
+    restoredRef.current = false;
+    storedValuesRef.current = null;
+
+    getDraft(draftId)
+      .then((draft) => {
+        if (cancelled) return;
+        if (draft && String(draft.categoryId) === String(categoryId)) {
+          const { attributes = {}, ...otherValues } = draft.values || {};
+          Object.entries(otherValues).forEach(([name, value]) => {
+            onChangeRef.current({ target: { name, value } });
+          });
+          Object.entries(attributes).forEach(([name, value]) => {
+            onChangeRef.current({ target: { name: `attributes.${name}`, value } });
+          });
+          conflictsRef.current = draft.conflicts || null;
+          setConflicts(conflictsRef.current);
+          storedValuesRef.current = serializeValues(draft.values || {});
+          setStatus('restored');
+        } else {
+          setStatus('saved');
+        }
+        restoredRef.current = true;
+      })
+      .catch((err) => {
+        // Without IndexedDB (e.g. private browsing) the form still works, just unsaved
+        console.error('Error restoring ad draft:', err);
+        if (!cancelled) setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, draftId, categoryId]);
+
+  // Save on every change once the stored values are restored
+  useEffect(() => {
+    if (!enabled || !draftId || !restoredRef.current || !fields.length) return undefined;
+
+    const timer = setTimeout(() => {
+      const fieldNames = new Set(fields.map((field) => field.name));
+      const attributes = {};
+      Object.entries(values.attributes || {}).forEach(([name, value]) => {
+        if (fieldNames.has(name)) attributes[name] = value;
+      });
+
+      const nextValues = { ...values, attributes };
+      const serialized = serializeValues(nextValues);
+      if (serialized === storedValuesRef.current) return;
+
+      // A conflicting draft stays in conflict until its values fit the current
+      // fields; the removed values are kept either way
+      let remainingConflicts = null;
+      if (conflictsRef.current) {
+        const { invalidFields } = findSchemaConflicts(fields, attributes);
+        remainingConflicts = { ...conflictsRef.current, invalidFields };
+        if (!hasSchemaConflicts(remainingConflicts)) remainingConflicts = null;
+      }
+      const inConflict = !!remainingConflicts && Object.keys(remainingConflicts.invalidFields).length > 0;
+
+      saveDraft({
+        id: draftId,
+        categoryId,
+        values: nextValues,
+        schemaSignature: getSchemaSignature(fields),
+        status: inConflict ? 'conflict' : 'draft',
+        conflicts: remainingConflicts,
+        error: null,
+      })
+        .then(() => {
+          storedValuesRef.current = serialized;
+          setStatus('saved');
+          if (conflictsRef.current) {
+            conflictsRef.current = remainingConflicts;
+            setConflicts(remainingConflicts);
+          }
+        })
+        .catch((err) => {
+          console.error('Error saving ad draft:', err);
+          setStatus('error');
+        });
+    }, SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [enabled, draftId, categoryId, values, fields]);
+
+  return { status, conflicts };
+};
+
+export default useAdDraft;
@@ -0,0 +1,28 @@
+import { useCallback } from 'react';
+import { useQuery } from 'react-query';
+import { hasPermission } from '../lib/adminPermissions';
+
+export const adminUserKey = ['adminUser'];
+
+// Fetch the signed-in admin with their roles
+const fetchAdminUser = async () => {
+  const response = await fetch('/api/admin/me');
+  if (!response.ok) {
+    const error = new Error('Failed to fetch the current user');
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+// The signed-in admin and what they may do in a category. Returns
+// { user, loading, can(permission) }; until the user has loaded, can()
+// denies everything so no control flashes up that then disappears.
+const useAdminPermissions = (categoryId) => {
+  const { data: user = null, isLoading } = useQuery(adminUserKey, fetchAdminUser);
+  const can = useCallback((permission) => hasPermission(user, permission, categoryId), [user, categoryId]);
+
+  return { user, loading: isLoading, can };
+};
+
+export default useAdminPermissions;
@@ -0,0 +1,34 @@
+import { useCallback } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { categoryFieldsQuery } from '../lib/categoryFields';
+
+// Stable empty list, so consumers' memos and effects don't re-run while loading
+const NO_FIELDS = [];
+
+// The fields of a category, sorted by order, from the shared query cache.
+// Returns { fields, loading, error }; error is an Error or null.
+const useCategoryFields = (categoryId) => {
+  const { data, isLoading, error } = useQuery({
+    ...categoryFieldsQuery(categoryId),
+    enabled: !!categoryId,
+  });
+
+  return { fields: data || NO_FIELDS, loading: isLoading, error: error || null };
+};
+
+// Returns a handler that loads a category's fields into the cache ahead of
+// time; CategoryPicker calls it when a category is hovered or focused.
+// Fields that are already cached and fresh aren't fetched again.
+export const usePrefetchCategoryFields = () => {
+  const queryClient = useQueryClient();
+  return useCallback(
+    (categoryId) => {
+      if (!categoryId) return;
+      const { queryKey, queryFn } = categoryFieldsQuery(categoryId);
+      queryClient.prefetchQuery(queryKey, queryFn);
+    },
+    [queryClient]
+  );
+};
+
+export default useCategoryFields;
@@ -0,0 +1,100 @@
+import { useState, useRef, useCallback } from 'react';
+
+// Undo history is kept for this many commands
+const HISTORY_LIMIT = 50;
+
+// Undo/redo for commands that change a list through an API (see
+// lib/fieldCommands for the command shape). Every change is applied to the
+// list optimistically and rolled back if the request fails. Commands run one
+// at a time; onSettled (e.g. a refetch) finishes before the next may start.
+const useCommandHistory = ({ state, setState, onError, onSettled }) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [pending, setPending] = useState(false);
+  // The handlers are called from event listeners, so they read the latest
+  // list and stacks through refs rather than stale closures
+  const latest = useRef({});
+  latest.current = { state, past, future, onError, onSettled };
+  // Set synchronously, so a second key press can't slip in before a re-render
+  const busy = useRef(false);
+
+  // Apply locally, call the API, and restore the list if that fails
+  const perform = useCallback(
+    async (command, direction) => {
+      const snapshot = latest.current.state;
+      busy.current = true;
+      setPending(true);
+      setState(direction === 'undo' ? command.revert(snapshot) : command.apply(snapshot));
+      try {
+        await (direction === 'undo' ? command.undo(snapshot) : command.run(snapshot));
+        await latest.current.onSettled?.(command, direction);
+        return true;
+      } catch (err) {
+        setState(snapshot);
+        latest.current.onError?.(err, command, direction);
+        return false;
+      } finally {
+        busy.current = false;
+        setPending(false);
+      }
+    },
+    [setState]
+  );
+
+  const execute = useCallback(
+    async (command) => {
+      if (busy.current) return false;
+      const done = await perform(command, 'run');
+      if (done) {
+        setPast((current) => [...current, command].slice(-HISTORY_LIMIT));
+        setFuture([]);
+      }
+      return done;
+    },
+    [perform]
+  );
+
+  const undo = useCallback(async () => {
+    const currentPast = latest.current.past;
+    const command = currentPast[currentPast.length - 1];
+    if (!command || busy.current) return false;
+    const done = await perform(command, 'undo');
+    if (done) {
+      setPast((current) => current.slice(0, -1));
+      setFuture((current) => [command, ...current]);
+    }
+    return done;
+  }, [perform]);
+
+  const redo = useCallback(async () => {
+    const currentFuture = latest.current.future;
+    const command = currentFuture[0];
+    if (!command || busy.current) return false;
+    const done = await perform(command, 'run');
+    if (done) {
+      setFuture((current) => current.slice(1));
+      setPast((current) => [...current, command]);
+    }
+    return done;
+  }, [perform]);
+
+  // Forget the history, e.g. when switching to another category
+  const clear = useCallback(() => {
+    setPast([]);
+    setFuture([]);
+  }, []);
+
+  return {
+    execute,
+    undo,
+    redo,
+    clear,
+    pending,
+    canUndo: past.length > 0 && !pending,
+    canRedo: future.length > 0 && !pending,
+    nextUndo: past[past.length - 1] || null,
+    nextRedo: future[0] || null,
+  };
+};
+
+export default useCommandHistory;
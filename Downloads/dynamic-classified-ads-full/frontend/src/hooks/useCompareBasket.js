@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import { BASKET_CHANGE_EVENT, COMPARE_LIMIT, addToBasket, getCompareBasket, isInBasket,
+         removeFromBasket, setCompareBasket } from '../lib/adComparison';
+
+// The compare basket (see lib/adComparison), persisted in localStorage and
+// kept in step across components and browser tabs. The basket is empty until
+// mounted, since localStorage only exists in the browser.
+const useCompareBasket = () => {
+  const [basket, setBasket] = useState([]);
+
+  useEffect(() => {
+    const sync = () => setBasket(getCompareBasket());
+    sync();
+    window.addEventListener(BASKET_CHANGE_EVENT, sync);
+    window.addEventListener('storage', sync);
+    return () => {
+      window.removeEventListener(BASKET_CHANGE_EVENT, sync);
+      window.removeEventListener('storage', sync);
+    };
+  }, []);
+
+  // Changes start from the stored basket, which another tab may have changed
+  const add = useCallback((ad) => setCompareBasket(addToBasket(getCompareBasket(), ad)), []);
+  const remove = useCallback((adId) => setCompareBasket(removeFromBasket(getCompareBasket(), adId)), []);
+  const clear = useCallback(() => setCompareBasket([]), []);
+  const contains = useCallback((adId) => isInBasket(basket, adId), [basket]);
+
+  return { basket, add, remove, clear, contains, isFull: basket.length >= COMPARE_LIMIT };
+};
+
+export default useCompareBasket;
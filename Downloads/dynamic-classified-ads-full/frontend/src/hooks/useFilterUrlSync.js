@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { encodeFilters, decodeFilters, pickFilterParams, omitFilterParams, serializeParams } from '../lib/filterQuery';
+
+// Delay before a filter change becomes a history entry, so typing in a text
+// filter doesn't push one entry per keystroke
+const PUSH_DELAY = 400;
+
+// Keep the search filters of the given category fields in sync with the URL.
+// The URL wins on load and on back/forward navigation; later filter changes
+// push new history entries (shallow, so the page isn't re-fetched).
+const useFilterUrlSync = ({ fields, filters, onFilterChange, enabled = true }) => {
+  const router = useRouter();
+  const hydratedRef = useRef(false);
+  // The URL this hook pushed last, so its arrival isn't mistaken for navigation
+  const pushedKeyRef = useRef(null);
+
+  // Only the filters of this category's fields belong in the URL
+  const fieldFilters = {};
+  fields.forEach((field) => {
+    fieldFilters[field.name] = filters[field.name];
+  });
+  const stateParams = encodeFilters(fieldFilters);
+  const stateKey = serializeParams(stateParams);
+  const urlKey = serializeParams(pickFilterParams(router.query));
+
+  // Effects read the latest values through refs so they only re-run when the
+  // serialized URL or filter state actually changes
+  const latest = useRef({});
+  latest.current = { router, filters, onFilterChange, stateParams, stateKey, urlKey };
+
+  // Apply the URL's filters on load and when the user navigates back/forward
+  useEffect(() => {
+    if (!enabled || !router.isReady || !fields.length) return;
+    const { router: currentRouter, filters: currentFilters, onFilterChange: applyFilter } = latest.current;
+
+    // Our own push lands after the delay, when the user may have typed on
+    const isOwnPush = urlKey === pushedKeyRef.current;
+    pushedKeyRef.current = null;
+
+    if (!isOwnPush && urlKey !== latest.current.stateKey) {
+      const decoded = decodeFilters(currentRouter.query, fields);
+      fields.forEach((field) => {
+        const nextValue = decoded[field.name] ?? null;
+        const currentValue = currentFilters[field.name];
+        const unchanged =
+          serializeParams(encodeFilters({ [field.name]: nextValue })) ===
+          serializeParams(encodeFilters({ [field.name]: currentValue }));
+        if (!unchanged) {
+          applyFilter(field.name, nextValue);
+        }
+      });
+    }
+    hydratedRef.current = true;
+  }, [enabled, router.isReady, urlKey, fields]);
+
+  // Push a history entry when the filters change
+  useEffect(() => {
+    if (!enabled || !hydratedRef.current || stateKey === latest.current.urlKey) return undefined;
+
+    const timer = setTimeout(() => {
+      const { router: currentRouter, stateParams: params, stateKey: key } = latest.current;
+      const query = { ...omitFilterParams(currentRouter.query), ...params };
+      pushedKeyRef.current = key;
+      currentRouter.push(
+        { pathname: currentRouter.pathname, query },
+        undefined,
+        { shallow: true, scroll: false }
+      );
+    }, PUSH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [enabled, stateKey]);
+};
+
+export default useFilterUrlSync;
@@ -0,0 +1,44 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { syncOutbox } from '../lib/adDrafts';
+
+// Submit queued ad drafts now and whenever the browser comes back online.
+// Mounted once, by OutboxSyncProvider; onSynced receives the results of
+// each sync.
+// Returns syncNow() for submitting drafts the user just queued; a call while
+// a sync runs waits for it and then syncs again, so onSynced sees each
+// result once.
+const useOutboxSync = (onSynced) => {
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+  const runningRef = useRef(null);
+  const pendingRef = useRef(false);
+
+  const syncNow = useCallback(() => {
+    if (runningRef.current) {
+      pendingRef.current = true;
+      return runningRef.current;
+    }
+    if (!navigator.onLine) return Promise.resolve();
+
+    runningRef.current = (async () => {
+      do {
+        pendingRef.current = false;
+        const results = await syncOutbox();
+        if (onSyncedRef.current && results.length) onSyncedRef.current(results);
+      } while (pendingRef.current && navigator.onLine);
+    })().finally(() => {
+      runningRef.current = null;
+    });
+    return runningRef.current;
+  }, []);
+
+  useEffect(() => {
+    syncNow();
+    window.addEventListener('online', syncNow);
+    return () => window.removeEventListener('online', syncNow);
+  }, [syncNow]);
+
+  return syncNow;
+};
+
+export default useOutboxSync;
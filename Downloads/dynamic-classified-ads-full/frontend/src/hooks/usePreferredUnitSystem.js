@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+import { UNIT_SYSTEM_CHANGE_EVENT, getPreferredUnitSystem, setPreferredUnitSystem } from '../lib/units';
+
+// The viewer's preferred unit system (metric/imperial), persisted in localStorage
+// and kept in step across components and browser tabs. Starts as metric and
+// reads the stored preference after mount so server and client render the
+// same markup.
+const usePreferredUnitSystem = () => {
+  const [unitSystem, setUnitSystem] = useState('metric');
+
+  useEffect(() => {
+    const sync = () => setUnitSystem(getPreferredUnitSystem());
+    sync();
+    window.addEventListener(UNIT_SYSTEM_CHANGE_EVENT, sync);
+    window.addEventListener('storage', sync);
+    return () => {
+      window.removeEventListener(UNIT_SYSTEM_CHANGE_EVENT, sync);
+      window.removeEventListener('storage', sync);
+    };
+  }, []);
+
+  return [unitSystem, setPreferredUnitSystem];
+};
+
+export default usePreferredUnitSystem;
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { RESULT_LAYOUTS, getPreferredResultLayout, setPreferredResultLayout } from '../lib/searchResults';
+
+// The viewer's result layout (grid/list), remembered in localStorage. The
+// first render always uses the default layout, as the server has no stored
+// choice to render with; the stored one is applied once mounted.
+const useResultLayout = () => {
+  const [layout, setLayout] = useState(RESULT_LAYOUTS[0]);
+
+  useEffect(() => {
+    setLayout(getPreferredResultLayout());
+  }, []);
+
+  const updateLayout = useCallback((nextLayout) => {
+    setPreferredResultLayout(nextLayout);
+    setLayout(nextLayout);
+  }, []);
+
+  return [layout, updateLayout];
+};
+
+export default useResultLayout;
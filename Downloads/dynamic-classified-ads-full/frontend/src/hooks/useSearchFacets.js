@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { encodeFilters, serializeParams } from '../lib/filterQuery';
+
+// Wait for the filters to settle before asking for new counts
+const FETCH_DELAY = 300;
+
+// Facet counts for the current search, keyed by field name:
+//   { fuel: { counts: { diesel: 42, petrol: 17 } },
+//     hasWarranty: { counts: { true: 8 } },
+//     mileage: { histogram: [{ from: 0, to: 50000, count: 12 }, ...] } }
+// Counts for a field are computed with every filter but its own applied, so
+// they tell how many ads picking that option would return. Empty while
+// loading or when the counts can't be fetched - filters then show no counts.
+const useSearchFacets = (categoryId, filters, { enabled = true } = {}) => {
+  const [facets, setFacets] = useState({});
+  const filterKey = serializeParams(encodeFilters(filters));
+
+  useEffect(() => {
+    if (!enabled || !categoryId) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const search = filterKey ? `&${filterKey}` : '';
+        const response = await fetch(`/api/search/facets?categoryId=${categoryId}${search}`, {
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error('Failed to fetch facet counts');
+        }
+        setFacets(await response.json());
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Error fetching facet counts:', err);
+        setFacets({});
+      }
+    }, FETCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [enabled, categoryId, filterKey]);
+
+  return facets;
+};
+
+export default useSearchFacets;
@@ -0,0 +1,26 @@
+import { useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { SORT_PARAM, decodeSort, encodeSort } from '../lib/searchResults';
+
+// The result sort of a search, kept in the URL (?sort=<field>.<direction>) so
+// it is bookmarked and shared with the filters. Returns [sort, setSort]; sort
+// is null for the default order, and a sort by a field that isn't sortable
+// (any more) reads as null too.
+const useSearchSort = (fields) => {
+  const router = useRouter();
+  const sort = decodeSort(router.query[SORT_PARAM], fields);
+
+  const setSort = useCallback(
+    (nextSort) => {
+      const query = { ...router.query };
+      delete query[SORT_PARAM];
+      if (nextSort) query[SORT_PARAM] = encodeSort(nextSort);
+      router.push({ pathname: router.pathname, query }, undefined, { shallow: true, scroll: false });
+    },
+    [router]
+  );
+
+  return [sort, setSort];
+};
+
+export default useSearchSort;
@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { normalizeText } from '../lib/textMatching';
+
+// Wait for typing to pause before asking for suggestions
+const FETCH_DELAY = 250;
+
+// Queries shorter than this match too much to be worth suggesting for
+const MIN_QUERY_LENGTH = 2;
+
+// Suggestions for what is being typed into a free-text filter.
+// loadSuggestions(query, { signal }) resolves to [{ value, count }]; without
+// it, or while disabled, there are no suggestions.
+const useTextSuggestions = (loadSuggestions, query, { enabled = true } = {}) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const normalizedQuery = normalizeText(query);
+
+  useEffect(() => {
+    if (!enabled || !loadSuggestions || normalizedQuery.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setSuggestions(await loadSuggestions(normalizedQuery, { signal: controller.signal }));
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Error fetching suggestions:', err);
+        setSuggestions([]);
+      }
+    }, FETCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [enabled, loadSuggestions, normalizedQuery]);
+
+  return suggestions;
+};
+
+export default useTextSuggestions;
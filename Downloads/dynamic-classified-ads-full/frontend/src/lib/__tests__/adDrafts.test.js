@@ -0,0 +1,68 @@
+import { findSchemaConflicts, getSchemaSignature, hasSchemaConflicts } from '../adDrafts';
+
+const fields = [
+  { id: 1, name: 'make', fieldType: 'SELECT', isRequired: true, options: [{ value: 'toyota' }, { value: 'honda' }] },
+  { id: 2, name: 'year', fieldType: 'NUMBER', validationRules: { min: 1990 } },
+  {
+    id: 3,
+    name: 'batteryRange',
+    fieldType: 'NUMBER',
+    visibilityRules: { match: 'all', conditions: [{ fieldName: 'make', operator: 'equals', value: 'honda' }] },
+  },
+];
+
+describe('getSchemaSignature', () => {
+  it('ignores labels and field order', () => {
+    const relabelled = [
+      { ...fields[2] },
+      { ...fields[0], labelI18n: { en: 'Brand' }, order: 5 },
+      { ...fields[1] },
+    ];
+    expect(getSchemaSignature(relabelled)).toBe(getSchemaSignature(fields));
+  });
+
+  it('changes with the rules, type or options of a field', () => {
+    const signature = getSchemaSignature(fields);
+    const withRules = fields.map((field) =>
+      field.name === 'year' ? { ...field, validationRules: { min: 2000 } } : field
+    );
+    const retyped = fields.map((field) => (field.name === 'year' ? { ...field, fieldType: 'TEXT' } : field));
+    const withOptions = fields.map((field) =>
+      field.name === 'make' ? { ...field, options: [{ value: 'toyota' }] } : field
+    );
+
+    [withRules, retyped, withOptions].forEach((changed) => expect(getSchemaSignature(changed)).not.toBe(signature));
+  });
+});
+
+describe('findSchemaConflicts', () => {
+  it('finds nothing for values that fit the fields', () => {
+    const conflicts = findSchemaConflicts(fields, { make: 'toyota', year: 2010 });
+    expect(conflicts).toEqual({ removedFields: [], removedValues: {}, invalidFields: {} });
+    expect(hasSchemaConflicts(conflicts)).toBe(false);
+  });
+
+  it('keeps the values of fields that no longer exist', () => {
+    const conflicts = findSchemaConflicts(fields, { make: 'toyota', doors: 4, colour: undefined });
+    expect(conflicts.removedFields).toEqual(['doors']);
+    expect(conflicts.removedValues).toEqual({ doors: 4 });
+    expect(hasSchemaConflicts(conflicts)).toBe(true);
+  });
+
+  it('flags values that fail the current rules', () => {
+    expect(findSchemaConflicts(fields, { year: 1980 }).invalidFields).toEqual({
+      make: { key: 'validation.required', params: {} },
+      year: { key: 'validation.min', params: { min: 1990 } },
+    });
+  });
+
+  it('flags option values that were removed', () => {
+    expect(findSchemaConflicts(fields, { make: 'nissan' }).invalidFields).toEqual({
+      make: { key: 'validation.optionRemoved', params: {} },
+    });
+  });
+
+  it('ignores the values of hidden fields', () => {
+    expect(findSchemaConflicts(fields, { make: 'toyota', batteryRange: 'not a number' }).invalidFields).toEqual({});
+  });
+});
@@ -0,0 +1,76 @@
+import { getFieldChangeErrors, hasPermission } from '../adminPermissions';
+
+const translator = { roles: ['translator'] };
+const editor = { roles: ['categoryEditor'], categoryIds: [7, '9'] };
+const superAdmin = { roles: ['superAdmin'] };
+
+const field = {
+  id: 1,
+  categoryId: 7,
+  name: 'make',
+  fieldType: 'SELECT',
+  labelI18n: { en: 'Make' },
+  isRequired: false,
+  order: 0,
+  options: [{ id: 11, fieldId: 1, value: 'toyota', labelI18n: { en: 'Toyota' }, order: 0 }],
+};
+
+describe('hasPermission', () => {
+  it('grants the permissions of each role', () => {
+    expect(hasPermission(translator, 'editLabels', 7)).toBe(true);
+    expect(hasPermission(translator, 'editField', 7)).toBe(false);
+    expect(hasPermission(superAdmin, 'changeFieldType', 7)).toBe(true);
+    expect(hasPermission(null, 'editLabels', 7)).toBe(false);
+  });
+
+  it('scopes a category editor to the assigned categories', () => {
+    expect(hasPermission(editor, 'editField', 7)).toBe(true);
+    expect(hasPermission(editor, 'createField', '9')).toBe(true);
+    expect(hasPermission(editor, 'editField', 8)).toBe(false);
+    // Labels aren't scoped
+    expect(hasPermission(editor, 'editLabels', 8)).toBe(true);
+    expect(hasPermission(editor, 'deleteField', 7)).toBe(false);
+  });
+
+  it('combines the permissions of several roles', () => {
+    expect(hasPermission({ roles: ['translator', 'categoryEditor'], categoryIds: [] }, 'editLabels', 8)).toBe(true);
+  });
+});
+
+describe('getFieldChangeErrors', () => {
+  const denied = (permission, name = 'make') => ({ key: `admin.permissions.errors.${permission}`, params: { name } });
+
+  it('needs only editLabels for label changes', () => {
+    const relabelled = {
+      ...field,
+      labelI18n: { en: 'Brand' },
+      order: 3,
+      options: [{ ...field.options[0], labelI18n: { en: 'Toyota Motor' } }],
+    };
+    expect(getFieldChangeErrors(translator, 7, field, relabelled)).toEqual([]);
+  });
+
+  it('needs editField for structural changes', () => {
+    const required = { ...field, isRequired: true };
+    const withOption = { ...field, options: [...field.options, { value: 'honda', labelI18n: {} }] };
+    expect(getFieldChangeErrors(translator, 7, field, required)).toEqual([denied('editField')]);
+    expect(getFieldChangeErrors(translator, 7, field, withOption)).toEqual([denied('editField')]);
+    expect(getFieldChangeErrors(editor, 7, field, required)).toEqual([]);
+  });
+
+  it('needs changeFieldType for a type change', () => {
+    const retyped = { ...field, fieldType: 'MULTISELECT' };
+    expect(getFieldChangeErrors(editor, 7, field, retyped)).toEqual([denied('changeFieldType')]);
+    expect(getFieldChangeErrors(translator, 7, field, retyped)).toEqual([
+      denied('editField'),
+      denied('changeFieldType'),
+    ]);
+    expect(getFieldChangeErrors(superAdmin, 7, field, retyped)).toEqual([]);
+  });
+
+  it('needs createField or deleteField to add or remove a field', () => {
+    expect(getFieldChangeErrors(editor, 7, null, field)).toEqual([]);
+    expect(getFieldChangeErrors(editor, 8, null, field)).toEqual([denied('createField')]);
+    expect(getFieldChangeErrors(editor, 7, field, null)).toEqual([denied('deleteField')]);
+  });
+});
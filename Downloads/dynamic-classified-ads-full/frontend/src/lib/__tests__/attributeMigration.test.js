@@ -0,0 +1,84 @@
+import { applyMigration, suggestMigrationSteps } from '../attributeMigration';
+import { diffSchemas } from '../schemaDiff';
+
+describe('applyMigration', () => {
+  const attributes = { make: 'honda', features: ['abs', 'gps', 'nav'], year: 2010 };
+
+  it('renames keys, maps options and removes keys in order', () => {
+    const steps = [
+      { type: 'renameKey', from: 'make', to: 'brand' },
+      { type: 'mapOptions', fieldName: 'brand', mapping: { honda: 'honda-motor' } },
+      { type: 'removeKey', fieldName: 'year' },
+    ];
+    expect(applyMigration(attributes, steps)).toEqual({
+      attributes: { brand: 'honda-motor', features: ['abs', 'gps', 'nav'] },
+      changed: true,
+    });
+  });
+
+  it('drops values mapped to an empty string and merges duplicates in lists', () => {
+    const steps = [
+      { type: 'mapOptions', fieldName: 'make', mapping: { honda: '' } },
+      { type: 'mapOptions', fieldName: 'features', mapping: { gps: 'nav', abs: '' } },
+    ];
+    expect(applyMigration(attributes, steps).attributes).toEqual({ features: ['nav'], year: 2010 });
+  });
+
+  it('leaves attributes alone when no step applies', () => {
+    const steps = [
+      { type: 'renameKey', from: 'model', to: 'series' },
+      { type: 'mapOptions', fieldName: 'make', mapping: { toyota: 'lexus' } },
+    ];
+    expect(applyMigration(attributes, steps)).toEqual({ attributes, changed: false });
+  });
+
+  it('ignores inherited keys in mappings and renames', () => {
+    const steps = [
+      { type: 'mapOptions', fieldName: 'make', mapping: {} },
+      { type: 'renameKey', from: 'constructor', to: 'maker' },
+    ];
+    expect(applyMigration({ make: 'constructor' }, steps)).toEqual({
+      attributes: { make: 'constructor' },
+      changed: false,
+    });
+  });
+
+  it('does not change the given attributes', () => {
+    applyMigration(attributes, [{ type: 'removeKey', fieldName: 'year' }]);
+    expect(attributes.year).toBe(2010);
+  });
+});
+
+describe('suggestMigrationSteps', () => {
+  const make = { id: 1, name: 'make', fieldType: 'SELECT', options: [{ value: 'toyota' }, { value: 'honda' }] };
+  const year = { id: 2, name: 'year', fieldType: 'NUMBER' };
+  const notes = { id: 3, name: 'notes', fieldType: 'TEXT' };
+
+  it('removes the keys of removed fields', () => {
+    expect(suggestMigrationSteps(diffSchemas([make, notes], [make]))).toEqual([
+      { type: 'removeKey', fieldName: 'notes' },
+    ]);
+  });
+
+  it('moves renamed keys and asks for a mapping of removed options', () => {
+    const brand = { ...make, name: 'brand', options: [{ value: 'toyota' }] };
+    expect(suggestMigrationSteps(diffSchemas([make], [brand]))).toEqual([
+      { type: 'renameKey', from: 'make', to: 'brand' },
+      { type: 'mapOptions', fieldName: 'brand', mapping: { honda: '' } },
+    ]);
+  });
+
+  it('removes the values of retyped fields, also when renamed', () => {
+    expect(suggestMigrationSteps(diffSchemas([year], [{ ...year, fieldType: 'TEXT' }]))).toEqual([
+      { type: 'removeKey', fieldName: 'year' },
+    ]);
+    expect(
+      suggestMigrationSteps(diffSchemas([make], [{ ...make, name: 'brand', fieldType: 'MULTISELECT', options: [] }]))
+    ).toEqual([{ type: 'removeKey', fieldName: 'make' }]);
+  });
+
+  it('suggests nothing for added fields or new options', () => {
+    const withOption = { ...make, options: [...make.options, { value: 'kia' }] };
+    expect(suggestMigrationSteps(diffSchemas([make], [withOption, year]))).toEqual([]);
+  });
+});
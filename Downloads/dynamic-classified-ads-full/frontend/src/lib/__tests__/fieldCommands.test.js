@@ -0,0 +1,127 @@
+import {
+  createFieldCommand,
+  deleteFieldCommand,
+  editFieldCommand,
+  planOptionChanges,
+  reorderFieldsCommand,
+} from '../fieldCommands';
+
+const make = {
+  id: 1,
+  name: 'make',
+  fieldType: 'SELECT',
+  order: 0,
+  options: [
+    { id: 11, fieldId: 1, value: 'toyota' },
+    { id: 12, fieldId: 1, value: 'honda' },
+  ],
+};
+const year = { id: 2, name: 'year', fieldType: 'NUMBER', order: 1, options: [] };
+const fields = [make, year];
+
+const respond = (status, body = {}) => ({ ok: status < 400, status, json: async () => body });
+const lastRequest = () => {
+  const [url, { method, body }] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+  return { url, method, body: body && JSON.parse(body) };
+};
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => respond(200));
+});
+
+describe('planOptionChanges', () => {
+  it('updates options by value, creates new ones and deletes the rest', () => {
+    expect(planOptionChanges(make.options, [{ id: 99, value: 'honda' }, { value: 'kia' }])).toEqual({
+      options: [{ value: 'honda', id: 12 }, { value: 'kia' }],
+      deleteOptions: [11],
+    });
+  });
+});
+
+describe('createFieldCommand', () => {
+  const colour = { id: 3, name: 'colour', fieldType: 'COLOR', options: [{ id: 31, fieldId: 3, value: 'red' }] };
+  const command = createFieldCommand(7, colour);
+
+  it('adds a pending field locally and removes it again', () => {
+    const applied = command.apply(fields);
+    expect(applied[2]).toMatchObject({ id: 'pending:colour', name: 'colour', options: [{ value: 'red' }] });
+    expect(command.revert(applied)).toEqual(fields);
+  });
+
+  it('posts the field without ids and deletes the saved field on undo', async () => {
+    await command.run(fields);
+    expect(lastRequest()).toEqual({
+      url: '/api/admin/category-fields/with-options',
+      method: 'POST',
+      body: { field: { name: 'colour', fieldType: 'COLOR', categoryId: 7 }, options: [{ value: 'red' }] },
+    });
+
+    await command.undo([...fields, { ...colour, id: 40 }]);
+    expect(lastRequest()).toMatchObject({ url: '/api/admin/category-fields/40', method: 'DELETE' });
+  });
+});
+
+describe('editFieldCommand', () => {
+  const after = { ...make, name: 'brand', options: [{ id: 11, fieldId: 1, value: 'toyota' }] };
+  const command = editFieldCommand(7, make, after);
+
+  it('replaces the field locally and back', () => {
+    const applied = command.apply(fields);
+    expect(applied[0].name).toBe('brand');
+    expect(command.revert(applied)[0]).toMatchObject({ name: 'make', options: make.options });
+  });
+
+  it('saves against the id the field has now, found by name', async () => {
+    await command.undo([{ ...after, id: 5, options: [{ id: 51, value: 'toyota' }] }]);
+    expect(lastRequest()).toMatchObject({
+      url: '/api/admin/category-fields/5/with-options',
+      method: 'PATCH',
+      body: { field: { id: 5, name: 'make' }, options: [{ value: 'toyota', id: 51 }, { value: 'honda' }] },
+    });
+  });
+
+  it('fails when the field no longer exists', () => {
+    expect(() => command.run([year])).toThrow('Field make no longer exists');
+  });
+});
+
+describe('deleteFieldCommand', () => {
+  const command = deleteFieldCommand(7, make);
+
+  it('puts a deleted field back in its old position', () => {
+    expect(command.revert(command.apply(fields))).toEqual(fields);
+  });
+
+  it('recreates the field without ids on undo', async () => {
+    await command.run(fields);
+    expect(lastRequest()).toMatchObject({ url: '/api/admin/category-fields/1', method: 'DELETE' });
+
+    await command.undo([year]);
+    expect(lastRequest().body.options).toEqual([{ value: 'toyota' }, { value: 'honda' }]);
+  });
+
+  it('passes on API errors with their status', async () => {
+    global.fetch = jest.fn(async () => respond(403, { message: 'Forbidden' }));
+    await expect(command.run(fields)).rejects.toMatchObject({ message: 'Forbidden', status: 403 });
+  });
+});
+
+describe('reorderFieldsCommand', () => {
+  const command = reorderFieldsCommand(7, ['make', 'year'], ['year', 'make']);
+
+  it('sorts locally by name and renumbers the order', () => {
+    expect(command.apply(fields).map(({ name, order }) => [name, order])).toEqual([
+      ['year', 0],
+      ['make', 1],
+    ]);
+  });
+
+  it('keeps fields missing from the names at the end', async () => {
+    await command.run([...fields, { id: 9, name: 'imported' }]);
+    expect(lastRequest()).toEqual({
+      url: '/api/admin/category-fields/7/reorder',
+      method: 'POST',
+      body: { fieldIds: [2, 1, 9] },
+    });
+  });
+});
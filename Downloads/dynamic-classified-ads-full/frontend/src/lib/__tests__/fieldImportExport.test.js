@@ -0,0 +1,187 @@
+import {
+  FIELD_EXPORT_FORMAT,
+  checkImportPermissions,
+  exportFields,
+  mergeOptions,
+  parseFieldExport,
+  parseOptionsCsv,
+  planFieldImport,
+  planOptionImport,
+} from '../fieldImportExport';
+
+const make = {
+  id: 1,
+  categoryId: 7,
+  name: 'make',
+  fieldType: 'SELECT',
+  labelI18n: { en: 'Make' },
+  order: 0,
+  options: [
+    { id: 11, fieldId: 1, value: 'toyota', labelI18n: { en: 'Toyota' }, order: 0 },
+    { id: 12, fieldId: 1, value: 'honda', labelI18n: { en: 'Honda' }, order: 1 },
+  ],
+};
+const year = { id: 2, categoryId: 7, name: 'year', fieldType: 'NUMBER', labelI18n: { en: 'Year' }, order: 1 };
+
+const exportFile = (fields) => ({ format: FIELD_EXPORT_FORMAT, version: 1, fields });
+const errorKeys = (result) => result.errors.map((error) => error.key);
+
+describe('parseFieldExport', () => {
+  it('reads back an export without ids', () => {
+    const { fields, errors } = parseFieldExport(JSON.parse(JSON.stringify(exportFields([year, make]))));
+    expect(errors).toEqual([]);
+    expect(fields.map((field) => field.name)).toEqual(['make', 'year']);
+    expect(fields[0]).not.toHaveProperty('id');
+    expect(fields[0].options[0]).toEqual({ value: 'toyota', labelI18n: { en: 'Toyota' }, order: 0 });
+  });
+
+  it('rejects other files and newer versions', () => {
+    expect(errorKeys(parseFieldExport({ fields: [] }))).toEqual(['admin.import.errors.format']);
+    expect(parseFieldExport({ ...exportFile([]), version: 2 }).errors).toEqual([
+      { key: 'admin.import.errors.version', params: { version: 2 } },
+    ]);
+  });
+
+  it('reports every invalid field with its position', () => {
+    const result = parseFieldExport(
+      exportFile([
+        { name: '1st', fieldType: 'TEXT' },
+        { name: 'make', fieldType: 'SELECT', options: [{ value: 'a' }, { value: 'a' }] },
+        { name: 'make', fieldType: 'GEOMETRY' },
+        { name: 'model', fieldType: 'SELECT', parentFieldName: 'brand', options: [{ labelI18n: {} }] },
+      ])
+    );
+    expect(result.fields).toEqual([]);
+    expect(result.errors).toEqual([
+      { key: 'admin.import.errors.name', params: { index: 1, name: '1st' } },
+      { key: 'admin.import.errors.duplicateOption', params: { index: 2, name: 'make' } },
+      { key: 'admin.import.errors.duplicateName', params: { index: 3, name: 'make' } },
+      { key: 'admin.import.errors.fieldType', params: { index: 3, name: 'make', fieldType: 'GEOMETRY' } },
+      { key: 'admin.import.errors.options', params: { index: 4, name: 'model' } },
+      { key: 'admin.import.errors.parentField', params: { index: 4, name: 'model', parent: 'brand' } },
+    ]);
+  });
+
+  it('fills in the order of fields and options', () => {
+    const { fields } = parseFieldExport(exportFile([{ name: 'make', fieldType: 'SELECT', options: [{ value: 'kia' }] }]));
+    expect(fields[0].order).toBe(0);
+    expect(fields[0].options).toEqual([{ value: 'kia', labelI18n: {}, order: 0 }]);
+  });
+});
+
+describe('mergeOptions', () => {
+  it('keeps the ids of existing options and appends the ones missing from the import', () => {
+    const merged = mergeOptions(make.options, [
+      { value: 'honda', labelI18n: { en: 'Honda Motor' }, order: 0 },
+      { value: 'kia', labelI18n: { en: 'Kia' }, order: 1 },
+    ]);
+    expect(merged).toEqual([
+      { id: 12, fieldId: 1, value: 'honda', labelI18n: { en: 'Honda Motor' }, order: 0 },
+      { value: 'kia', labelI18n: { en: 'Kia' }, order: 1 },
+      { id: 11, fieldId: 1, value: 'toyota', labelI18n: { en: 'Toyota' }, order: 2 },
+    ]);
+  });
+});
+
+describe('planFieldImport', () => {
+  it('creates new fields with the admin defaults', () => {
+    const [entry] = planFieldImport([{ name: 'colour', fieldType: 'COLOR', options: [] }], [make]);
+    expect(entry.action).toBe('create');
+    expect(entry.field).toMatchObject({ name: 'colour', isRequired: false, showInFilters: true, validationRules: {} });
+  });
+
+  it('skips identical fields and updates changed ones by name', () => {
+    const { fields } = parseFieldExport(JSON.parse(JSON.stringify(exportFields([make, year]))));
+    fields[1].isRequired = true;
+    const [makeEntry, yearEntry] = planFieldImport(fields, [make, year]);
+
+    expect(makeEntry.action).toBe('skip');
+    expect(yearEntry).toMatchObject({ action: 'update', existing: year, field: { id: 2, isRequired: true } });
+  });
+});
+
+describe('checkImportPermissions', () => {
+  const editor = { roles: ['categoryEditor'], categoryIds: [7] };
+
+  it('marks changes the user may not make', () => {
+    const plan = planFieldImport(
+      [
+        { name: 'colour', fieldType: 'COLOR', options: [] },
+        { ...year, fieldType: 'TEXT' },
+        { ...make, labelI18n: { en: 'Brand' } },
+      ],
+      [make, year]
+    );
+    expect(checkImportPermissions(plan, editor, 7).map((entry) => entry.errors)).toEqual([
+      [],
+      [{ key: 'admin.permissions.errors.changeFieldType', params: { name: 'year' } }],
+      [],
+    ]);
+  });
+
+  it('denies every change outside the categories of an editor', () => {
+    const plan = planFieldImport([{ name: 'colour', fieldType: 'COLOR', options: [] }], []);
+    expect(checkImportPermissions(plan, editor, 8)[0].errors).toEqual([
+      { key: 'admin.permissions.errors.createField', params: { name: 'colour' } },
+    ]);
+  });
+});
+
+describe('parseOptionsCsv', () => {
+  it('reads values, labels by language and parent values', () => {
+    const csv = 'value,ar,label_en,parentValue\ncorolla,كورولا,Corolla,toyota\ncivic,,Civic,honda\n';
+    expect(parseOptionsCsv(csv)).toEqual({
+      options: [
+        { value: 'corolla', labelI18n: { ar: 'كورولا', en: 'Corolla' }, order: 0, parentValue: 'toyota' },
+        { value: 'civic', labelI18n: { en: 'Civic' }, order: 1, parentValue: 'honda' },
+      ],
+      errors: [],
+    });
+  });
+
+  it('handles a byte order mark, quoted cells, escaped quotes and line breaks in cells', () => {
+    const csv = '\uFEFFValue,en\r\n"a,b","Say ""hi"""\r\n\r\nc,"two\nlines"';
+    expect(parseOptionsCsv(csv).options).toEqual([
+      { value: 'a,b', labelI18n: { en: 'Say "hi"' }, order: 0 },
+      { value: 'c', labelI18n: { en: 'two\nlines' }, order: 1 },
+    ]);
+  });
+
+  it('reports missing and duplicate values by row', () => {
+    expect(parseOptionsCsv('value,en\na,A\n,B\na,C')).toEqual({
+      options: [],
+      errors: [
+        { key: 'admin.import.errors.csvMissingValue', params: { row: 3 } },
+        { key: 'admin.import.errors.csvDuplicateValue', params: { row: 4, value: 'a' } },
+      ],
+    });
+  });
+
+  it('needs a value column', () => {
+    expect(errorKeys(parseOptionsCsv(''))).toEqual(['admin.import.errors.emptyCsv']);
+    expect(errorKeys(parseOptionsCsv('name,en\na,A'))).toEqual(['admin.import.errors.csvValueColumn']);
+  });
+});
+
+describe('planOptionImport', () => {
+  it('creates, updates or skips options by value', () => {
+    const plan = planOptionImport(
+      [
+        { value: 'toyota', labelI18n: { en: 'Toyota' } },
+        { value: 'honda', labelI18n: { ar: 'هوندا' } },
+        { value: 'kia', labelI18n: { en: 'Kia' } },
+      ],
+      make.options
+    );
+    expect(plan.map((entry) => entry.action)).toEqual(['skip', 'update', 'create']);
+    // Imported labels are added to the existing ones and the order is kept
+    expect(plan[1].option).toMatchObject({ id: 12, labelI18n: { en: 'Honda', ar: 'هوندا' }, order: 1 });
+  });
+
+  it('updates an option whose parent value changed', () => {
+    const [entry] = planOptionImport([{ value: 'corolla', labelI18n: {}, parentValue: 'lexus' }], [
+      { id: 5, value: 'corolla', labelI18n: {}, parentValue: 'toyota', order: 0 },
+    ]);
+    expect(entry.action).toBe('update');
+  });
+});
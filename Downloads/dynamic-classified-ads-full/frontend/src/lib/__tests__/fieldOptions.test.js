@@ -0,0 +1,74 @@
+import { getAvailableOptions, getStaleDependentValues } from '../fieldOptions';
+
+const make = {
+  name: 'make',
+  fieldType: 'SELECT',
+  options: [{ value: 'toyota' }, { value: 'honda' }],
+};
+const model = {
+  name: 'model',
+  fieldType: 'SELECT',
+  parentFieldName: 'make',
+  options: [
+    { value: 'corolla', parentValue: 'toyota' },
+    { value: 'civic', parentValue: 'honda' },
+    { value: 'other' },
+  ],
+};
+const trim = {
+  name: 'trim',
+  fieldType: 'MULTISELECT',
+  parentFieldName: 'model',
+  options: [
+    { value: 'le', parentValue: 'corolla' },
+    { value: 'se', parentValue: 'corolla' },
+    { value: 'si', parentValue: 'civic' },
+  ],
+};
+const fields = [make, model, trim];
+
+const values = (options) => options.map((option) => option.value);
+
+describe('getAvailableOptions', () => {
+  it('returns every option of a field without a parent', () => {
+    expect(values(getAvailableOptions(make, { model: 'civic' }))).toEqual(['toyota', 'honda']);
+  });
+
+  it('narrows the options to the parent value, keeping unlinked ones', () => {
+    expect(values(getAvailableOptions(model, { make: 'honda' }))).toEqual(['civic', 'other']);
+  });
+
+  it('accepts any of a multiselect parent value', () => {
+    expect(values(getAvailableOptions(trim, { model: ['corolla', 'civic'] }))).toEqual(['le', 'se', 'si']);
+  });
+
+  it('offers only unlinked options while the parent is unset, or all of them for filters', () => {
+    expect(values(getAvailableOptions(model, { make: '' }))).toEqual(['other']);
+    expect(values(getAvailableOptions(model, {}, { ignoreUnset: true }))).toEqual(['corolla', 'civic', 'other']);
+  });
+});
+
+describe('getStaleDependentValues', () => {
+  it('clears a child that no longer fits, and its grandchildren', () => {
+    expect(getStaleDependentValues(fields, { make: 'honda', model: 'corolla', trim: ['le'] })).toEqual({
+      model: '',
+      trim: [],
+    });
+  });
+
+  it('narrows a multiselect child to the values that still fit', () => {
+    expect(getStaleDependentValues(fields, { make: 'toyota', model: 'corolla', trim: ['le', 'si'] })).toEqual({
+      trim: ['le'],
+    });
+  });
+
+  it('keeps values that still fit, including unlinked options', () => {
+    expect(getStaleDependentValues(fields, { make: 'honda', model: 'other' })).toEqual({});
+  });
+
+  it('uses the given empty value for cleared children', () => {
+    expect(getStaleDependentValues(fields, { make: 'honda', model: 'corolla' }, { emptyValue: null })).toEqual({
+      model: null,
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { isEmptyValue, validateAttributes, validateFieldValue } from '../fieldValidation';
+
+const field = (fieldType, overrides = {}) => ({
+  name: 'sample',
+  fieldType,
+  isRequired: false,
+  validationRules: {},
+  ...overrides,
+});
+
+describe('isEmptyValue', () => {
+  it('treats missing values and blank text as empty', () => {
+    [undefined, null, '', '   '].forEach((value) => expect(isEmptyValue(field('TEXT'), value)).toBe(true));
+    expect(isEmptyValue(field('TEXT'), 'a')).toBe(false);
+  });
+
+  it('asks the field type for structured values', () => {
+    expect(isEmptyValue(field('MULTISELECT'), [])).toBe(true);
+    expect(isEmptyValue(field('MULTISELECT'), ['abs'])).toBe(false);
+    expect(isEmptyValue(field('BOOLEAN'), false)).toBe(true);
+    expect(isEmptyValue(field('RANGE'), { min: '', max: null })).toBe(true);
+    expect(isEmptyValue(field('RANGE'), { min: 0 })).toBe(false);
+    expect(isEmptyValue(field('PHONE'), { countryCode: '+962', number: '' })).toBe(true);
+  });
+});
+
+describe('validateFieldValue', () => {
+  it('requires a value only for required fields', () => {
+    expect(validateFieldValue(field('TEXT', { isRequired: true }), '')).toEqual({
+      key: 'validation.required',
+      params: {},
+    });
+    expect(validateFieldValue(field('TEXT'), '')).toBeNull();
+  });
+
+  it('skips the type rules for an empty optional value', () => {
+    expect(validateFieldValue(field('NUMBER', { validationRules: { min: 5 } }), '')).toBeNull();
+  });
+
+  it('applies text length and pattern rules', () => {
+    const rules = { minLength: 2, maxLength: 4, pattern: '^[a-z]+$' };
+    expect(validateFieldValue(field('TEXT', { validationRules: rules }), 'a')).toEqual({
+      key: 'validation.minLength',
+      params: { min: 2 },
+    });
+    expect(validateFieldValue(field('TEXT', { validationRules: rules }), 'abcde').key).toBe('validation.maxLength');
+    expect(validateFieldValue(field('TEXT', { validationRules: rules }), 'AB').key).toBe('validation.pattern');
+    expect(validateFieldValue(field('TEXT', { validationRules: rules }), 'abc')).toBeNull();
+  });
+
+  it('treats rules cleared in the admin as unset', () => {
+    const rules = { minLength: '', maxLength: '', pattern: '' };
+    expect(validateFieldValue(field('TEXT', { validationRules: rules }), 'anything')).toBeNull();
+  });
+
+  it('skips an invalid pattern instead of rejecting every value', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(validateFieldValue(field('TEXT', { validationRules: { pattern: '[' } }), 'abc')).toBeNull();
+    error.mockRestore();
+  });
+
+  it('applies number bounds', () => {
+    const numberField = field('NUMBER', { validationRules: { min: 1990, max: 2024 } });
+    expect(validateFieldValue(numberField, 1989)).toEqual({ key: 'validation.min', params: { min: 1990 } });
+    expect(validateFieldValue(numberField, '2025').key).toBe('validation.max');
+    expect(validateFieldValue(numberField, 'abc').key).toBe('validation.number');
+    expect(validateFieldValue(numberField, 2000)).toBeNull();
+  });
+
+  it('checks both bounds of a range and their order', () => {
+    const rangeField = field('RANGE', { validationRules: { min: 0, max: 100 } });
+    expect(validateFieldValue(rangeField, { min: -1, max: 10 }).key).toBe('validation.min');
+    expect(validateFieldValue(rangeField, { min: 50, max: 10 }).key).toBe('validation.rangeOrder');
+    expect(validateFieldValue(rangeField, { min: 10 })).toBeNull();
+  });
+
+  it('checks URLs against the allowed domains', () => {
+    const urlField = field('URL', { validationRules: { allowedDomains: ['youtube.com'] } });
+    expect(validateFieldValue(urlField, 'not a url').key).toBe('validation.url');
+    expect(validateFieldValue(urlField, 'ftp://youtube.com').key).toBe('validation.url');
+    expect(validateFieldValue(urlField, 'https://example.com').key).toBe('validation.urlDomain');
+    expect(validateFieldValue(urlField, 'https://www.youtube.com/watch')).toBeNull();
+  });
+});
+
+describe('validateAttributes', () => {
+  it('returns errors keyed by field name for the failing fields only', () => {
+    const fields = [
+      field('TEXT', { name: 'title', isRequired: true }),
+      field('NUMBER', { name: 'year', validationRules: { min: 1990 } }),
+      field('TEXT', { name: 'notes' }),
+    ];
+    expect(validateAttributes(fields, { year: 1980, notes: 'ok' })).toEqual({
+      title: { key: 'validation.required', params: {} },
+      year: { key: 'validation.min', params: { min: 1990 } },
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { getHiddenFieldNames, getVisibleFields, isFieldVisible, pruneHiddenAttributes } from '../fieldVisibility';
+
+const field = (name, conditions = [], match = 'all') => ({ name, visibilityRules: { match, conditions } });
+const when = (fieldName, operator, value) => ({ fieldName, operator, value });
+
+describe('isFieldVisible', () => {
+  it('shows fields without conditions', () => {
+    expect(isFieldVisible({ name: 'make' })).toBe(true);
+    expect(isFieldVisible(field('make'))).toBe(true);
+  });
+
+  it('ignores conditions without a controlling field', () => {
+    expect(isFieldVisible(field('trim', [when('', 'equals', 'x')]), {})).toBe(true);
+  });
+
+  it('evaluates each operator', () => {
+    expect(isFieldVisible(field('a', [when('fuel', 'equals', 'electric')]), { fuel: 'electric' })).toBe(true);
+    expect(isFieldVisible(field('a', [when('fuel', 'equals', 'electric')]), { fuel: 'petrol' })).toBe(false);
+    expect(isFieldVisible(field('a', [when('fuel', 'notEquals', 'electric')]), {})).toBe(true);
+    expect(isFieldVisible(field('a', [when('fuel', 'isSet')]), { fuel: '' })).toBe(false);
+    expect(isFieldVisible(field('a', [when('fuel', 'isNotSet')]), { fuel: [] })).toBe(true);
+  });
+
+  it('compares booleans, numbers and multiselect values by their string form', () => {
+    expect(isFieldVisible(field('a', [when('used', 'equals', 'true')]), { used: true })).toBe(true);
+    expect(isFieldVisible(field('a', [when('doors', 'equals', '4')]), { doors: 4 })).toBe(true);
+    expect(isFieldVisible(field('a', [when('features', 'equals', 'gps')]), { features: ['abs', 'gps'] })).toBe(true);
+  });
+
+  it('combines conditions with all or any', () => {
+    const conditions = [when('fuel', 'equals', 'electric'), when('used', 'equals', 'true')];
+    const attributes = { fuel: 'electric', used: false };
+    expect(isFieldVisible(field('a', conditions, 'all'), attributes)).toBe(false);
+    expect(isFieldVisible(field('a', conditions, 'any'), attributes)).toBe(true);
+  });
+
+  it('treats an unset controlling field as no constraint when filtering', () => {
+    const batteryRange = field('batteryRange', [when('fuel', 'equals', 'electric')]);
+    expect(isFieldVisible(batteryRange, {})).toBe(false);
+    expect(isFieldVisible(batteryRange, {}, { ignoreUnset: true })).toBe(true);
+  });
+});
+
+describe('getVisibleFields', () => {
+  const fields = [
+    field('fuel'),
+    field('batteryRange', [when('fuel', 'equals', 'electric')]),
+    field('fastCharging', [when('batteryRange', 'isSet')]),
+    field('engineSize', [when('fuel', 'notEquals', 'electric')]),
+  ];
+
+  it('keeps the visible fields in their original order', () => {
+    expect(getVisibleFields(fields, { fuel: 'electric', batteryRange: 300 }).map((f) => f.name)).toEqual([
+      'fuel',
+      'batteryRange',
+      'fastCharging',
+    ]);
+  });
+
+  it('collapses chains when a field in the middle is hidden', () => {
+    // batteryRange keeps a stale value, but as it is hidden fastCharging is too
+    expect(getHiddenFieldNames(fields, { fuel: 'petrol', batteryRange: 300 })).toEqual([
+      'batteryRange',
+      'fastCharging',
+    ]);
+  });
+
+  it('terminates on rules that depend on each other', () => {
+    const cyclic = [field('a', [when('b', 'isNotSet')]), field('b', [when('a', 'isNotSet')])];
+    expect(() => getVisibleFields(cyclic, { a: 1, b: 1 })).not.toThrow();
+  });
+});
+
+describe('pruneHiddenAttributes', () => {
+  it('drops the values of hidden fields only', () => {
+    const fields = [field('fuel'), field('batteryRange', [when('fuel', 'equals', 'electric')])];
+    expect(pruneHiddenAttributes(fields, { fuel: 'petrol', batteryRange: 300, extra: 1 })).toEqual({
+      fuel: 'petrol',
+      extra: 1,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+import { matchesFilters, matchesSavedSearch } from '../filterMatching';
+import { encodeFilters } from '../filterQuery';
+import { createSavedSearch, fetchSavedSearches, updateSavedSearch } from '../savedSearches';
+import { installSavedSearchesMock } from '../../mocks/savedSearchesApi';
+
+// The node environment has fetch and Response; the mock also expects the
+// browser's window and location
+global.window = global;
+global.location = { origin: 'http://localhost' };
+
+const fields = [
+  {
+    id: 1,
+    name: 'make',
+    fieldType: 'SELECT',
+    options: [{ value: 'toyota' }, { value: 'honda' }],
+  },
+  { id: 2, name: 'mileage', fieldType: 'NUMBER', unit: 'km' },
+  {
+    id: 3,
+    name: 'features',
+    fieldType: 'MULTISELECT',
+    options: [{ value: 'abs' }, { value: 'gps' }],
+  },
+  {
+    id: 4,
+    name: 'batteryRange',
+    fieldType: 'NUMBER',
+    visibilityRules: { match: 'all', conditions: [{ fieldName: 'make', operator: 'equals', value: 'honda' }] },
+  },
+];
+
+const ad = {
+  categoryId: 7,
+  attributes: { make: 'toyota', mileage: 42000, features: ['abs', 'gps'], batteryRange: 300 },
+};
+
+describe('matchesFilters', () => {
+  it('matches when every set filter holds', () => {
+    expect(
+      matchesFilters(fields, { make: 'toyota', mileage: { min: 10000, max: 50000 }, features: ['abs'] }, ad.attributes)
+    ).toBe(true);
+  });
+
+  it('fails when one filter does not hold', () => {
+    expect(matchesFilters(fields, { make: 'toyota', mileage: { max: 40000 } }, ad.attributes)).toBe(false);
+    expect(matchesFilters(fields, { features: ['abs', 'sunroof'] }, ad.attributes)).toBe(false);
+  });
+
+  it('ignores unset filters and open bounds', () => {
+    expect(matchesFilters(fields, { make: '', mileage: { min: null, max: null }, features: [] }, ad.attributes)).toBe(
+      true
+    );
+  });
+
+  it('ignores attributes of fields hidden by visibility rules', () => {
+    expect(matchesFilters(fields, { batteryRange: { min: 100 } }, ad.attributes)).toBe(false);
+  });
+});
+
+describe('matchesSavedSearch', () => {
+  it('reads the filters from URL query parameters', () => {
+    const savedSearch = { categoryId: '7', query: encodeFilters({ mileage: { min: 40000 } }) };
+    expect(matchesSavedSearch(savedSearch, ad, fields)).toBe(true);
+  });
+
+  it('only matches ads of the saved search category', () => {
+    const savedSearch = { categoryId: 8, query: {} };
+    expect(matchesSavedSearch(savedSearch, ad, fields)).toBe(false);
+  });
+});
+
+describe('saved searches mock API', () => {
+  let mock;
+  let fetchFields;
+
+  beforeEach(() => {
+    // The mock passes category field requests through to this fetch
+    fetchFields = jest.fn(async () => Response.json(fields));
+    global.fetch = fetchFields;
+    mock = installSavedSearchesMock();
+  });
+
+  afterEach(() => {
+    mock.uninstall();
+  });
+
+  const matchAd = async (candidate) => {
+    const response = await fetch('/api/saved-searches/match', {
+      method: 'POST',
+      body: JSON.stringify({ ad: candidate }),
+    });
+    return (await response.json()).map((savedSearch) => savedSearch.name);
+  };
+
+  it('returns the saved searches with alerts on that an ad matches', async () => {
+    await createSavedSearch({ name: 'Toyotas', categoryId: 7, query: encodeFilters({ make: 'toyota' }), notify: true });
+    await createSavedSearch({ name: 'Hondas', categoryId: 7, query: encodeFilters({ make: 'honda' }), notify: true });
+    const quiet = await createSavedSearch({ name: 'Quiet', categoryId: 7, query: {} });
+
+    expect(await matchAd(ad)).toEqual(['Toyotas']);
+
+    await updateSavedSearch(quiet.id, { notify: true });
+    expect(await matchAd(ad)).toEqual(['Toyotas', 'Quiet']);
+    expect(fetchFields).toHaveBeenCalledWith('/api/category-fields?categoryId=7');
+  });
+
+  it('lists saved searches by category', async () => {
+    await createSavedSearch({ name: 'Toyotas', categoryId: 7, query: {} });
+    await createSavedSearch({ name: 'Boats', categoryId: 9, query: {} });
+
+    expect((await fetchSavedSearches(9)).map((savedSearch) => savedSearch.name)).toEqual(['Boats']);
+  });
+
+  it('answers 401 when logged out', async () => {
+    mock.setLoggedIn(false);
+    await expect(fetchSavedSearches(7)).rejects.toMatchObject({ status: 401 });
+  });
+});
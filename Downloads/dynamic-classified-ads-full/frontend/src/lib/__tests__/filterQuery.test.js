@@ -0,0 +1,101 @@
+import {
+  decodeFilters,
+  encodeFilters,
+  omitFilterParams,
+  pickFilterParams,
+  serializeParams,
+} from '../filterQuery';
+import { matchesFilters } from '../filterMatching';
+
+const fields = [
+  { name: 'fuel', fieldType: 'SELECT' },
+  { name: 'features', fieldType: 'MULTISELECT' },
+  { name: 'mileage', fieldType: 'NUMBER' },
+  { name: 'size', fieldType: 'RANGE' },
+  { name: 'registered', fieldType: 'DATE' },
+  { name: 'warranty', fieldType: 'BOOLEAN' },
+];
+
+describe('encodeFilters', () => {
+  it('encodes scalars, lists and structured filters', () => {
+    expect(
+      encodeFilters({
+        fuel: 'diesel',
+        features: ['abs', 'gps'],
+        mileage: { min: 0, max: 5000 },
+        registered: { from: new Date(2024, 0, 1), to: new Date(2024, 2, 31) },
+        warranty: true,
+      })
+    ).toEqual({
+      'f.fuel': 'diesel',
+      'f.features': ['abs', 'gps'],
+      'f.mileage.min': '0',
+      'f.mileage.max': '5000',
+      'f.registered.from': '2024-01-01',
+      'f.registered.to': '2024-03-31',
+      'f.warranty': 'true',
+    });
+  });
+
+  it('leaves out empty filters and open bounds', () => {
+    expect(encodeFilters({ fuel: '', features: [], mileage: { min: 1000, max: null }, size: null })).toEqual({
+      'f.mileage.min': '1000',
+    });
+  });
+});
+
+describe('decodeFilters', () => {
+  it('reads back what encodeFilters wrote', () => {
+    const filters = {
+      fuel: 'diesel',
+      features: ['abs', 'gps'],
+      mileage: { min: 0, max: 5000 },
+      size: { max: 120.5 },
+      registered: { from: new Date(2024, 0, 1), to: new Date(2024, 2, 31) },
+      warranty: false,
+    };
+    expect(decodeFilters(encodeFilters(filters), fields)).toEqual(filters);
+  });
+
+  it('reads a single list value as a list', () => {
+    expect(decodeFilters({ 'f.features': 'abs' }, fields)).toEqual({ features: ['abs'] });
+  });
+
+  it('reads a single number or date as both bounds', () => {
+    const query = { 'f.mileage': '5000', 'f.size': 'abc', 'f.registered': '2024-01-01' };
+    const filters = decodeFilters(query, fields);
+    expect(filters).toEqual({
+      mileage: { min: 5000, max: 5000 },
+      registered: { from: new Date(2024, 0, 1), to: new Date(2024, 0, 1) },
+    });
+    expect(matchesFilters(fields, filters, { mileage: 5000, registered: new Date(2024, 0, 1, 15) })).toBe(true);
+    expect(matchesFilters(fields, filters, { mileage: 6000, registered: new Date(2024, 0, 1) })).toBe(false);
+  });
+
+  it('reads the parts of structured keys by the field kind', () => {
+    expect(decodeFilters({ 'f.mileage.min': '100', 'f.registered.to': '2024-02-29' }, fields)).toEqual({
+      mileage: { min: 100 },
+      registered: { to: new Date(2024, 1, 29) },
+    });
+  });
+
+  it('drops unreadable parts and parameters of unknown fields', () => {
+    expect(
+      decodeFilters({ 'f.mileage.min': 'abc', 'f.registered.from': '01/02/2024', 'f.colour': 'red' }, fields)
+    ).toEqual({});
+  });
+});
+
+describe('query helpers', () => {
+  const query = { 'f.fuel': 'diesel', 'f.features': ['abs', 'gps'], page: '2' };
+
+  it('splits filter parameters from the rest of the query', () => {
+    expect(pickFilterParams(query)).toEqual({ 'f.fuel': 'diesel', 'f.features': ['abs', 'gps'] });
+    expect(omitFilterParams(query)).toEqual({ page: '2' });
+  });
+
+  it('serializes parameters the same whatever their order', () => {
+    expect(serializeParams({ page: '2', 'f.fuel': 'diesel' })).toBe(serializeParams({ 'f.fuel': 'diesel', page: '2' }));
+    expect(serializeParams({ 'f.features': ['abs', 'gps'] })).toBe('f.features=abs&f.features=gps');
+  });
+});
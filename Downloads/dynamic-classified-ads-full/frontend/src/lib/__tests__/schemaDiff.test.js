@@ -0,0 +1,65 @@
+import { diffSchemas, isBreakingChange } from '../schemaDiff';
+
+const make = {
+  id: 1,
+  name: 'make',
+  fieldType: 'SELECT',
+  labelI18n: { en: 'Make' },
+  options: [{ value: 'toyota' }, { value: 'honda' }],
+};
+const year = { id: 2, name: 'year', fieldType: 'NUMBER', isRequired: false };
+
+describe('diffSchemas', () => {
+  it('reports added and removed fields', () => {
+    expect(diffSchemas([make], [year])).toEqual([
+      { kind: 'added', field: year },
+      { kind: 'removed', field: make },
+    ]);
+  });
+
+  it('reports nothing for unchanged fields', () => {
+    expect(diffSchemas([make, year], [{ ...year }, { ...make }])).toEqual([]);
+  });
+
+  it('matches fields by id, so a rename is a change', () => {
+    const renamed = { ...make, name: 'brand' };
+    expect(diffSchemas([make], [renamed])).toEqual([
+      {
+        kind: 'changed',
+        field: renamed,
+        previousField: make,
+        properties: [{ property: 'name', before: 'make', after: 'brand' }],
+        addedOptions: [],
+        removedOptions: [],
+      },
+    ]);
+  });
+
+  it('reports added and removed options', () => {
+    const [change] = diffSchemas([make], [{ ...make, options: [{ value: 'toyota' }, { value: 'nissan' }] }]);
+    expect(change.addedOptions).toEqual(['nissan']);
+    expect(change.removedOptions).toEqual(['honda']);
+    expect(change.properties).toEqual([]);
+  });
+
+  it('treats unset and null properties as equal', () => {
+    expect(diffSchemas([year], [{ ...year, unit: null }])).toEqual([]);
+  });
+});
+
+describe('isBreakingChange', () => {
+  const changeOf = (before, after) => diffSchemas([before], [after])[0];
+
+  it('flags removed fields, removed options, renames and type changes', () => {
+    expect(isBreakingChange({ kind: 'removed', field: make })).toBe(true);
+    expect(isBreakingChange(changeOf(make, { ...make, options: [{ value: 'toyota' }] }))).toBe(true);
+    expect(isBreakingChange(changeOf(make, { ...make, name: 'brand' }))).toBe(true);
+    expect(isBreakingChange(changeOf(year, { ...year, fieldType: 'TEXT' }))).toBe(true);
+  });
+
+  it('lets added fields, new options and label edits through', () => {
+    expect(isBreakingChange({ kind: 'added', field: year })).toBe(false);
+    expect(isBreakingChange(changeOf(make, { ...make, options: [...make.options, { value: 'kia' }] }))).toBe(false);
+    expect(isBreakingChange(changeOf(make, { ...make, labelI18n: { en: 'Brand' } }))).toBe(false);
+  });
+});
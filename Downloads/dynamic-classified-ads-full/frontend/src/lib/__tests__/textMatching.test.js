@@ -0,0 +1,83 @@
+import { getTextSuggestions, normalizeText, scoreTextMatch, toConsonantSkeleton } from '../textMatching';
+
+describe('normalizeText', () => {
+  it('folds Arabic letter variants, diacritics and tatweel', () => {
+    expect(normalizeText('أحمد')).toBe(normalizeText('احمد'));
+    expect(normalizeText('سيارةٌ')).toBe('سياره');
+    expect(normalizeText('مستشفى')).toBe('مستشفي');
+    expect(normalizeText('جـمـيـل')).toBe('جميل');
+  });
+
+  it('folds Latin case and accents and converts Arabic-Indic digits', () => {
+    expect(normalizeText('Citroën Straße')).toBe('citroen strasse');
+    expect(normalizeText('٢٠٢٤ ۱۲')).toBe('2024 12');
+  });
+
+  it('keeps single spaces between words', () => {
+    expect(normalizeText('  Land-Rover,  Defender ')).toBe('land rover defender');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('toConsonantSkeleton', () => {
+  it.each([
+    ['تويوتا', 'toyota', 'tyt'],
+    ['مرسيدس', 'mercedes', 'mrsds'],
+    ['نيسان', 'nissan', 'nsn'],
+    ['هيونداي', 'hyundai', 'hynd'],
+    ['كيا', 'kia', 'ky'],
+  ])('gives %s and %s the same skeleton', (arabic, latin, skeleton) => {
+    expect(toConsonantSkeleton(arabic)).toBe(skeleton);
+    expect(toConsonantSkeleton(latin)).toBe(skeleton);
+  });
+
+  it('spells x as ks', () => {
+    expect(toConsonantSkeleton('lexus')).toBe('lkss');
+  });
+
+  it('keeps y only before a vowel', () => {
+    expect(toConsonantSkeleton('honda')).toBe('hnd');
+    expect(toConsonantSkeleton('hyundai')).not.toBe(toConsonantSkeleton('honda'));
+  });
+});
+
+describe('scoreTextMatch', () => {
+  it('scores a contained query, prefixes and typos', () => {
+    expect(scoreTextMatch('Toyota Corolla 2015', 'corolla 2015')).toBe(1);
+    expect(scoreTextMatch('Toyota Corolla', 'coro toy')).toBe(0.9);
+    expect(scoreTextMatch('Toyota Corolla', 'corolka')).toBe(0.6);
+    expect(scoreTextMatch('Toyota Corolla', 'camry')).toBe(0);
+    expect(scoreTextMatch('anything', '')).toBe(1);
+  });
+
+  it('matches Arabic spellings of Latin names', () => {
+    expect(scoreTextMatch('Toyota Corolla', 'تويوتا')).toBe(0.7);
+    expect(scoreTextMatch('Hyundai Elantra', 'هيونداي')).toBe(0.7);
+    expect(scoreTextMatch('Kia Sportage', 'كيا')).toBe(0.7);
+    expect(scoreTextMatch('Lexus RX', 'ليكسس')).toBe(0.7);
+  });
+
+  it('does not match names that only share a consonant or two', () => {
+    ['Kawasaki Ninja', 'Ford Kuga', 'Kalashnikov'].forEach((text) => expect(scoreTextMatch(text, 'كيا')).toBe(0));
+    expect(scoreTextMatch('Honda Civic', 'هيونداي')).toBe(0);
+    expect(scoreTextMatch('Hyundai Elantra', 'هوندا')).toBe(0);
+  });
+
+  it('needs every query word to match', () => {
+    expect(scoreTextMatch('Toyota Corolla', 'toyota camry')).toBe(0);
+    expect(scoreTextMatch('Toyota Corolla', 'تويوتا corolla')).toBe(0.7);
+  });
+
+  it('can leave out prefixes and fuzzy matches', () => {
+    expect(scoreTextMatch('Toyota Corolla', 'coro toy', { prefix: false })).toBe(0);
+    expect(scoreTextMatch('Toyota Corolla', 'تويوتا', { fuzzy: false })).toBe(0);
+  });
+});
+
+describe('getTextSuggestions', () => {
+  it('merges spellings under the most used one, best and most used first', () => {
+    const values = ['Toyota', 'toyota', 'Toyota', 'Tesla', 'Honda'];
+    expect(getTextSuggestions(values, 'to')).toEqual([{ value: 'Toyota', count: 3, score: 1 }]);
+    expect(getTextSuggestions(values, '').map((suggestion) => suggestion.value)).toEqual(['Toyota', 'Tesla', 'Honda']);
+  });
+});
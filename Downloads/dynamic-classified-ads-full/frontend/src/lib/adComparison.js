@@ -0,0 +1,113 @@
+// Side-by-side comparison of ads. Ads may come from sibling categories with
+// partially shared fields, so fields are lined up by name: a field that only
+// some of the ads have is shown as not applicable for the others.
+//
+// The compare basket is kept in localStorage so it survives navigation. Each
+// entry is a snapshot of the ad as it was added, with what DynamicAdDetails
+// needs to render it:
+//   { id, categoryId, title, attributes, categoryFields }
+import { getFieldType } from '../fieldTypes';
+import { getVisibleFields } from './fieldVisibility';
+
+export const COMPARE_LIMIT = 4;
+
+export const COMPARE_MINIMUM = 2;
+
+const BASKET_STORAGE_KEY = 'compareBasket';
+
+// Fired on window when the basket changes in this tab; other tabs are told
+// by the browser's storage event
+export const BASKET_CHANGE_EVENT = 'compareBasketChange';
+
+export const toBasketEntry = ({ id, categoryId, title, attributes = {}, categoryFields = [] }) => ({
+  id,
+  categoryId,
+  title,
+  attributes,
+  categoryFields,
+});
+
+// The stored basket; an unreadable one is treated as empty
+export const getCompareBasket = () => {
+  if (typeof window === 'undefined') return [];
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BASKET_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((ad) => ad && ad.id !== undefined).slice(0, COMPARE_LIMIT) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const setCompareBasket = (ads) => {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(ads.slice(0, COMPARE_LIMIT)));
+  window.dispatchEvent(new Event(BASKET_CHANGE_EVENT));
+};
+
+export const isInBasket = (basket, adId) => basket.some((ad) => String(ad.id) === String(adId));
+
+// The basket with an ad added; unchanged when the ad is already in it or the
+// basket is full
+export const addToBasket = (basket, ad) =>
+  isInBasket(basket, ad.id) || basket.length >= COMPARE_LIMIT ? basket : [...basket, toBasketEntry(ad)];
+
+export const removeFromBasket = (basket, adId) => basket.filter((ad) => String(ad.id) !== String(adId));
+
+// Helper function to get the fields an ad shows, as on its own page
+const getShownFields = (ad) =>
+  getVisibleFields(ad.categoryFields || [], ad.attributes || {})
+    .filter((field) => field.showInAdView)
+    .sort((a, b) => a.order - b.order);
+
+// Helper function to get the key a value compares by, see comparisonKey in
+// the field type registry
+const getComparisonKey = (field, value) => {
+  const definition = getFieldType(field.fieldType);
+  if (definition) return definition.comparisonKey(value, field);
+  return value === undefined || value === null || value === '' ? null : JSON.stringify(value);
+};
+
+// The rows of a comparison, one per field any of the ads shows:
+//   { name, field, cells: [{ field, value, key } | null], isShared, isDifferent,
+//     sharedValues }
+// cells line up with ads; null marks an ad whose category lacks the field.
+// isDifferent is set when the ads' values don't all read the same or the
+// field doesn't apply to all of them. sharedValues lists the values every
+// ad's list holds (e.g. MULTISELECT features), null for other values.
+// Fields shared by all ads come first, each group in field order; fields
+// without a value in any ad are left out.
+export const getComparisonRows = (ads = []) => {
+  const shownFields = ads.map((ad) => new Map(getShownFields(ad).map((field) => [field.name, field])));
+  const names = [];
+  shownFields.forEach((fields) => {
+    fields.forEach((field, name) => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+
+  const rows = names.map((name) => {
+    const cells = ads.map((ad, index) => {
+      const field = shownFields[index].get(name);
+      if (!field) return null;
+      const value = ad.attributes?.[name];
+      return { field, value, key: getComparisonKey(field, value) };
+    });
+    const applicable = cells.filter(Boolean);
+    const isShared = applicable.length === ads.length;
+    const lists = applicable.map((cell) => (Array.isArray(cell.value) ? cell.value : null));
+
+    return {
+      name,
+      field: applicable[0].field,
+      cells,
+      isShared,
+      isDifferent: !isShared || new Set(applicable.map((cell) => cell.key)).size > 1,
+      sharedValues: lists.every(Boolean)
+        ? lists.reduce((shared, list) => shared.filter((value) => list.includes(value)))
+        : null,
+    };
+  });
+
+  const withValues = rows.filter((row) => row.cells.some((cell) => cell && cell.key !== null));
+  return [...withValues.filter((row) => row.isShared), ...withValues.filter((row) => !row.isShared)];
+};
@@ -0,0 +1,149 @@
+// Offline ad drafts: detecting category schema changes and submitting the
+// outbox once the connection is back. Storage lives in lib/draftStore.
+import { getFieldType } from '../fieldTypes';
+import { validateAttributes } from './fieldValidation';
+import { getVisibleFields, pruneHiddenAttributes } from './fieldVisibility';
+import { fetchCategoryFields } from './categoryFields';
+import { getDraft, listDraftsByStatus, saveDraft, deleteDraft } from './draftStore';
+
+// Short hash of a string (djb2), enough to tell schema versions apart
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Fingerprint of the parts of a category schema that decide whether stored
+// attribute values are still valid. Labels and order don't matter.
+export const getSchemaSignature = (fields) =>
+  hashString(
+    JSON.stringify(
+      [...fields]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((field) => [
+          field.name,
+          field.fieldType,
+          !!field.isRequired,
+          field.validationRules || {},
+          field.visibilityRules || null,
+          field.unit || null,
+          field.currency || null,
+          (field.options || []).map((option) => option.value).sort(),
+        ])
+    )
+  );
+
+// Check a draft's attributes against the category's current fields:
+//   { removedFields: [name], removedValues: { [name]: value },
+//     invalidFields: { [name]: { key, params } } }
+// removedFields had values but no longer exist, and removedValues keeps
+// those values; invalidFields fail the current rules or hold option values
+// that were removed.
+export const findSchemaConflicts = (fields, attributes = {}) => {
+  const fieldNames = new Set(fields.map((field) => field.name));
+  const removedFields = Object.keys(attributes).filter(
+    (name) => !fieldNames.has(name) && attributes[name] !== undefined
+  );
+  const removedValues = Object.fromEntries(removedFields.map((name) => [name, attributes[name]]));
+
+  const visibleAttributes = pruneHiddenAttributes(fields, attributes);
+  const visibleFields = getVisibleFields(fields, visibleAttributes);
+  const invalidFields = validateAttributes(visibleFields, visibleAttributes);
+
+  visibleFields.forEach((field) => {
+    const value = visibleAttributes[field.name];
+    if (invalidFields[field.name] || !getFieldType(field.fieldType)?.hasOptions) return;
+    if (value === undefined || value === null || value === '') return;
+    const optionValues = (field.options || []).map((option) => option.value);
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some((optionValue) => !optionValues.includes(optionValue))) {
+      invalidFields[field.name] = { key: 'validation.optionRemoved', params: {} };
+    }
+  });
+
+  return { removedFields, removedValues, invalidFields };
+};
+
+export const hasSchemaConflicts = ({ removedFields, invalidFields }) =>
+  removedFields.length > 0 || Object.keys(invalidFields).length > 0;
+
+// Move a draft to the outbox; it is submitted by the next syncOutbox
+export const queueDraft = async (id) => {
+  const draft = await getDraft(id);
+  if (!draft) return;
+  await saveDraft({ ...draft, status: 'outbox', error: null, conflicts: null });
+};
+
+const submitAd = async (draft) => {
+  const response = await fetch('/api/ads', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ ...draft.values, categoryId: draft.categoryId }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || 'Failed to submit ad');
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+// Submit a single outbox draft. When the category's fields changed since
+// the draft was written, values that no longer fit turn the draft into a
+// conflict for the user to resolve in the form; compatible drafts go through.
+const syncDraft = async (draft) => {
+  const fields = await fetchCategoryFields(draft.categoryId);
+  const signature = getSchemaSignature(fields);
+
+  if (signature !== draft.schemaSignature) {
+    const conflicts = findSchemaConflicts(fields, draft.values.attributes);
+    if (hasSchemaConflicts(conflicts)) {
+      await saveDraft({ ...draft, status: 'conflict', conflicts, schemaSignature: signature });
+      return { id: draft.id, status: 'conflict' };
+    }
+  }
+
+  try {
+    const ad = await submitAd(draft);
+    await deleteDraft(draft.id);
+    return { id: draft.id, status: 'submitted', ad };
+  } catch (err) {
+    // Rejected by the API (e.g. a server-side rule) - retrying won't help
+    if (err.status >= 400 && err.status < 500) {
+      await saveDraft({ ...draft, status: 'draft', error: err.message });
+      return { id: draft.id, status: 'rejected', error: err.message };
+    }
+    throw err;
+  }
+};
+
+let syncing = null;
+
+// Submit every draft in the outbox, one at a time. Network and server errors
+// leave the remaining drafts queued for the next attempt. Concurrent calls
+// share the running sync.
+export const syncOutbox = () => {
+  if (!syncing) {
+    syncing = (async () => {
+      const results = [];
+      try {
+        const drafts = await listDraftsByStatus('outbox');
+        for (const draft of drafts) {
+          results.push(await syncDraft(draft));
+        }
+      } catch (err) {
+        console.error('Error syncing ad drafts:', err);
+      }
+      return results;
+    })().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+};
@@ -0,0 +1,81 @@
+// Roles and permissions for category field administration. The admin UI uses
+// them to hide or disable controls; the /api/admin/category-fields routes run
+// the same checks (getFieldChangeErrors for field saves) and answer a denied
+// call with 403 { message, errors: [{ key, params }] }.
+//
+// The signed-in admin comes from GET /api/admin/me:
+//   { id, name, roles: ['translator' | 'categoryEditor' | 'superAdmin'], categoryIds }
+// categoryIds are the categories a category editor is assigned to.
+
+export const ROLES = {
+  TRANSLATOR: 'translator',
+  CATEGORY_EDITOR: 'categoryEditor',
+  SUPER_ADMIN: 'superAdmin',
+};
+
+// editLabels: field and option labels; editField: everything else about a
+// field except its type; changeFieldType and deleteField are reserved for
+// super admins, as both can orphan attributes of existing ads
+const ROLE_PERMISSIONS = {
+  [ROLES.TRANSLATOR]: ['editLabels'],
+  [ROLES.CATEGORY_EDITOR]: ['editLabels', 'createField', 'editField', 'reorderFields'],
+  [ROLES.SUPER_ADMIN]: [
+    'editLabels',
+    'createField',
+    'editField',
+    'reorderFields',
+    'changeFieldType',
+    'deleteField',
+    'manageTemplates',
+  ],
+};
+
+// Permissions a category editor only has in assigned categories
+const CATEGORY_SCOPED_PERMISSIONS = ['createField', 'editField', 'reorderFields'];
+
+// Whether a user may do something, in a category where that matters
+export const hasPermission = (user, permission, categoryId) =>
+  (user?.roles || []).some((role) => {
+    if (!(ROLE_PERMISSIONS[role] || []).includes(permission)) return false;
+    if (role !== ROLES.CATEGORY_EDITOR || !CATEGORY_SCOPED_PERMISSIONS.includes(permission)) return true;
+    return (user.categoryIds || []).map(String).includes(String(categoryId));
+  });
+
+// Helper function to drop the labels of a field and its options, leaving
+// what only an editor may change
+const withoutLabels = ({ labelI18n, options = [], ...field }) => ({
+  ...field,
+  options: options.map(({ labelI18n: optionLabels, ...option }) => option),
+});
+
+// Whether two states of a field differ in more than labels. Server-managed
+// and ordering properties don't count.
+const changesMoreThanLabels = (before, after) => {
+  const comparable = (field) => {
+    const { id, categoryId, order, createdAt, updatedAt, ...rest } = withoutLabels(field);
+    return JSON.stringify({
+      ...rest,
+      options: rest.options.map(({ id: optionId, fieldId, order: optionOrder, ...option }) => option),
+    });
+  };
+  return comparable(before) !== comparable(after);
+};
+
+// The permission errors a field save would run into: a create (no before),
+// a delete (no after) or an update. Returns [{ key, params }], empty when
+// the user may make the change.
+export const getFieldChangeErrors = (user, categoryId, before, after) => {
+  const denied = (permission) =>
+    hasPermission(user, permission, categoryId)
+      ? []
+      : [{ key: `admin.permissions.errors.${permission}`, params: { name: (after || before).name } }];
+
+  if (!before) return denied('createField');
+  if (!after) return denied('deleteField');
+
+  const errors = changesMoreThanLabels(before, after) ? denied('editField') : denied('editLabels');
+  if (before.fieldType !== after.fieldType) {
+    errors.push(...denied('changeFieldType'));
+  }
+  return errors;
+};
@@ -0,0 +1,98 @@
+// Migrations of existing ads' attributes after a schema change. A migration is
+//   { categoryId, fromVersion, toVersion, steps }
+// with steps applied in order:
+//   { type: 'renameKey', from, to }            - move an attribute to a new key
+//   { type: 'mapOptions', fieldName, mapping } - replace option values ({ old: new },
+//                                                where '' removes the value)
+//   { type: 'removeKey', fieldName }           - drop an attribute
+// The API runs migrations over the category's ads (optionally as a dry run);
+// applyMigration is the same logic, used by MigrationEditor to preview the
+// dry run's sample ads while the steps are edited.
+
+// Helper function to check for a mapped value; inherited keys such as
+// "constructor" aren't mappings
+const isMapped = (mapping, value) => Object.prototype.hasOwnProperty.call(mapping, value);
+
+// Replace mapped option values in a SELECT value or MULTISELECT list
+const mapOptionValue = (value, mapping) => {
+  if (Array.isArray(value)) {
+    const mapped = value
+      .map((item) => (isMapped(mapping, item) ? mapping[item] : item))
+      .filter((item) => item !== '');
+    return Array.from(new Set(mapped));
+  }
+  if (isMapped(mapping, value)) {
+    return mapping[value] === '' ? undefined : mapping[value];
+  }
+  return value;
+};
+
+// Apply the steps to one ad's attributes. Returns the new attributes and
+// whether anything changed.
+export const applyMigration = (attributes = {}, steps = []) => {
+  let result = { ...attributes };
+
+  steps.forEach((step) => {
+    switch (step.type) {
+      case 'renameKey': {
+        if (!step.from || !step.to || !Object.prototype.hasOwnProperty.call(result, step.from)) break;
+        const { [step.from]: value, ...rest } = result;
+        result = { ...rest, [step.to]: value };
+        break;
+      }
+      case 'mapOptions': {
+        const value = result[step.fieldName];
+        if (value === undefined || value === null) break;
+        const mapped = mapOptionValue(value, step.mapping || {});
+        if (mapped === undefined) {
+          delete result[step.fieldName];
+        } else {
+          result[step.fieldName] = mapped;
+        }
+        break;
+      }
+      case 'removeKey':
+        delete result[step.fieldName];
+        break;
+      default:
+        console.error('Unknown migration step:', step.type);
+    }
+  });
+
+  return { attributes: result, changed: JSON.stringify(result) !== JSON.stringify(attributes) };
+};
+
+// Steps an admin most likely wants for a schema diff (see lib/schemaDiff):
+// renamed fields move their attribute key, removed options need a mapping
+// (left empty for the admin to fill in) and removed fields drop their key.
+// A retyped field drops its key too, as values of the old type (e.g. text
+// in a field that is now a NUMBER) would fail its new rules.
+export const suggestMigrationSteps = (changes) => {
+  const steps = [];
+
+  changes.forEach((change) => {
+    if (change.kind === 'removed') {
+      steps.push({ type: 'removeKey', fieldName: change.field.name });
+      return;
+    }
+    if (change.kind !== 'changed') return;
+
+    if (change.previousField.fieldType !== change.field.fieldType) {
+      steps.push({ type: 'removeKey', fieldName: change.previousField.name });
+      return;
+    }
+
+    if (change.previousField.name !== change.field.name) {
+      steps.push({ type: 'renameKey', from: change.previousField.name, to: change.field.name });
+    }
+    if (change.removedOptions.length) {
+      const mapping = {};
+      change.removedOptions.forEach((value) => {
+        mapping[value] = '';
+      });
+      steps.push({ type: 'mapOptions', fieldName: change.field.name, mapping });
+    }
+  });
+
+  return steps;
+};
@@ -0,0 +1,46 @@
+// Client for the audit log of category field administration. The API writes
+// an entry for every create, update, delete and reorder made through the
+// admin category-fields routes, with the signed-in admin as actor:
+//   { id, categoryId, fieldId, fieldName, action, actor: { id, name },
+//     createdAt, before, after }
+// before and after are the field with its options (null for a create or a
+// delete respectively); for a reorder they are the field names in order.
+import { diffSchemas } from './schemaDiff';
+
+// Without filters the key covers all of a category's entries, e.g. to invalidate them
+export const auditLogKey = (categoryId, filters) =>
+  filters ? ['auditLog', String(categoryId), filters] : ['auditLog', String(categoryId)];
+
+// Entries of a category, newest first. fieldName limits them to one field,
+// from and to (YYYY-MM-DD, inclusive) to a period.
+export const fetchAuditLog = async (categoryId, { fieldName, from, to } = {}) => {
+  const params = new URLSearchParams();
+  if (fieldName) params.set('fieldName', fieldName);
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  const query = params.toString();
+  const response = await fetch(`/api/admin/category-fields/${categoryId}/audit${query ? `?${query}` : ''}`);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || 'Failed to fetch audit log');
+  }
+  const data = await response.json();
+  return data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// What an update entry changed, in the shape of a lib/schemaDiff change, or
+// null for other actions
+export const getAuditChange = (entry) => {
+  if (entry.action !== 'update' || !entry.before || !entry.after) return null;
+  // Compare the two states as one field even if the entry lacks ids
+  const [change] = diffSchemas([{ ...entry.before, id: 'field' }], [{ ...entry.after, id: 'field' }]);
+  return change || null;
+};
+
+// The state of the field an entry can restore: what the change left behind,
+// or the field as it was before it got deleted. Reorders restore nothing.
+export const getRevertTarget = (entry) => {
+  if (entry.action === 'reorder') return null;
+  return entry.action === 'delete' ? entry.before : entry.after;
+};
@@ -0,0 +1,23 @@
+// Category schemas (the fields of a category) as react-query queries, so
+// every component showing a category shares one cached, deduplicated request.
+
+export const categoryFieldsKey = (categoryId) => ['categoryFields', String(categoryId)];
+
+// Fetch the fields of a category sorted by order. The signal lets react-query
+// cancel the request when nobody needs it anymore, e.g. after the category changed.
+export const fetchCategoryFields = async (categoryId, { signal } = {}) => {
+  const response = await fetch(`/api/category-fields?categoryId=${categoryId}`, { signal });
+  if (!response.ok) {
+    const error = new Error('Failed to fetch category fields');
+    error.status = response.status;
+    throw error;
+  }
+  const data = await response.json();
+  return data.sort((a, b) => a.order - b.order);
+};
+
+// Query key and function for useQuery / prefetchQuery
+export const categoryFieldsQuery = (categoryId) => ({
+  queryKey: categoryFieldsKey(categoryId),
+  queryFn: ({ signal }) => fetchCategoryFields(categoryId, { signal }),
+});
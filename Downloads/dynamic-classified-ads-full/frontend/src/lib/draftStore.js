@@ -0,0 +1,71 @@
+// IndexedDB storage for ad drafts, so a half-filled ad form survives a lost
+// connection or a reload. IndexedDB stores values by structured clone, which
+// keeps Date objects (DATE fields and dates inside RANGE values) intact.
+//
+// A draft is
+//   { id, categoryId, values, schemaSignature, status, updatedAt, error }
+// with status 'draft' (being edited), 'outbox' (waiting to be submitted) or
+// 'conflict' (the category's fields changed and the draft needs a look).
+
+const DB_NAME = 'classified-ads';
+const DB_VERSION = 1;
+const STORE = 'adDrafts';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('status', 'status');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allowed storage
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run a request against the drafts store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = run(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// A new draft id, also used to reopen the draft from its URL
+export const createDraftId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export const getDraft = (id) => withStore('readonly', (store) => store.get(id));
+
+// All drafts, most recently edited first
+export const listDrafts = async () => {
+  const drafts = await withStore('readonly', (store) => store.getAll());
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const listDraftsByStatus = (status) =>
+  withStore('readonly', (store) => store.index('status').getAll(status));
+
+// Insert or replace a draft, stamping its update time
+export const saveDraft = (draft) =>
+  withStore('readwrite', (store) => store.put({ ...draft, updatedAt: Date.now() }));
+
+export const deleteDraft = (id) => withStore('readwrite', (store) => store.delete(id));
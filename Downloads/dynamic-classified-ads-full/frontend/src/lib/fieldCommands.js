@@ -0,0 +1,151 @@
+// Undoable admin changes to a category's fields, for hooks/useCommandHistory.
+// A command is
+//   { labelKey, params, apply(fields), revert(fields), run(fields), undo(fields) }
+// apply/revert change the local list optimistically; run/undo make the same
+// change through the API. Commands find fields by name, not id: undoing a
+// delete recreates the field under a new id, and older commands in the
+// history must still find it.
+
+const request = async (url, options, failureMessage) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options?.headers },
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || failureMessage);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+// Helper function to find the saved version of a field in the current list
+const findSavedField = (fields, name) => {
+  const field = fields.find((candidate) => candidate.name === name);
+  if (!field) {
+    throw new Error(`Field ${name} no longer exists`);
+  }
+  return field;
+};
+
+// Helper function to drop server ids so a field can be created again
+const withoutIds = ({ id, options = [], ...field }) => ({
+  ...field,
+  options: options.map(({ id: optionId, fieldId, ...option }) => option),
+});
+
+// Turn the options a field should have into a with-options payload against
+// the options it has now. Options are matched by value, so an option removed
+// and restored by undo gets updated instead of duplicated.
+export const planOptionChanges = (savedOptions = [], targetOptions = []) => {
+  const savedByValue = new Map(savedOptions.map((option) => [option.value, option]));
+  const targetValues = new Set(targetOptions.map((option) => option.value));
+
+  return {
+    options: targetOptions.map(({ id, ...option }) => {
+      const saved = savedByValue.get(option.value);
+      return saved?.id !== undefined ? { ...option, id: saved.id } : option;
+    }),
+    deleteOptions: savedOptions
+      .filter((option) => !targetValues.has(option.value) && option.id !== undefined)
+      .map((option) => option.id),
+  };
+};
+
+const createField = (categoryId, { options = [], ...field }) =>
+  request(
+    '/api/admin/category-fields/with-options',
+    { method: 'POST', body: JSON.stringify({ field: { ...field, categoryId }, options }) },
+    'Failed to save field'
+  );
+
+const updateField = (categoryId, saved, { options = [], ...field }) =>
+  request(
+    `/api/admin/category-fields/${saved.id}/with-options`,
+    {
+      method: 'PATCH',
+      body: JSON.stringify({
+        field: { ...field, id: saved.id, categoryId },
+        ...planOptionChanges(saved.options, options),
+      }),
+    },
+    'Failed to save field'
+  );
+
+const deleteField = (saved) =>
+  request(`/api/admin/category-fields/${saved.id}`, { method: 'DELETE' }, 'Failed to delete field');
+
+const reorderFields = (categoryId, fields, names) => {
+  // Fields missing from names (e.g. imported meanwhile) keep their place at the end
+  const ordered = [
+    ...names.map((name) => fields.find((field) => field.name === name)).filter(Boolean),
+    ...fields.filter((field) => !names.includes(field.name)),
+  ];
+  return request(
+    `/api/admin/category-fields/${categoryId}/reorder`,
+    { method: 'POST', body: JSON.stringify({ fieldIds: ordered.map((field) => field.id) }) },
+    'Failed to reorder fields'
+  );
+};
+
+// Helper function to sort a local list by field names
+const sortByNames = (fields, names) =>
+  [...fields]
+    .sort((a, b) => {
+      const indexA = names.indexOf(a.name);
+      const indexB = names.indexOf(b.name);
+      return (indexA === -1 ? Infinity : indexA) - (indexB === -1 ? Infinity : indexB);
+    })
+    .map((field, index) => ({ ...field, order: index }));
+
+// field includes its options
+export const createFieldCommand = (categoryId, field) => {
+  const data = withoutIds(field);
+  return {
+    labelKey: 'admin.history.create',
+    params: { name: field.name },
+    // Until the list is refetched the new field has no server id
+    apply: (fields) => [...fields, { ...data, id: `pending:${field.name}` }],
+    revert: (fields) => fields.filter((candidate) => candidate.name !== field.name),
+    run: () => createField(categoryId, data),
+    undo: (fields) => deleteField(findSavedField(fields, field.name)),
+  };
+};
+
+// before and after include their options
+export const editFieldCommand = (categoryId, before, after) => {
+  const replace = (fields, name, field) =>
+    fields.map((candidate) => (candidate.name === name ? { ...candidate, ...field } : candidate));
+  return {
+    labelKey: 'admin.history.edit',
+    params: { name: after.name },
+    apply: (fields) => replace(fields, before.name, after),
+    revert: (fields) => replace(fields, after.name, before),
+    run: (fields) => updateField(categoryId, findSavedField(fields, before.name), withoutIds(after)),
+    undo: (fields) => updateField(categoryId, findSavedField(fields, after.name), withoutIds(before)),
+  };
+};
+
+export const deleteFieldCommand = (categoryId, field) => {
+  const data = withoutIds(field);
+  return {
+    labelKey: 'admin.history.delete',
+    params: { name: field.name },
+    apply: (fields) => fields.filter((candidate) => candidate.name !== field.name),
+    // The field goes back to its old position
+    revert: (fields) => [...fields, field].sort((a, b) => a.order - b.order),
+    run: (fields) => deleteField(findSavedField(fields, field.name)),
+    undo: () => createField(categoryId, data),
+  };
+};
+
+// beforeNames and afterNames list the field names in display order
+export const reorderFieldsCommand = (categoryId, beforeNames, afterNames) => ({
+  labelKey: 'admin.history.reorder',
+  params: {},
+  apply: (fields) => sortByNames(fields, afterNames),
+  revert: (fields) => sortByNames(fields, beforeNames),
+  run: (fields) => reorderFields(categoryId, fields, afterNames),
+  undo: (fields) => reorderFields(categoryId, fields, beforeNames),
+});
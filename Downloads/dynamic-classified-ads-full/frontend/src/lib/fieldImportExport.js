@@ -0,0 +1,289 @@
+// Import and export of category field definitions.
+//
+// JSON export (versioned, so older files can still be read when the format grows):
+//   { format: 'category-fields', version: 1, exportedAt, sourceCategoryId,
+//     fields: [{ name, labelI18n, fieldType, isRequired, order, ..., options: [...] }] }
+// Ids are left out, so a file can be imported into any category or environment.
+//
+// CSV for bulk option lists, one option per row:
+//   value,ar,en,sv,parentValue
+//   corolla,كورولا,Corolla,Corolla,toyota
+import { getFieldType } from '../fieldTypes';
+import { getFieldChangeErrors } from './adminPermissions';
+
+export const FIELD_EXPORT_FORMAT = 'category-fields';
+export const FIELD_EXPORT_VERSION = 1;
+
+// Field names become attribute keys, so keep them identifier-like
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Properties that only make sense inside one database
+const stripIds = ({ id, categoryId, fieldId, ...rest }) => rest;
+
+const exportOption = (option) => stripIds(option);
+
+const exportField = (field) => ({
+  ...stripIds(field),
+  options: (field.options || []).map(exportOption),
+});
+
+// Build the export file for a category's fields
+export const exportFields = (fields, { categoryId } = {}) => ({
+  format: FIELD_EXPORT_FORMAT,
+  version: FIELD_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  sourceCategoryId: categoryId,
+  fields: [...fields].sort((a, b) => a.order - b.order).map(exportField),
+});
+
+// Offer data as a file download
+export const downloadFile = (content, filename, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Validate a parsed export file. Returns { fields, errors } where errors are
+// { key, params } descriptors to translate; fields is empty when there are errors.
+export const parseFieldExport = (data) => {
+  const errors = [];
+
+  if (!data || data.format !== FIELD_EXPORT_FORMAT || !Array.isArray(data.fields)) {
+    return { fields: [], errors: [{ key: 'admin.import.errors.format', params: {} }] };
+  }
+  if (!(data.version >= 1 && data.version <= FIELD_EXPORT_VERSION)) {
+    return { fields: [], errors: [{ key: 'admin.import.errors.version', params: { version: data.version } }] };
+  }
+
+  const names = new Set();
+  data.fields.forEach((field, index) => {
+    const position = { index: index + 1, name: field?.name || '' };
+
+    if (!field || !FIELD_NAME_PATTERN.test(field.name || '')) {
+      errors.push({ key: 'admin.import.errors.name', params: position });
+      return;
+    }
+    if (names.has(field.name)) {
+      errors.push({ key: 'admin.import.errors.duplicateName', params: position });
+    }
+    names.add(field.name);
+
+    const definition = getFieldType(field.fieldType);
+    if (!definition) {
+      errors.push({ key: 'admin.import.errors.fieldType', params: { ...position, fieldType: field.fieldType } });
+    }
+    if (field.labelI18n !== undefined && (typeof field.labelI18n !== 'object' || field.labelI18n === null)) {
+      errors.push({ key: 'admin.import.errors.labels', params: position });
+    }
+
+    const options = field.options || [];
+    if (!Array.isArray(options) || options.some((option) => !option || !option.value)) {
+      errors.push({ key: 'admin.import.errors.options', params: position });
+    } else {
+      const values = options.map((option) => option.value);
+      if (new Set(values).size !== values.length) {
+        errors.push({ key: 'admin.import.errors.duplicateOption', params: position });
+      }
+    }
+  });
+
+  // Parent fields have to be part of the file
+  data.fields.forEach((field, index) => {
+    if (field?.parentFieldName && !names.has(field.parentFieldName)) {
+      errors.push({
+        key: 'admin.import.errors.parentField',
+        params: { index: index + 1, name: field.name, parent: field.parentFieldName },
+      });
+    }
+  });
+
+  if (errors.length) {
+    return { fields: [], errors };
+  }
+
+  const fields = data.fields.map((field, index) => ({
+    ...field,
+    order: field.order ?? index,
+    options: (field.options || []).map((option, optionIndex) => ({
+      labelI18n: {},
+      ...option,
+      order: option.order ?? optionIndex,
+    })),
+  }));
+  return { fields, errors };
+};
+
+// Defaults for properties a new field needs but an import file may omit,
+// matching a field added in the admin
+const withFieldDefaults = (field) => ({
+  labelI18n: {},
+  isRequired: false,
+  showInFilters: true,
+  showInAdView: true,
+  isSortable: false,
+  showInSummary: false,
+  validationRules: {},
+  visibilityRules: { match: 'all', conditions: [] },
+  ...field,
+});
+
+const isSameDefinition = (a, b) => JSON.stringify(exportField(a)) === JSON.stringify(exportField(b));
+
+// Merge imported options into existing ones by value, keeping the ids of
+// existing options so they are updated rather than recreated
+export const mergeOptions = (existingOptions = [], importedOptions = []) => {
+  const existingByValue = new Map(existingOptions.map((option) => [option.value, option]));
+  const merged = importedOptions.map((option) => {
+    const existing = existingByValue.get(option.value);
+    return existing ? { ...existing, ...option, id: existing.id } : option;
+  });
+  const importedValues = new Set(importedOptions.map((option) => option.value));
+  // Options missing from the import are kept, after the imported ones
+  existingOptions
+    .filter((option) => !importedValues.has(option.value))
+    .forEach((option) => merged.push({ ...option, order: merged.length }));
+  return merged;
+};
+
+// What importing fields into a category would do, field by field:
+//   { action: 'create' | 'update' | 'skip', field, existing }
+// Fields are matched by name; identical definitions are skipped.
+export const planFieldImport = (importedFields, existingFields = []) => {
+  const existingByName = new Map(existingFields.map((field) => [field.name, field]));
+  return importedFields.map((field) => {
+    const existing = existingByName.get(field.name);
+    if (!existing) {
+      return { action: 'create', field: withFieldDefaults(field) };
+    }
+    const merged = {
+      ...existing,
+      ...field,
+      id: existing.id,
+      options: mergeOptions(existing.options, field.options),
+    };
+    return { action: isSameDefinition(existing, merged) ? 'skip' : 'update', field: merged, existing };
+  });
+};
+
+// The plan with the permission errors of each change (see lib/adminPermissions)
+// as entry.errors, so a change the API would refuse, such as a new fieldType
+// for a category editor, shows up in the preview
+export const checkImportPermissions = (plan, user, categoryId) =>
+  plan.map((entry) => ({
+    ...entry,
+    errors: entry.action === 'skip' ? [] : getFieldChangeErrors(user, categoryId, entry.existing, entry.field),
+  }));
+
+// Split CSV text into rows of cells, honouring "quoted, cells" and ""
+// escapes; quoted cells may span lines. Blank lines are skipped.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row.map((value) => value.trim()));
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+// Parse an options CSV. The header names the columns: value (required),
+// parentValue (or parent) and one column per label language, either as the
+// language code (en) or label_en. Returns { options, errors } like parseFieldExport.
+export const parseOptionsCsv = (text) => {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!rows.length) {
+    return { options: [], errors: [{ key: 'admin.import.errors.emptyCsv', params: {} }] };
+  }
+
+  const header = rows[0].map((column) => column.toLowerCase());
+  const valueColumn = header.indexOf('value');
+  if (valueColumn === -1) {
+    return { options: [], errors: [{ key: 'admin.import.errors.csvValueColumn', params: {} }] };
+  }
+  const parentColumn = header.findIndex((column) => column === 'parentvalue' || column === 'parent');
+  const languageColumns = header
+    .map((column, index) => ({ language: column.replace(/^label_/, ''), index }))
+    .filter(({ language, index }) => index !== valueColumn && index !== parentColumn && /^[a-z]{2}$/.test(language));
+
+  const errors = [];
+  const seen = new Set();
+  const options = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    const value = cells[valueColumn];
+    if (!value) {
+      errors.push({ key: 'admin.import.errors.csvMissingValue', params: { row } });
+      return;
+    }
+    if (seen.has(value)) {
+      errors.push({ key: 'admin.import.errors.csvDuplicateValue', params: { row, value } });
+      return;
+    }
+    seen.add(value);
+
+    const labelI18n = {};
+    languageColumns.forEach(({ language, index: column }) => {
+      if (cells[column]) labelI18n[language] = cells[column];
+    });
+    options.push({
+      value,
+      labelI18n,
+      order: options.length,
+      ...(parentColumn !== -1 && cells[parentColumn] && { parentValue: cells[parentColumn] }),
+    });
+  });
+
+  return { options: errors.length ? [] : options, errors };
+};
+
+// What importing options into a field would do, option by option:
+//   { action: 'create' | 'update' | 'skip', option, existing }
+export const planOptionImport = (importedOptions, existingOptions = []) => {
+  const existingByValue = new Map(existingOptions.map((option) => [option.value, option]));
+  return importedOptions.map((option) => {
+    const existing = existingByValue.get(option.value);
+    if (!existing) {
+      return { action: 'create', option };
+    }
+    const merged = { ...existing, ...option, labelI18n: { ...existing.labelI18n, ...option.labelI18n }, order: existing.order };
+    const unchanged =
+      JSON.stringify(merged.labelI18n) === JSON.stringify(existing.labelI18n) &&
+      (merged.parentValue || '') === (existing.parentValue || '');
+    return { action: unchanged ? 'skip' : 'update', option: merged, existing };
+  });
+};
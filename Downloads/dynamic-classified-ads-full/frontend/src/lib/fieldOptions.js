@@ -0,0 +1,68 @@
+// Cascading (dependent) options for SELECT and MULTISELECT fields.
+// A field may name a parentFieldName; each of its options may then carry a
+// parentValue linking it to one of the parent field's option values, e.g.
+// Make → Model → Trim. Options without a parentValue are always available.
+
+const isUnset = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const matchesParent = (option, parentValue) => {
+  if (!option.parentValue) return true;
+  if (Array.isArray(parentValue)) return parentValue.includes(option.parentValue);
+  return String(parentValue) === String(option.parentValue);
+};
+
+// Options of a field that fit the current value of its parent field.
+// With ignoreUnset (used by the search filters) an unset parent leaves the
+// full list available; otherwise only options without a parent link remain.
+export const getAvailableOptions = (field, attributes = {}, options = {}) => {
+  const fieldOptions = field.options || [];
+  if (!field.parentFieldName) return fieldOptions;
+
+  const parentValue = attributes[field.parentFieldName];
+  if (isUnset(parentValue)) {
+    return options.ignoreUnset ? fieldOptions : fieldOptions.filter((option) => !option.parentValue);
+  }
+  return fieldOptions.filter((option) => matchesParent(option, parentValue));
+};
+
+// Work out which dependent values no longer fit after attributes changed.
+// Returns an object of { fieldName: newValue } for every child (and
+// grandchild) whose value had to be cleared or narrowed.
+export const getStaleDependentValues = (fields, attributes = {}, options = {}) => {
+  const changes = {};
+  const current = { ...attributes };
+  const dependents = fields.filter((field) => field.parentFieldName);
+
+  // Clearing a child can invalidate a grandchild, so repeat until nothing changes
+  for (let pass = 0; pass <= dependents.length; pass++) {
+    let changed = false;
+
+    dependents.forEach((field) => {
+      const value = current[field.name];
+      if (isUnset(value)) return;
+
+      const allowed = getAvailableOptions(field, current, options).map((option) => option.value);
+
+      if (Array.isArray(value)) {
+        const narrowed = value.filter((item) => allowed.includes(item));
+        if (narrowed.length !== value.length) {
+          current[field.name] = narrowed;
+          changes[field.name] = narrowed;
+          changed = true;
+        }
+      } else if (!allowed.includes(value)) {
+        current[field.name] = options.emptyValue !== undefined ? options.emptyValue : '';
+        changes[field.name] = current[field.name];
+        changed = true;
+      }
+    });
+
+    if (!changed) break;
+  }
+
+  return changes;
+};
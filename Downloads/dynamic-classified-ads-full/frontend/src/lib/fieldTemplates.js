@@ -0,0 +1,44 @@
+// Client for field templates and the inheritance settings of categories
+// (see lib/schemaInheritance for how they combine into a schema)
+
+const request = async (url, options, failureMessage) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options?.headers },
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || failureMessage);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+// All field templates: [{ id, name, fields }]
+export const fetchFieldTemplates = () =>
+  request('/api/admin/field-templates', undefined, 'Failed to fetch field templates');
+
+// Create a template from field definitions (without ids, see exportFields)
+export const createFieldTemplate = ({ name, fields }) =>
+  request(
+    '/api/admin/field-templates',
+    { method: 'POST', body: JSON.stringify({ name, fields }) },
+    'Failed to create field template'
+  );
+
+export const deleteFieldTemplate = (id) =>
+  request(`/api/admin/field-templates/${id}`, { method: 'DELETE' }, 'Failed to delete field template');
+
+// All categories with their inheritance settings:
+// [{ id, name, nameI18n, parentId, templateIds, fieldOverrides }]
+export const fetchCategories = () =>
+  request('/api/admin/categories', undefined, 'Failed to fetch categories');
+
+// Change a category's attached templates and/or field overrides
+export const updateCategoryInheritance = (categoryId, { templateIds, fieldOverrides }) =>
+  request(
+    `/api/admin/categories/${categoryId}`,
+    { method: 'PATCH', body: JSON.stringify({ templateIds, fieldOverrides }) },
+    'Failed to update category'
+  );
@@ -0,0 +1,43 @@
+// Client-side validation for dynamic category fields.
+// Mirrors the rules admins configure in CategoryFieldsAdmin (isRequired and
+// validationRules) and returns translatable error descriptors ({ key, params })
+// so callers can localize them with i18next. The type-specific rules live
+// with each field type in the registry.
+import { getFieldType } from '../fieldTypes';
+
+// Check whether a value counts as "not filled in" for the given field type
+export const isEmptyValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return true;
+
+  const definition = getFieldType(field.fieldType);
+  if (definition?.isEmpty) {
+    return definition.isEmpty(value);
+  }
+  return typeof value === 'string' && value.trim() === '';
+};
+
+// Validate a single attribute value against its field definition.
+// Returns an error descriptor or null when the value is valid.
+export const validateFieldValue = (field, value) => {
+  if (isEmptyValue(field, value)) {
+    return field.isRequired ? { key: 'validation.required', params: {} } : null;
+  }
+
+  const definition = getFieldType(field.fieldType);
+  if (!definition?.validate) return null;
+
+  return definition.validate(field.validationRules || {}, value);
+};
+
+// Validate all attributes of an ad. Returns an object keyed by field name
+// containing only the fields that failed validation.
+export const validateAttributes = (fields, attributes = {}) => {
+  const errors = {};
+  fields.forEach((field) => {
+    const error = validateFieldValue(field, attributes[field.name]);
+    if (error) {
+      errors[field.name] = error;
+    }
+  });
+  return errors;
+};
@@ -0,0 +1,94 @@
+// Conditional visibility for dynamic category fields.
+// A field may carry visibilityRules configured in CategoryFieldsAdmin:
+//   { match: 'all' | 'any', conditions: [{ fieldName, operator, value }] }
+// and is only shown when its conditions hold for the current attribute values.
+
+export const VISIBILITY_OPERATORS = ['equals', 'notEquals', 'isSet', 'isNotSet'];
+
+const isUnset = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Compare an attribute value with a rule value. Rule values are stored as
+// strings, so booleans and numbers are compared by their string form and
+// MULTISELECT arrays match when they contain the value.
+const valueEquals = (attributeValue, ruleValue) => {
+  if (Array.isArray(attributeValue)) {
+    return attributeValue.some((item) => String(item) === String(ruleValue));
+  }
+  return String(attributeValue) === String(ruleValue);
+};
+
+const evaluateCondition = (condition, attributes, options) => {
+  const value = attributes[condition.fieldName];
+
+  // Filters treat an unset controlling field as "no constraint"
+  if (options.ignoreUnset && isUnset(value)) return true;
+
+  switch (condition.operator) {
+    case 'equals':
+      return !isUnset(value) && valueEquals(value, condition.value);
+    case 'notEquals':
+      return isUnset(value) || !valueEquals(value, condition.value);
+    case 'isSet':
+      return !isUnset(value);
+    case 'isNotSet':
+      return isUnset(value);
+    default:
+      return true;
+  }
+};
+
+// Check whether a single field's rules are satisfied by the given values
+export const isFieldVisible = (field, attributes = {}, options = {}) => {
+  // Conditions still being set up in the admin have no controlling field yet
+  const conditions = (field.visibilityRules?.conditions || []).filter((condition) => condition.fieldName);
+  if (!conditions.length) return true;
+
+  const results = conditions.map((condition) => evaluateCondition(condition, attributes, options));
+  return field.visibilityRules.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+// Resolve which fields are visible. A hidden field's value is ignored when
+// evaluating other fields, so chains (C depends on B depends on A) collapse
+// correctly. Returns the visible fields in their original order.
+export const getVisibleFields = (fields, attributes = {}, options = {}) => {
+  let hidden = new Set();
+
+  // Bounded so that rules feeding back into each other can't loop forever
+  for (let pass = 0; pass <= fields.length; pass++) {
+    const effectiveAttributes = { ...attributes };
+    hidden.forEach((name) => {
+      delete effectiveAttributes[name];
+    });
+
+    const nextHidden = new Set(
+      fields
+        .filter((field) => !isFieldVisible(field, effectiveAttributes, options))
+        .map((field) => field.name)
+    );
+
+    const settled = nextHidden.size === hidden.size && [...nextHidden].every((name) => hidden.has(name));
+    hidden = nextHidden;
+    if (settled) break;
+  }
+
+  return fields.filter((field) => !hidden.has(field.name));
+};
+
+// Names of fields whose visibility rules currently hide them
+export const getHiddenFieldNames = (fields, attributes = {}, options = {}) => {
+  const visible = new Set(getVisibleFields(fields, attributes, options).map((field) => field.name));
+  return fields.filter((field) => !visible.has(field.name)).map((field) => field.name);
+};
+
+// Drop the attributes of hidden fields, e.g. before submitting an ad
+export const pruneHiddenAttributes = (fields, attributes = {}) => {
+  const pruned = { ...attributes };
+  getHiddenFieldNames(fields, attributes).forEach((name) => {
+    delete pruned[name];
+  });
+  return pruned;
+};
@@ -0,0 +1,45 @@
+// Evaluate an ad's attributes against a set of search filters, e.g. to find
+// the saved searches a newly posted ad should alert. Each field type decides
+// what a match means (see matchesFilter in the field type registry), so a
+// saved search matches exactly the ads the same filters would list.
+import { getFieldType } from '../fieldTypes';
+import { decodeFilters } from './filterQuery';
+import { isEmptyValue } from './fieldValidation';
+import { pruneHiddenAttributes } from './fieldVisibility';
+
+// Whether a filter value narrows the results - not a cleared select, an empty
+// list, an unticked checkbox or a range without bounds
+export const isFilterSet = (value) => {
+  if (value === undefined || value === null || value === '' || value === false) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.values(value).some((part) => isFilterSet(part));
+  }
+  return true;
+};
+
+// Whether an ad's value for a field satisfies the field's filter
+export const matchesFieldFilter = (field, filterValue, value) => {
+  if (!isFilterSet(filterValue)) return true;
+  const definition = getFieldType(field.fieldType);
+  // Unknown types can't be evaluated; don't let them block the other filters
+  if (!definition) return true;
+  if (isEmptyValue(field, value)) return false;
+  return definition.matchesFilter(filterValue, value, field);
+};
+
+// Whether the ad attributes satisfy all filters. Attributes of fields hidden
+// by visibility rules are ignored, as they are on the ad page.
+export const matchesFilters = (fields, filters = {}, attributes = {}) => {
+  const visibleAttributes = pruneHiddenAttributes(fields, attributes);
+  return fields.every((field) =>
+    matchesFieldFilter(field, filters[field.name], visibleAttributes[field.name])
+  );
+};
+
+// Whether an ad (with categoryId and attributes) matches a saved search,
+// whose filters are stored as URL query parameters (see lib/filterQuery)
+export const matchesSavedSearch = (savedSearch, ad, fields) => {
+  if (String(savedSearch.categoryId) !== String(ad.categoryId)) return false;
+  return matchesFilters(fields, decodeFilters(savedSearch.query, fields), ad.attributes);
+};
@@ -0,0 +1,161 @@
+// Codec between the search filter object and URL query parameters, so a
+// filtered search can be bookmarked, shared and restored with the back button.
+//
+//   { fuel: 'diesel' }                 ↔ f.fuel=diesel
+//   { features: ['abs', 'gps'] }       ↔ f.features=abs&f.features=gps
+//   { mileage: { min: 0, max: 5000 } } ↔ f.mileage.min=0&f.mileage.max=5000
+//   { price: { min: 1000 } }           ↔ f.price.min=1000
+//   { registered: { from: Date(2024-01-01), to: Date(2024-03-31) } }
+//                                      ↔ f.registered.from=2024-01-01&f.registered.to=2024-03-31
+//
+// An open bound (null) is left out, so { price: { min: 1000, max: null } }
+// reads back as { price: { min: 1000 } }, and a single value such as
+// f.price=5000 reads back as { price: { min: 5000, max: 5000 } }.
+//
+// Decoding needs the category fields, whose types decide how each raw string
+// is read back (see filterValueKind in the field type registry).
+import { getFieldType } from '../fieldTypes';
+
+export const FILTER_PARAM_PREFIX = 'f.';
+
+const isEmptyFilter = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const padNumber = (number) => String(number).padStart(2, '0');
+
+// Dates are encoded as local calendar days so they don't shift across time zones
+const encodeDate = (date) =>
+  `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(date.getDate())}`;
+
+const decodeDate = (raw) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(raw);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+const encodeScalar = (value) => (value instanceof Date ? encodeDate(value) : String(value));
+
+const decodeScalar = (raw, kind) => {
+  switch (kind) {
+    case 'number': {
+      const number = parseFloat(raw);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      return raw === 'true';
+    case 'date':
+      return decodeDate(raw);
+    default:
+      return raw;
+  }
+};
+
+// Number and date filters are bounds, so a single value (e.g. a hand-written
+// f.price=5000) reads as both of them
+const toBounds = (value, kind) => {
+  if (kind === 'number') return { min: value, max: value };
+  if (kind === 'date') return { from: value, to: value };
+  return value;
+};
+
+// Turn a filter object into query parameters. Empty filters are left out.
+export const encodeFilters = (filters = {}) => {
+  const params = {};
+
+  Object.entries(filters).forEach(([name, value]) => {
+    if (isEmptyFilter(value)) return;
+    const key = `${FILTER_PARAM_PREFIX}${name}`;
+
+    if (Array.isArray(value)) {
+      params[key] = value.map(encodeScalar);
+    } else if (value instanceof Date) {
+      params[key] = encodeDate(value);
+    } else if (typeof value === 'object') {
+      // Structured filters such as RANGE { min, max }
+      Object.entries(value).forEach(([part, partValue]) => {
+        if (!isEmptyFilter(partValue)) {
+          params[`${key}.${part}`] = encodeScalar(partValue);
+        }
+      });
+    } else {
+      params[key] = encodeScalar(value);
+    }
+  });
+
+  return params;
+};
+
+// Read the filters of the given category fields back from query parameters
+// (e.g. Next.js router.query). Parameters of unknown fields are ignored.
+export const decodeFilters = (query = {}, fields = []) => {
+  const filters = {};
+
+  fields.forEach((field) => {
+    const kind = getFieldType(field.fieldType)?.filterValueKind || 'string';
+    const key = `${FILTER_PARAM_PREFIX}${field.name}`;
+    const raw = query[key];
+
+    if (raw !== undefined) {
+      const rawValues = Array.isArray(raw) ? raw : [raw];
+      if (kind === 'list') {
+        filters[field.name] = rawValues;
+      } else {
+        const value = decodeScalar(rawValues[0], kind);
+        if (!isEmptyFilter(value)) filters[field.name] = toBounds(value, kind);
+      }
+      return;
+    }
+
+    // Structured filters are spread over "<key>.<part>" parameters
+    const structured = {};
+    Object.keys(query)
+      .filter((param) => param.startsWith(`${key}.`))
+      .forEach((param) => {
+        const rawValue = Array.isArray(query[param]) ? query[param][0] : query[param];
+        const value = decodeScalar(rawValue, kind);
+        if (!isEmptyFilter(value)) structured[param.slice(key.length + 1)] = value;
+      });
+    if (Object.keys(structured).length) {
+      filters[field.name] = structured;
+    }
+  });
+
+  return filters;
+};
+
+// The filter parameters of a query, without unrelated ones like page or sort
+export const pickFilterParams = (query = {}) => {
+  const params = {};
+  Object.keys(query)
+    .filter((param) => param.startsWith(FILTER_PARAM_PREFIX))
+    .forEach((param) => {
+      params[param] = query[param];
+    });
+  return params;
+};
+
+// The query without its filter parameters, e.g. to replace the filters
+export const omitFilterParams = (query = {}) => {
+  const params = {};
+  Object.keys(query)
+    .filter((param) => !param.startsWith(FILTER_PARAM_PREFIX))
+    .forEach((param) => {
+      params[param] = query[param];
+    });
+  return params;
+};
+
+// Stable string form of query parameters, used to compare URL and state
+export const serializeParams = (params = {}) => {
+  const search = new URLSearchParams();
+  Object.keys(params)
+    .sort()
+    .forEach((param) => {
+      const values = Array.isArray(params[param]) ? params[param] : [params[param]];
+      values.forEach((value) => search.append(param, value));
+    });
+  return search.toString();
+};
@@ -0,0 +1,91 @@
+// Locale-aware formatting of numbers, currency amounts and dates.
+// Every renderer formats values through here so the active i18next language
+// decides the locale, digits and separators in one place.
+
+// Locale used for each supported UI language. Arabic targets Syria, whose
+// locale uses Arabic-Indic digits (٠١٢٣…) by default.
+export const LOCALE_BY_LANGUAGE = {
+  ar: 'ar-SY',
+  en: 'en-US',
+  sv: 'sv-SE',
+};
+
+// Currencies admins can mark a NUMBER field with
+export const CURRENCIES = ['SYP', 'USD', 'EUR', 'SEK', 'TRY', 'LBP', 'JOD', 'AED', 'SAR'];
+
+const formatterCache = new Map();
+
+// Resolve the Intl locale for an i18next language ('ar', 'sv', 'en-GB', …).
+// digits: 'latin' or 'arabic' forces a numbering system regardless of locale.
+export const getLocale = (language = 'ar', { digits } = {}) => {
+  const base = String(language).split('-')[0];
+  const locale = String(language).includes('-') ? language : LOCALE_BY_LANGUAGE[base] || language;
+
+  if (digits === 'latin') return `${locale}-u-nu-latn`;
+  if (digits === 'arabic') return `${locale}-u-nu-arab`;
+  return locale;
+};
+
+// Intl formatters are expensive to create, so reuse them per locale and options
+const getFormatter = (Formatter, locale, options) => {
+  const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(cacheKey)) {
+    let formatter;
+    try {
+      formatter = new Formatter(locale, options);
+    } catch (err) {
+      // Unknown locale or currency code - fall back rather than break rendering
+      console.error('Invalid formatter options:', locale, options);
+      formatter = new Formatter('en-US', { ...options, currency: options.currency ? 'USD' : undefined });
+    }
+    formatterCache.set(cacheKey, formatter);
+  }
+  return formatterCache.get(cacheKey);
+};
+
+const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+
+// Format a number, e.g. 120000 → "١٢٠٬٠٠٠" (ar) / "120,000" (en) / "120 000" (sv)
+export const formatNumber = (value, language, { digits, ...options } = {}) => {
+  const number = toNumber(value);
+  if (Number.isNaN(number)) return '';
+  return getFormatter(Intl.NumberFormat, getLocale(language, { digits }), {
+    maximumFractionDigits: 2,
+    ...options,
+  }).format(number);
+};
+
+// Format a currency amount, e.g. 1500000 SYP → "١٬٥٠٠٬٠٠٠ ل.س.‏"
+export const formatCurrency = (value, currency, language, { digits, ...options } = {}) => {
+  const number = toNumber(value);
+  if (Number.isNaN(number)) return '';
+  return getFormatter(Intl.NumberFormat, getLocale(language, { digits }), {
+    style: 'currency',
+    currency,
+    // Most listings use whole amounts; show cents only when there are any
+    minimumFractionDigits: Number.isInteger(number) ? 0 : 2,
+    maximumFractionDigits: 2,
+    ...options,
+  }).format(number);
+};
+
+// Format a date, accepting Date objects, timestamps and ISO strings
+export const formatDate = (value, language, { digits, ...options } = {}) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return getFormatter(Intl.DateTimeFormat, getLocale(language, { digits }), {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...options,
+  }).format(date);
+};
+
+// Format a NUMBER attribute according to its field: as a currency amount
+// when the admin set one, otherwise as a plain number
+export const formatFieldNumber = (field, value, language, options) => {
+  if (field.currency) {
+    return formatCurrency(value, field.currency, language, options);
+  }
+  return formatNumber(value, language, options);
+};
@@ -0,0 +1,53 @@
+// Languages that field and option labels (labelI18n) are kept in.
+// Configured with NEXT_PUBLIC_SUPPORTED_LANGUAGES, a comma-separated list of
+// language codes such as "ar,en,sv,tr"; the first one is the default.
+const DEFAULT_LANGUAGES = ['ar', 'en', 'sv'];
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ku', 'ur'];
+
+const parseLanguages = (value) =>
+  (value || '')
+    .split(',')
+    .map((code) => code.trim())
+    .filter(Boolean);
+
+export const SUPPORTED_LANGUAGES = (() => {
+  const configured = parseLanguages(process.env.NEXT_PUBLIC_SUPPORTED_LANGUAGES);
+  return configured.length ? Array.from(new Set(configured)) : DEFAULT_LANGUAGES;
+})();
+
+export const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES[0];
+
+// A labelI18n object with an empty label for every supported language
+export const createEmptyLabels = () =>
+  Object.fromEntries(SUPPORTED_LANGUAGES.map((language) => [language, '']));
+
+// Text direction of a language, for inputs holding its labels
+export const getLanguageDirection = (language) =>
+  RTL_LANGUAGES.includes(String(language).split('-')[0]) ? 'rtl' : 'ltr';
+
+// Translated name of a language ("languages.<code>"), falling back to the
+// name the browser knows for languages without a translation
+export const getLanguageLabel = (language, t, displayLanguage = 'en') => {
+  let fallback = language;
+  try {
+    fallback = new Intl.DisplayNames([displayLanguage], { type: 'language' }).of(language) || language;
+  } catch (err) {
+    // Older browsers without Intl.DisplayNames show the code
+  }
+  return t(`languages.${language}`, { defaultValue: fallback });
+};
+
+// Languages a labelI18n object has no (non-blank) label for
+export const getMissingLanguages = (labelI18n = {}) =>
+  SUPPORTED_LANGUAGES.filter((language) => !String(labelI18n?.[language] ?? '').trim());
+
+// A field's label in a language, falling back to its name
+export const getFieldLabel = (field, language) => field.labelI18n?.[language] || field.name;
+
+// The label of one of a field's option values in a language, falling back to
+// the value itself
+export const getOptionLabel = (field, value, language) => {
+  const option = (field.options || []).find((item) => item.value === value);
+  return option ? option.labelI18n?.[language] || option.value : value;
+};
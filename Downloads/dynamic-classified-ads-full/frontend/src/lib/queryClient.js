@@ -0,0 +1,30 @@
+import { QueryClient } from 'react-query';
+
+// Shared react-query client for server data such as category schemas.
+// DynamicFormFields, DynamicSearchFilters, SearchResults and CategoryPicker
+// read from it, so the app root has to provide it, e.g. in pages/_app.jsx:
+//
+//   <QueryClientProvider client={queryClient}>
+//     <Component {...pageProps} />
+//   </QueryClientProvider>
+
+// Give up after this many retries of a failed request
+const MAX_RETRIES = 3;
+
+// Retry server and network errors with exponential backoff (1s, 2s, 4s, …).
+// Client errors such as 404 won't succeed on a retry.
+const shouldRetry = (failureCount, error) =>
+  failureCount < MAX_RETRIES && !(error?.status >= 400 && error.status < 500);
+
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      // Serve cached data instantly and refetch it in the background once stale
+      staleTime: 5 * 60 * 1000,
+      cacheTime: 30 * 60 * 1000,
+      retry: shouldRetry,
+      retryDelay: (attempt) => Math.min(1000 * 2 ** attempt, 30000),
+      refetchOnWindowFocus: false,
+    },
+  },
+});
@@ -0,0 +1,47 @@
+// Client for the saved searches API. A saved search is
+//   { id, name, categoryId, query, notify, createdAt }
+// where query holds the filters as URL query parameters (see lib/filterQuery),
+// so it survives JSON and can be applied by navigating to it. Requests use the
+// session cookie; a user who isn't logged in gets a 401.
+
+const request = async (url, options, failureMessage) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options?.headers },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || failureMessage);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.status === 204 ? null : response.json();
+};
+
+// The current user's saved searches, optionally limited to one category
+export const fetchSavedSearches = (categoryId) =>
+  request(
+    categoryId ? `/api/saved-searches?categoryId=${categoryId}` : '/api/saved-searches',
+    undefined,
+    'Failed to fetch saved searches'
+  );
+
+export const createSavedSearch = ({ name, categoryId, query, notify = false }) =>
+  request(
+    '/api/saved-searches',
+    { method: 'POST', body: JSON.stringify({ name, categoryId, query, notify }) },
+    'Failed to save search'
+  );
+
+// Rename a saved search or switch its new-match alerts on or off
+export const updateSavedSearch = (id, changes) =>
+  request(
+    `/api/saved-searches/${id}`,
+    { method: 'PATCH', body: JSON.stringify(changes) },
+    'Failed to update saved search'
+  );
+
+export const deleteSavedSearch = (id) =>
+  request(`/api/saved-searches/${id}`, { method: 'DELETE' }, 'Failed to delete saved search');
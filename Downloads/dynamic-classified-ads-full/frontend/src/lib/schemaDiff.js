@@ -0,0 +1,77 @@
+// Differences between two versions of a category's field schema.
+// Fields are matched by id, so a renamed field shows up as a rename rather
+// than a removal plus an addition.
+
+// Field properties compared between versions (options are compared separately)
+const COMPARED_PROPERTIES = [
+  'name',
+  'fieldType',
+  'isRequired',
+  'showInFilters',
+  'showInAdView',
+  'isSortable',
+  'showInSummary',
+  'parentFieldName',
+  'unit',
+  'currency',
+  'validationRules',
+  'visibilityRules',
+  'labelI18n',
+];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const optionValues = (field) => (field.options || []).map((option) => option.value);
+
+// Compare two field lists. Returns a list of changes:
+//   { kind: 'added', field }
+//   { kind: 'removed', field }
+//   { kind: 'changed', field, previousField, properties: [{ property, before, after }],
+//     addedOptions: [value], removedOptions: [value] }
+// A rename is a 'changed' entry whose properties include name.
+export const diffSchemas = (previousFields = [], fields = []) => {
+  const previousById = new Map(previousFields.map((field) => [field.id, field]));
+  const currentIds = new Set(fields.map((field) => field.id));
+  const changes = [];
+
+  fields.forEach((field) => {
+    const previousField = previousById.get(field.id);
+    if (!previousField) {
+      changes.push({ kind: 'added', field });
+      return;
+    }
+
+    const properties = COMPARED_PROPERTIES.filter(
+      (property) => !isEqual(previousField[property], field[property])
+    ).map((property) => ({ property, before: previousField[property], after: field[property] }));
+
+    const previousValues = optionValues(previousField);
+    const currentValues = optionValues(field);
+    const addedOptions = currentValues.filter((value) => !previousValues.includes(value));
+    const removedOptions = previousValues.filter((value) => !currentValues.includes(value));
+
+    if (properties.length || addedOptions.length || removedOptions.length) {
+      changes.push({ kind: 'changed', field, previousField, properties, addedOptions, removedOptions });
+    }
+  });
+
+  previousFields
+    .filter((field) => !currentIds.has(field.id))
+    .forEach((field) => changes.push({ kind: 'removed', field }));
+
+  return changes;
+};
+
+// Whether a change can leave existing ads with attributes that no longer
+// fit: renamed or retyped fields and removed options
+export const isBreakingChange = (change) =>
+  change.kind === 'removed' ||
+  (change.kind === 'changed' &&
+    (change.removedOptions.length > 0 ||
+      change.properties.some(({ property }) => property === 'name' || property === 'fieldType')));
+
+// A changed property's before or after value, compactly, for change lists
+export const formatPropertyValue = (value) => {
+  if (value === undefined || value === null || value === '') return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
@@ -0,0 +1,104 @@
+// Resolution of a category's effective field schema from field templates and
+// parent categories. The API resolves schemas with this module before
+// /api/category-fields hands them to DynamicFormFields, DynamicSearchFilters
+// and DynamicAdDetails; the admin uses it to preview inherited fields.
+//
+// A category may carry
+//   { id, parentId, templateIds: [templateId], fieldOverrides: { [fieldName]: override } }
+// and a template is { id, name, fields }. Fields are stacked root first:
+// for every category in the chain, its templates' fields, then its own
+// fields. A field with the same name further down replaces the inherited one.
+// Overrides then adjust inherited fields, the nearest category winning.
+
+// What a child category may change about an inherited field. hidden drops
+// the field from the child's schema altogether.
+export const OVERRIDABLE_PROPERTIES = [
+  'order',
+  'isRequired',
+  'showInFilters',
+  'showInAdView',
+  'isSortable',
+  'showInSummary',
+  'hidden',
+];
+
+// Guard against misconfigured parent links that form a cycle
+const MAX_DEPTH = 20;
+
+// The category and its ancestors, root first
+export const getCategoryChain = (categoryId, categories = []) => {
+  const byId = new Map(categories.map((category) => [String(category.id), category]));
+  const chain = [];
+  const seen = new Set();
+  let current = byId.get(String(categoryId));
+
+  while (current && !seen.has(String(current.id)) && chain.length < MAX_DEPTH) {
+    seen.add(String(current.id));
+    chain.unshift(current);
+    current = current.parentId !== undefined && current.parentId !== null ? byId.get(String(current.parentId)) : null;
+  }
+  return chain;
+};
+
+// Apply an override object to a field, ignoring unset and unknown properties
+export const applyFieldOverride = (field, override = {}) => {
+  const result = { ...field };
+  OVERRIDABLE_PROPERTIES.forEach((property) => {
+    if (override[property] !== undefined && override[property] !== null && override[property] !== '') {
+      result[property] = override[property];
+    }
+  });
+  return result;
+};
+
+// Resolve the fields of a category. fieldsByCategory maps a category id to
+// its own fields. Each resolved field gets a source:
+//   { kind: 'own' | 'inherited' | 'template', categoryId, templateId }
+// and overridden lists the properties a descendant changed.
+export const resolveCategorySchema = (categoryId, { categories = [], fieldsByCategory = {}, templates = [] }) => {
+  const templatesById = new Map(templates.map((template) => [String(template.id), template]));
+  const chain = getCategoryChain(categoryId, categories);
+  const fieldsByName = new Map();
+
+  chain.forEach((category) => {
+    const isTarget = String(category.id) === String(categoryId);
+
+    (category.templateIds || []).forEach((templateId) => {
+      const template = templatesById.get(String(templateId));
+      (template?.fields || []).forEach((field) => {
+        fieldsByName.set(field.name, {
+          ...field,
+          source: { kind: 'template', categoryId: category.id, templateId: template.id },
+          overridden: [],
+        });
+      });
+    });
+
+    (fieldsByCategory[category.id] || []).forEach((field) => {
+      fieldsByName.set(field.name, {
+        ...field,
+        source: { kind: isTarget ? 'own' : 'inherited', categoryId: category.id },
+        overridden: [],
+      });
+    });
+
+    // A category's overrides apply to what it inherited, not to its own fields
+    Object.entries(category.fieldOverrides || {}).forEach(([name, override]) => {
+      const field = fieldsByName.get(name);
+      if (!field || (String(field.source.categoryId) === String(category.id) && field.source.kind !== 'template')) {
+        return;
+      }
+      const overridden = OVERRIDABLE_PROPERTIES.filter(
+        (property) => override[property] !== undefined && override[property] !== null && override[property] !== ''
+      );
+      fieldsByName.set(name, {
+        ...applyFieldOverride(field, override),
+        overridden: Array.from(new Set([...field.overridden, ...overridden])),
+      });
+    });
+  });
+
+  return Array.from(fieldsByName.values())
+    .filter((field) => !field.hidden)
+    .sort((a, b) => a.order - b.order);
+};
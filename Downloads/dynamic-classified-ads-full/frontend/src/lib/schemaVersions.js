@@ -0,0 +1,35 @@
+// Client for category schema versions and attribute migrations. The API
+// stores a new version of a category's fields on every admin save:
+//   { version, createdAt, createdBy, fields }
+
+export const schemaVersionsKey = (categoryId) => ['schemaVersions', String(categoryId)];
+
+// All versions of a category's schema, newest first
+export const fetchSchemaVersions = async (categoryId) => {
+  const response = await fetch(`/api/admin/category-fields/${categoryId}/versions`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch schema versions');
+  }
+  const data = await response.json();
+  return data.sort((a, b) => b.version - a.version);
+};
+
+// Run a migration (see lib/attributeMigration) over the category's ads.
+// With dryRun nothing is written and the report tells what would change:
+//   { dryRun, scanned, changed, unmappedValues: { [fieldName]: { [value]: count } },
+//     samples: [{ adId, before, after }] }
+export const runAttributeMigration = async (migration, { dryRun = true } = {}) => {
+  const response = await fetch(`/api/admin/category-fields/${migration.categoryId}/migrations`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ ...migration, dryRun }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || 'Failed to run migration');
+  }
+  return response.json();
+};
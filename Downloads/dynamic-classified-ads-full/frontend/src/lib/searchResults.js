@@ -0,0 +1,91 @@
+// Sorting and result cards driven by category field metadata. Admins mark
+// fields as sortable (isSortable) and pick the ones shown as summary chips
+// on result cards (showInSummary); the search page builds its sort choices
+// and cards from those flags.
+//
+// A sort is { fieldName, direction: 'asc' | 'desc' }, written to the URL as
+//   ?sort=mileage.asc
+// alongside the filter parameters (see lib/filterQuery). Without a sort the
+// API's default order (newest first) applies.
+import { getFieldType } from '../fieldTypes';
+import { getVisibleFields } from './fieldVisibility';
+import { isEmptyValue } from './fieldValidation';
+
+export const SORT_PARAM = 'sort';
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+export const RESULT_LAYOUTS = ['grid', 'list'];
+
+const RESULT_LAYOUT_STORAGE_KEY = 'resultLayout';
+
+// Whether results can be sorted by a field: the admin flagged it and its type
+// knows how to order values
+export const isSortableField = (field) => !!field.isSortable && !!getFieldType(field.fieldType)?.sortValue;
+
+// Fields results can be sorted by, in field order
+export const getSortableFields = (fields = []) => fields.filter(isSortableField);
+
+export const encodeSort = (sort) => (sort ? `${sort.fieldName}.${sort.direction}` : undefined);
+
+// Read a sort back from its URL form. Sorts by fields that are missing or no
+// longer sortable are dropped.
+export const decodeSort = (raw, fields = []) => {
+  const value = Array.isArray(raw) ? raw[0] : raw;
+  if (!value) return null;
+  const separator = value.lastIndexOf('.');
+  const fieldName = value.slice(0, separator);
+  const direction = value.slice(separator + 1);
+  if (separator === -1 || !SORT_DIRECTIONS.includes(direction)) return null;
+  const field = fields.find((item) => item.name === fieldName);
+  return field && isSortableField(field) ? { fieldName, direction } : null;
+};
+
+// Helper function to get the key an ad sorts by, or undefined when it has none
+const getSortKey = (field, value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const key = getFieldType(field.fieldType).sortValue(value, field);
+  return typeof key === 'number' && Number.isNaN(key) ? undefined : key;
+};
+
+// Ads in the order of a sort. Ads without a value for the field come last in
+// both directions; ties keep their incoming order. Text compares by the
+// rules of the language, so Arabic and Latin words each sort naturally.
+export const sortAds = (ads = [], fields = [], sort, language) => {
+  const field = sort && fields.find((item) => item.name === sort.fieldName);
+  if (!field || !isSortableField(field)) return ads;
+  const sign = sort.direction === 'desc' ? -1 : 1;
+
+  return ads
+    .map((ad, index) => ({ ad, index, key: getSortKey(field, ad.attributes?.[field.name]) }))
+    .sort((a, b) => {
+      if (a.key === undefined || b.key === undefined) {
+        return (a.key === undefined) - (b.key === undefined) || a.index - b.index;
+      }
+      const order =
+        typeof a.key === 'string' || typeof b.key === 'string'
+          ? String(a.key).localeCompare(String(b.key), language)
+          : a.key - b.key;
+      return order * sign || a.index - b.index;
+    })
+    .map(({ ad }) => ad);
+};
+
+// Fields an ad's card shows as summary chips: flagged by the admin, visible
+// for the ad's attributes and with a value, in field order
+export const getSummaryFields = (fields = [], attributes = {}) =>
+  getVisibleFields(fields, attributes).filter(
+    (field) => field.showInSummary && !isEmptyValue(field, attributes[field.name])
+  );
+
+// The viewer's result layout, remembered in localStorage
+export const getPreferredResultLayout = () => {
+  if (typeof window === 'undefined') return RESULT_LAYOUTS[0];
+  const stored = window.localStorage.getItem(RESULT_LAYOUT_STORAGE_KEY);
+  return RESULT_LAYOUTS.includes(stored) ? stored : RESULT_LAYOUTS[0];
+};
+
+export const setPreferredResultLayout = (layout) => {
+  if (typeof window === 'undefined' || !RESULT_LAYOUTS.includes(layout)) return;
+  window.localStorage.setItem(RESULT_LAYOUT_STORAGE_KEY, layout);
+};
@@ -0,0 +1,11 @@
+// Client for suggestions of free-text filter values. The search API builds
+// them from the values ads of the category have for the field, ranked with
+// getTextSuggestions (see lib/textMatching): [{ value, count }]
+export const fetchTextSuggestions = async (categoryId, fieldName, query, { signal } = {}) => {
+  const params = new URLSearchParams({ categoryId, field: fieldName, q: query });
+  const response = await fetch(`/api/search/suggestions?${params.toString()}`, { signal });
+  if (!response.ok) {
+    throw new Error('Failed to fetch suggestions');
+  }
+  return response.json();
+};
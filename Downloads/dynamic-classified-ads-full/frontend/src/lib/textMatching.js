@@ -0,0 +1,179 @@
+// Text matching for free-text filters and suggestions. Tolerates Arabic
+// spelling variants (alef and hamza forms, taa marbuta, alef maqsura,
+// diacritics), Latin accents, Arabic-Indic digits and small typos, and lets
+// "تويوتا" find "Toyota" through a rough transliteration. It has no browser
+// dependencies, so the search API matches and ranks with the same rules.
+
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const LATIN_DIACRITICS = /[\u0300-\u036f]/g;
+
+const ARABIC_LETTER_VARIANTS = {
+  'آ': 'ا',
+  'أ': 'ا',
+  'إ': 'ا',
+  'ٱ': 'ا',
+  'ة': 'ه',
+  'ى': 'ي',
+  'ؤ': 'و',
+  'ئ': 'ي',
+  'ک': 'ك',
+  'ی': 'ي',
+};
+
+// One Latin spelling per Arabic letter, used only to compare consonants
+const ARABIC_TO_LATIN = {
+  'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 't', 'ج': 'j', 'ح': 'h', 'خ': 'k', 'د': 'd', 'ذ': 'd',
+  'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 's', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': '',
+  'غ': 'g', 'ف': 'f', 'ق': 'k', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'و': 'w',
+  'ي': 'y', 'ء': '', 'پ': 'p', 'چ': 'j', 'ڤ': 'v', 'گ': 'g',
+};
+
+// Scores of the ways a query word can match a word of the text
+const SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  transliterated: 0.7,
+  fuzzy: 0.6,
+};
+
+// Normalize text for comparison: lower case, no diacritics, one spelling per
+// Arabic letter variant, Western digits and single spaces between words
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFKD')
+    .replace(LATIN_DIACRITICS, '')
+    .replace(ARABIC_DIACRITICS, '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/[\u0622\u0623\u0625\u0671\u0629\u0649\u0624\u0626\u06A9\u06CC]/g, (letter) => ARABIC_LETTER_VARIANTS[letter])
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, (digit) => String(digit.charCodeAt(0) - 0x06f0))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// The normalized words of a text
+export const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// The consonants of a word in Latin letters, so an Arabic spelling and a
+// transliteration compare equal ("تويوتا" and "toyota" both give "tyt",
+// "مرسيدس" and "mercedes" both "mrsds"). Doubled letters count once, since
+// Arabic doesn't write them; vowels and w are left out. y stays before a
+// vowel, where it is a consonant in both scripts (and an i before a vowel
+// reads as one, as in "kia"), which keeps "hyundai" ("hynd") apart from
+// "honda" ("hnd").
+export const toConsonantSkeleton = (word) =>
+  normalizeText(word)
+    .replace(/[\u0621-\u064A\u067E\u0686\u06A4\u06AF]/g, (letter) => ARABIC_TO_LATIN[letter] ?? '')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/ph/g, 'f')
+    .replace(/x/g, 'ks')
+    .replace(/i(?=[aeou])/g, 'y')
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/[aeiouw]|y(?![aeiouw])/g, '');
+
+// Consonants a skeleton needs before it is compared at all, and before it
+// may match the start of a longer one; "كيا" gives "ky", which as a prefix
+// would match "kyoto" and "kayak" alike
+const MIN_SKELETON_LENGTH = 2;
+const MIN_SKELETON_PREFIX_LENGTH = 3;
+
+// Edit distance between two strings, giving up (Infinity) once it exceeds max
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+};
+
+// Typos allowed in a query word: none for short words, where a single edit
+// already matches too much
+const allowedTypos = (word) => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+// Helper function to score one query word against the words of the text
+const scoreWord = (queryWord, words, { prefix, fuzzy }) => {
+  let best = 0;
+  const skeleton = toConsonantSkeleton(queryWord);
+
+  words.forEach((word) => {
+    if (word === queryWord) {
+      best = Math.max(best, SCORES.exact);
+    } else if (prefix && word.startsWith(queryWord)) {
+      best = Math.max(best, SCORES.prefix);
+    } else if (fuzzy && queryWord.length >= 3 && skeleton.length >= MIN_SKELETON_LENGTH) {
+      const wordSkeleton = toConsonantSkeleton(word);
+      const prefixMatch =
+        prefix && skeleton.length >= MIN_SKELETON_PREFIX_LENGTH && wordSkeleton.startsWith(skeleton);
+      if (wordSkeleton === skeleton || prefixMatch) {
+        best = Math.max(best, SCORES.transliterated);
+      }
+    }
+    if (fuzzy && best < SCORES.fuzzy) {
+      const typos = allowedTypos(queryWord);
+      // With prefix matching a typo in what was typed so far also counts
+      const candidates = prefix ? [word, word.slice(0, queryWord.length)] : [word];
+      if (typos && candidates.some((candidate) => editDistance(queryWord, candidate, typos) <= typos)) {
+        best = SCORES.fuzzy;
+      }
+    }
+  });
+  return best;
+};
+
+// How well a text matches a query, from 0 (no match) to 1. The whole query
+// inside the text scores 1; otherwise every query word must match a word of
+// the text exactly, as a prefix, transliterated or with a typo, and the
+// weakest word sets the score. An empty query matches everything.
+export const scoreTextMatch = (text, query, { prefix = true, fuzzy = true } = {}) => {
+  const normalizedQuery = normalizeText(query);
+  if (!normalizedQuery) return 1;
+  const normalizedText = normalizeText(text);
+  if (normalizedText.includes(normalizedQuery)) return 1;
+
+  const words = normalizedText ? normalizedText.split(' ') : [];
+  return normalizedQuery
+    .split(' ')
+    .reduce((score, queryWord) => (score ? Math.min(score, scoreWord(queryWord, words, { prefix, fuzzy })) : 0), 1);
+};
+
+export const matchesText = (text, query, options) => scoreTextMatch(text, query, options) > 0;
+
+// Suggestions for a query from existing values, best match first and the
+// most used value first among equal matches. Values spelled the same after
+// normalization are merged under their most frequent spelling:
+//   [{ value, count, score }]
+export const getTextSuggestions = (values, query, { limit = 8 } = {}) => {
+  const groups = new Map();
+  values.forEach((value) => {
+    const key = normalizeText(value);
+    if (!key) return;
+    const group = groups.get(key) || { spellings: new Map(), count: 0 };
+    group.spellings.set(value, (group.spellings.get(value) || 0) + 1);
+    group.count += 1;
+    groups.set(key, group);
+  });
+
+  return Array.from(groups.values())
+    .map(({ spellings, count }) => {
+      const [value] = Array.from(spellings.entries()).sort((a, b) => b[1] - a[1])[0];
+      return { value, count, score: scoreTextMatch(value, query) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.count - a.count)
+    .slice(0, limit);
+};
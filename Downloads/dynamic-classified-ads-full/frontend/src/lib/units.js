@@ -0,0 +1,98 @@
+// Units for NUMBER and RANGE fields.
+// A field stores its values in field.unit; sellers may enter them in any of
+// field.alternateUnits and viewers see them in their preferred unit system.
+
+// factor converts a value in the unit to the dimension's base unit
+export const UNITS = {
+  // Length / distance (base: m)
+  m: { dimension: 'length', factor: 1, system: 'metric', symbol: 'm' },
+  km: { dimension: 'length', factor: 1000, system: 'metric', symbol: 'km' },
+  ft: { dimension: 'length', factor: 0.3048, system: 'imperial', symbol: 'ft' },
+  mi: { dimension: 'length', factor: 1609.344, system: 'imperial', symbol: 'mi' },
+  // Area (base: m²)
+  m2: { dimension: 'area', factor: 1, system: 'metric', symbol: 'm²' },
+  ha: { dimension: 'area', factor: 10000, system: 'metric', symbol: 'ha' },
+  ft2: { dimension: 'area', factor: 0.09290304, system: 'imperial', symbol: 'ft²' },
+  acre: { dimension: 'area', factor: 4046.8564224, system: 'imperial', symbol: 'ac' },
+  // Volume, e.g. engine size (base: cm³)
+  cc: { dimension: 'volume', factor: 1, system: 'metric', symbol: 'cc' },
+  l: { dimension: 'volume', factor: 1000, system: 'metric', symbol: 'L' },
+  ci: { dimension: 'volume', factor: 16.387064, system: 'imperial', symbol: 'cu in' },
+  // Weight (base: kg)
+  g: { dimension: 'weight', factor: 0.001, system: 'metric', symbol: 'g' },
+  kg: { dimension: 'weight', factor: 1, system: 'metric', symbol: 'kg' },
+  t: { dimension: 'weight', factor: 1000, system: 'metric', symbol: 't' },
+  lb: { dimension: 'weight', factor: 0.45359237, system: 'imperial', symbol: 'lb' },
+  // Power (base: kW)
+  kw: { dimension: 'power', factor: 1, system: 'metric', symbol: 'kW' },
+  hp: { dimension: 'power', factor: 0.745699872, system: 'imperial', symbol: 'hp' },
+};
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const UNIT_SYSTEM_STORAGE_KEY = 'preferredUnitSystem';
+
+// Fired on window when the preference changes in this tab, so every
+// component showing units switches together
+export const UNIT_SYSTEM_CHANGE_EVENT = 'preferredUnitSystemChange';
+
+// Units that can be converted to and from the given unit
+export const getCompatibleUnits = (unit) => {
+  const dimension = UNITS[unit]?.dimension;
+  if (!dimension) return [];
+  return Object.keys(UNITS).filter((code) => UNITS[code].dimension === dimension);
+};
+
+// Convert a value between two compatible units. Unknown or incompatible
+// units leave the value untouched.
+export const convertUnit = (value, from, to) => {
+  if (value === '' || value === null || value === undefined || from === to) return value;
+  const fromUnit = UNITS[from];
+  const toUnit = UNITS[to];
+  if (!fromUnit || !toUnit || fromUnit.dimension !== toUnit.dimension) return value;
+  return (Number(value) * fromUnit.factor) / toUnit.factor;
+};
+
+// Round away floating point noise from conversions (e.g. 99.99999999)
+export const roundConverted = (value, decimals = 4) => {
+  if (value === '' || value === null || value === undefined) return value;
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+};
+
+// The units a seller may enter a field's value in: the storage unit first
+export const getFieldUnits = (field) => {
+  if (!field.unit || !UNITS[field.unit]) return [];
+  const compatible = getCompatibleUnits(field.unit);
+  const alternates = (field.alternateUnits || []).filter(
+    (unit) => unit !== field.unit && compatible.includes(unit)
+  );
+  return [field.unit, ...alternates];
+};
+
+// The unit a viewer should see a field in: the first of the field's units
+// in their unit system, falling back to the storage unit
+export const getPreferredUnit = (field, unitSystem) => {
+  const units = getFieldUnits(field);
+  if (!units.length) return null;
+  return units.find((unit) => UNITS[unit].system === unitSystem) || field.unit;
+};
+
+// The viewer's unit system, remembered in localStorage
+export const getPreferredUnitSystem = () => {
+  if (typeof window === 'undefined') return 'metric';
+  const stored = window.localStorage.getItem(UNIT_SYSTEM_STORAGE_KEY);
+  return UNIT_SYSTEMS.includes(stored) ? stored : 'metric';
+};
+
+export const setPreferredUnitSystem = (unitSystem) => {
+  if (typeof window === 'undefined' || !UNIT_SYSTEMS.includes(unitSystem)) return;
+  window.localStorage.setItem(UNIT_SYSTEM_STORAGE_KEY, unitSystem);
+  window.dispatchEvent(new Event(UNIT_SYSTEM_CHANGE_EVENT));
+};
+
+// Localized unit symbol, falling back to the built-in symbol
+export const getUnitLabel = (unit, t) => {
+  const symbol = UNITS[unit]?.symbol || unit;
+  return t ? t(`units.${unit}`, { defaultValue: symbol }) : symbol;
+};
@@ -0,0 +1,79 @@
+// Translations for the messages produced by lib/fieldValidation
+const validationMessages = {
+  ar: {
+    validation: {
+      required: 'هذا الحقل مطلوب',
+      minLength: 'يجب أن يحتوي على {{min}} أحرف على الأقل',
+      maxLength: 'يجب ألا يتجاوز {{max}} حرفًا',
+      pattern: 'القيمة المدخلة غير صالحة',
+      number: 'يرجى إدخال رقم صالح',
+      min: 'يجب أن تكون القيمة {{min}} أو أكثر',
+      max: 'يجب أن تكون القيمة {{max}} أو أقل',
+      rangeOrder: 'يجب ألا تكون القيمة الدنيا أكبر من القيمة العليا',
+      date: 'يرجى إدخال تاريخ صالح',
+      url: 'يرجى إدخال رابط صالح يبدأ بـ http أو https',
+      urlDomain: 'يجب أن يكون الرابط من أحد النطاقات التالية: {{domains}}',
+      phone: 'يجب أن يتكون رقم الهاتف من {{min}} إلى {{max}} رقمًا',
+      phoneCountry: 'رمز الدولة هذا غير مسموح به',
+      color: 'يرجى اختيار لون صالح',
+      colorPalette: 'يرجى اختيار أحد الألوان المتاحة',
+      maxFiles: 'يمكنك رفع {{max}} صور كحد أقصى',
+      coordinates: 'يرجى تحديد الموقع على الخريطة',
+      optionRemoved: 'هذا الخيار لم يعد متاحًا',
+    },
+  },
+  en: {
+    validation: {
+      required: 'This field is required',
+      minLength: 'Must be at least {{min}} characters',
+      maxLength: 'Must be at most {{max}} characters',
+      pattern: 'The value has an invalid format',
+      number: 'Please enter a valid number',
+      min: 'Must be {{min}} or more',
+      max: 'Must be {{max}} or less',
+      rangeOrder: 'The minimum cannot be greater than the maximum',
+      date: 'Please enter a valid date',
+      url: 'Please enter a valid link starting with http or https',
+      urlDomain: 'The link must point to one of: {{domains}}',
+      phone: 'The phone number must have {{min}} to {{max}} digits',
+      phoneCountry: 'This country code is not allowed',
+      color: 'Please choose a valid color',
+      colorPalette: 'Please choose one of the available colors',
+      maxFiles: 'You can upload at most {{max}} images',
+      coordinates: 'Please add the location coordinates',
+      optionRemoved: 'This option is no longer available',
+    },
+  },
+  sv: {
+    validation: {
+      required: 'Det här fältet är obligatoriskt',
+      minLength: 'Måste innehålla minst {{min}} tecken',
+      maxLength: 'Får innehålla högst {{max}} tecken',
+      pattern: 'Värdet har ett ogiltigt format',
+      number: 'Ange ett giltigt nummer',
+      min: 'Måste vara {{min}} eller mer',
+      max: 'Måste vara {{max}} eller mindre',
+      rangeOrder: 'Minimivärdet får inte vara större än maxvärdet',
+      date: 'Ange ett giltigt datum',
+      url: 'Ange en giltig länk som börjar med http eller https',
+      urlDomain: 'Länken måste peka på någon av: {{domains}}',
+      phone: 'Telefonnumret måste ha {{min}} till {{max}} siffror',
+      phoneCountry: 'Den här landskoden är inte tillåten',
+      color: 'Välj en giltig färg',
+      colorPalette: 'Välj en av de tillgängliga färgerna',
+      maxFiles: 'Du kan ladda upp högst {{max}} bilder',
+      coordinates: 'Lägg till platsens koordinater',
+      optionRemoved: 'Det här alternativet finns inte längre',
+    },
+  },
+};
+
+// Merge the validation messages into an i18next instance without
+// overwriting translations the app already provides
+export const registerValidationMessages = (i18n) => {
+  Object.entries(validationMessages).forEach(([lang, resources]) => {
+    i18n.addResourceBundle(lang, 'translation', resources, true, false);
+  });
+};
+
+export default validationMessages;
@@ -0,0 +1,118 @@
+// In-browser mock of the saved searches API, for developing and testing the
+// saved searches UI without the backend. It intercepts fetch calls to
+// /api/saved-searches and keeps the searches in memory; every other request
+// goes through to the real fetch. Install it from a page or the console:
+//
+//   import { installSavedSearchesMock } from '../mocks/savedSearchesApi';
+//   const mock = installSavedSearchesMock({ loggedIn: true });
+//   ...
+//   mock.uninstall();
+//
+// POST /api/saved-searches/match evaluates the ad with lib/filterMatching and
+// the category fields from /api/category-fields, like the real API does.
+import { matchesSavedSearch } from '../lib/filterMatching';
+
+const BASE_PATH = '/api/saved-searches';
+
+const jsonResponse = (body, status = 200) =>
+  new Response(status === 204 ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+export const installSavedSearchesMock = ({ loggedIn = true, savedSearches = [] } = {}) => {
+  const originalFetch = window.fetch;
+  const store = new Map(savedSearches.map((savedSearch) => [String(savedSearch.id), savedSearch]));
+  let nextId = store.size + 1;
+
+  const fetchFields = async (categoryId) => {
+    const response = await originalFetch(`/api/category-fields?categoryId=${categoryId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch category fields');
+    }
+    return response.json();
+  };
+
+  const handle = async (url, method, body) => {
+    if (!loggedIn) {
+      return jsonResponse({ message: 'Log in to save searches' }, 401);
+    }
+
+    const [, id] = url.pathname.slice(BASE_PATH.length).split('/');
+
+    if (id === 'match' && method === 'POST') {
+      const { ad } = body;
+      const fields = await fetchFields(ad.categoryId);
+      const matches = Array.from(store.values()).filter(
+        (savedSearch) => savedSearch.notify && matchesSavedSearch(savedSearch, ad, fields)
+      );
+      return jsonResponse(matches);
+    }
+
+    if (!id) {
+      if (method === 'GET') {
+        const categoryId = url.searchParams.get('categoryId');
+        const results = Array.from(store.values()).filter(
+          (savedSearch) => !categoryId || String(savedSearch.categoryId) === categoryId
+        );
+        return jsonResponse(results);
+      }
+      if (method === 'POST') {
+        if (!body.name || !body.categoryId) {
+          return jsonResponse({ message: 'A saved search needs a name and a category' }, 400);
+        }
+        const savedSearch = {
+          id: String(nextId++),
+          name: body.name,
+          categoryId: body.categoryId,
+          query: body.query || {},
+          notify: !!body.notify,
+          createdAt: new Date().toISOString(),
+        };
+        store.set(savedSearch.id, savedSearch);
+        return jsonResponse(savedSearch, 201);
+      }
+    }
+
+    if (id && store.has(id)) {
+      if (method === 'PATCH') {
+        const { name, notify } = body;
+        const savedSearch = {
+          ...store.get(id),
+          ...(name !== undefined && { name }),
+          ...(notify !== undefined && { notify: !!notify }),
+        };
+        store.set(id, savedSearch);
+        return jsonResponse(savedSearch);
+      }
+      if (method === 'DELETE') {
+        store.delete(id);
+        return jsonResponse(null, 204);
+      }
+    }
+
+    return jsonResponse({ message: 'Saved search not found' }, 404);
+  };
+
+  window.fetch = (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.origin);
+    if (url.pathname !== BASE_PATH && !url.pathname.startsWith(`${BASE_PATH}/`)) {
+      return originalFetch(input, init);
+    }
+    const method = (init.method || 'GET').toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : {};
+    return handle(url, method, body);
+  };
+
+  return {
+    // Snapshot of the stored saved searches
+    getSavedSearches: () => Array.from(store.values()),
+    // Simulate logging out or in
+    setLoggedIn: (value) => {
+      loggedIn = value;
+    },
+    uninstall: () => {
+      window.fetch = originalFetch;
+    },
+  };
+};